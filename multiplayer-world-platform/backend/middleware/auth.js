@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { Player } = require('../models');
+const { findActiveSession } = require('../services/sessions');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -15,6 +16,15 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Logging out or revoking the session ends its access tokens before they expire
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Session has expired or been revoked'
+      });
+    }
     
     // Find the player in the database
     const player = await Player.findByPk(decoded.playerId, {
@@ -55,6 +65,7 @@ const authenticateToken = async (req, res, next) => {
     });
 
     req.player = player;
+    req.session = session;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -82,7 +93,7 @@ const authenticateToken = async (req, res, next) => {
 // Middleware to check if player is a country owner
 const requireCountryOwner = async (req, res, next) => {
   try {
-    const countryId = req.params.countryId || req.body.countryId;
+    const countryId = req.params.countryId || req.params.id || req.body.countryId;
     
     if (!countryId) {
       return res.status(400).json({
@@ -122,7 +133,8 @@ const requireCountryOwner = async (req, res, next) => {
 // Middleware to check if player belongs to a country
 const requireCountryMember = async (req, res, next) => {
   try {
-    const countryId = req.params.countryId || req.body.countryId;
+    // Without an explicit country, the player's own country is meant
+    const countryId = req.params.countryId || req.body.countryId || req.player.country_id;
     
     if (!countryId) {
       return res.status(400).json({
@@ -159,6 +171,85 @@ const requireCountryMember = async (req, res, next) => {
   }
 };
 
+// Middleware to check a country permission granted by rank; use after requireCountryMember
+// or requireCountryOwner. Owners hold every permission.
+const requireCountryPermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const { CountryMembership } = require('../models');
+
+      if (req.country.owner_id === req.player.id) {
+        return next();
+      }
+
+      const membership = await CountryMembership.findForPlayer(req.player);
+
+      if (!membership || membership.country_id !== req.country.id || !membership.hasPermission(permission)) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: `Your rank does not allow this action (requires ${permission})`
+        });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error('Country permission check error:', error);
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to verify country permissions'
+      });
+    }
+  };
+};
+
+// Middleware for sensitive country actions: when the country requires two-factor
+// authentication, the request must carry a current code in the X-Two-Factor-Code header.
+// Uses req.country when an earlier middleware loaded it, otherwise the player's own country.
+const requireCountryTwoFactor = async (req, res, next) => {
+  try {
+    const { Country } = require('../models');
+    const country = req.country || (req.player.country_id && await Country.findByPk(req.player.country_id));
+
+    if (!country || !country.two_factor_required) {
+      return next();
+    }
+
+    if (!req.player.isTwoFactorEnabled()) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'two_factor_setup_required',
+        message: 'This country requires two-factor authentication, enable it on your account first'
+      });
+    }
+
+    const code = req.headers['x-two-factor-code'];
+    if (!code) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'two_factor_required',
+        message: 'A two-factor authentication code is required for this action'
+      });
+    }
+
+    if (!await req.player.verifyTwoFactor(code)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'two_factor_invalid',
+        message: 'Invalid or already used two-factor authentication code'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor check error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify two-factor authentication'
+    });
+  }
+};
+
 // Middleware to check admin/moderator privileges
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -253,7 +344,8 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const player = await Player.findByPk(decoded.playerId, {
+    const session = await findActiveSession(decoded);
+    const player = session && await Player.findByPk(decoded.playerId, {
       attributes: { exclude: ['password_hash'] }
     });
 
@@ -277,6 +369,8 @@ module.exports = {
   authenticateToken,
   requireCountryOwner,
   requireCountryMember,
+  requireCountryPermission,
+  requireCountryTwoFactor,
   requireRole,
   checkMovementCooldown,
   validateCoordinates,
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = (sequelize, DataTypes) => {
+  const AccountToken = sequelize.define('AccountToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    purpose: {
+      type: DataTypes.ENUM('email_verification', 'password_reset'),
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the token sent by mail; the token itself is never stored'
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Address the token was sent to'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'account_tokens',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['player_id', 'purpose']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  const getLifetimeMs = (purpose) => {
+    if (purpose === 'password_reset') {
+      return (parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60) * 60 * 1000;
+    }
+    return (parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48) * 60 * 60 * 1000;
+  };
+
+  // Static methods
+  // Issues a new token, replacing any unused one with the same purpose.
+  // Resolves to { accountToken, token }; only the hash is stored.
+  AccountToken.issue = async function(player, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await AccountToken.destroy({
+      where: { player_id: player.id, purpose, used_at: null }
+    });
+
+    const accountToken = await AccountToken.create({
+      player_id: player.id,
+      purpose,
+      token_hash: hashToken(token),
+      email: player.email,
+      expires_at: new Date(Date.now() + getLifetimeMs(purpose))
+    });
+
+    return { accountToken, token };
+  };
+
+  // Marks a token used. The update only matches an unused, unexpired token, so two
+  // requests racing with the same token cannot both succeed. Resolves to the token or null.
+  AccountToken.consume = async function(token, purpose) {
+    const { Op } = sequelize.Sequelize;
+
+    const [count, rows] = await AccountToken.update({ used_at: new Date() }, {
+      where: {
+        token_hash: hashToken(token),
+        purpose,
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      returning: true
+    });
+
+    return count > 0 ? rows[0] : null;
+  };
+
+  // When the player was last sent a token for this purpose, used to throttle resends
+  AccountToken.lastIssuedAt = async function(playerId, purpose) {
+    const latest = await AccountToken.findOne({
+      where: { player_id: playerId, purpose },
+      order: [['created_at', 'DESC']],
+      attributes: ['created_at']
+    });
+
+    return latest ? latest.created_at : null;
+  };
+
+  // Associations
+  AccountToken.associate = function(models) {
+    AccountToken.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+  };
+
+  return AccountToken;
+};
@@ -0,0 +1,155 @@
+module.exports = (sequelize, DataTypes) => {
+  const AdminAuditLog = sequelize.define('AdminAuditLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    admin_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Moderator or admin who took the action'
+    },
+    action: {
+      type: DataTypes.ENUM(
+        'player_banned',
+        'player_unbanned',
+        'player_muted',
+        'player_unmuted',
+        'role_changed',
+        'country_unclaimed',
+        'country_reset',
+        'country_updated',
+        'war_ended',
+        'report_resolved'
+      ),
+      allowNull: false
+    },
+    target_type: {
+      type: DataTypes.ENUM('player', 'country', 'war', 'report'),
+      allowNull: false
+    },
+    target_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    changes: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'What the action changed, e.g. { before: { role: "player" }, after: { role: "moderator" } }'
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'admin_audit_logs',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['admin_id', 'created_at']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['action']
+      }
+    ],
+    hooks: {
+      // Staff actions are audited, so entries are written once and never changed
+      beforeUpdate: () => {
+        throw new Error('Audit log entries cannot be changed');
+      },
+      beforeDestroy: () => {
+        throw new Error('Audit log entries cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Audit log entries cannot be changed');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Audit log entries cannot be deleted');
+      }
+    }
+  });
+
+  // Instance methods
+  AdminAuditLog.prototype.toEntryPayload = function() {
+    return {
+      id: this.id,
+      admin_id: this.admin_id,
+      admin: this.admin || undefined,
+      action: this.action,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      reason: this.reason,
+      changes: this.changes,
+      created_at: this.created_at
+    };
+  };
+
+  // Static methods
+  // target: { type, id }; options: { reason, changes, ipAddress, transaction }
+  AdminAuditLog.record = function(adminId, action, target, options = {}) {
+    return AdminAuditLog.create({
+      admin_id: adminId,
+      action,
+      target_type: target.type,
+      target_id: target.id,
+      reason: options.reason || null,
+      changes: options.changes || {},
+      ip_address: options.ipAddress || null
+    }, { transaction: options.transaction });
+  };
+
+  AdminAuditLog.findEntries = function(options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+
+    if (options.adminId) {
+      where.admin_id = options.adminId;
+    }
+    if (options.action) {
+      where.action = options.action;
+    }
+    if (options.targetType) {
+      where.target_type = options.targetType;
+    }
+    if (options.targetId) {
+      where.target_id = options.targetId;
+    }
+    if (options.since || options.until) {
+      where.created_at = {};
+      if (options.since) where.created_at[Op.gte] = options.since;
+      if (options.until) where.created_at[Op.lt] = options.until;
+    }
+
+    return AdminAuditLog.findAndCountAll({
+      where,
+      include: [
+        { model: sequelize.models.Player, as: 'admin', attributes: ['id', 'username', 'display_name', 'role'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: options.limit || 50,
+      offset: options.offset || 0
+    });
+  };
+
+  // Associations
+  AdminAuditLog.associate = function(models) {
+    AdminAuditLog.belongsTo(models.Player, {
+      foreignKey: 'admin_id',
+      as: 'admin'
+    });
+  };
+
+  return AdminAuditLog;
+};
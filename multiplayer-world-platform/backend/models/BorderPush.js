@@ -1,3 +1,5 @@
+const tileCache = require('../services/tileCache');
+
 module.exports = (sequelize, DataTypes) => {
   const BorderPush = sequelize.define('BorderPush', {
     id: {
@@ -80,6 +82,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'Resistance from defending country'
     },
+    supply: {
+      type: DataTypes.FLOAT,
+      defaultValue: 1.0,
+      validate: {
+        min: 0.1,
+        max: 1.0
+      },
+      comment: 'Share of full strength reaching the front (1 while it is connected to the capital)'
+    },
     terrain_modifier: {
       type: DataTypes.FLOAT,
       defaultValue: 1.0,
@@ -97,6 +108,14 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'Distance pushed in meters'
     },
+    distance_resolved: {
+      type: DataTypes.FLOAT,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Distance in meters already converted into territory'
+    },
     territory_gained: {
       type: DataTypes.FLOAT,
       defaultValue: 0,
@@ -191,7 +210,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       beforeUpdate: async (borderPush) => {
         if (borderPush.changed('status') && borderPush.status !== 'active') {
-          borderPush.ended_at = new Date();
+          borderPush.ended_at = borderPush.ended_at || new Date();
           
           // Calculate duration
           if (borderPush.started_at) {
@@ -200,15 +219,18 @@ module.exports = (sequelize, DataTypes) => {
           }
         }
         
-        // Update last_update timestamp
-        borderPush.last_update = new Date();
+        // Update last_update timestamp, unless progress was banked at a given time
+        if (!borderPush.changed('last_update')) {
+          borderPush.last_update = new Date();
+        }
       },
-      afterUpdate: async (borderPush) => {
+      afterUpdate: async (borderPush, options) => {
         // Update war statistics
         if (borderPush.changed('status') && borderPush.status !== 'active') {
           const { War } = sequelize.models;
           await War.increment('total_border_pushes', {
-            where: { id: borderPush.war_id }
+            where: { id: borderPush.war_id },
+            transaction: options.transaction
           });
         }
       }
@@ -216,7 +238,8 @@ module.exports = (sequelize, DataTypes) => {
   });
 
   // Instance methods
-  BorderPush.prototype.calculateCurrentProgress = function() {
+  // Progress methods take the current time so the tick engine can step them on a virtual clock
+  BorderPush.prototype.calculateCurrentProgress = function(now = new Date()) {
     if (this.status !== 'active') {
       return {
         distance: this.distance_pushed,
@@ -225,7 +248,6 @@ module.exports = (sequelize, DataTypes) => {
       };
     }
     
-    const now = new Date();
     const elapsedSeconds = (now.getTime() - this.last_update.getTime()) / 1000;
     const additionalDistance = this.push_speed * elapsedSeconds;
     
@@ -236,30 +258,125 @@ module.exports = (sequelize, DataTypes) => {
     };
   };
 
-  BorderPush.prototype.updateProgress = async function() {
+  BorderPush.prototype.updateProgress = async function(now = new Date()) {
     if (this.status !== 'active') {
       return this;
     }
     
-    const progress = this.calculateCurrentProgress();
+    const progress = this.calculateCurrentProgress(now);
     this.distance_pushed = progress.distance;
-    this.last_update = new Date();
-    
-    // Simple territory calculation (in practice, this would use PostGIS)
-    // Assuming circular expansion for simplicity
-    const radiusKm = this.distance_pushed / 1000; // Convert to km
-    this.territory_gained = Math.PI * radiusKm * radiusKm;
+    this.last_update = now;
     
     return await this.save();
   };
 
-  BorderPush.prototype.addSupportingSoldier = async function() {
-    this.supporting_soldiers += 1;
-    
-    // Recalculate push strength
+  BorderPush.prototype.getFrontGeometry = async function(options = {}) {
+    // Corridor from the push position along the push direction, as wide as the front
+    const frontWidth = parseFloat(process.env.BORDER_PUSH_FRONT_WIDTH_METERS) || 2000;
+    const [lng, lat] = this.push_position.coordinates;
+    const [directionLng, directionLat] = this.push_direction.coordinates;
+    const azimuth = Math.atan2(directionLng, directionLat); // radians clockwise from north
+
+    const [row] = await sequelize.query(
+      `SELECT ST_AsGeoJSON(ST_Buffer(
+         ST_MakeLine(
+           origin::geometry,
+           ST_Project(origin, :distance, :azimuth)::geometry
+         )::geography,
+         :halfWidth
+       )::geometry) AS geojson
+       FROM (SELECT ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography AS origin) AS push`,
+      {
+        replacements: {
+          lng,
+          lat,
+          azimuth,
+          distance: Math.max(this.distance_pushed, 1),
+          halfWidth: frontWidth / 2
+        },
+        type: sequelize.QueryTypes.SELECT,
+        transaction: options.transaction
+      }
+    );
+
+    return row.geojson;
+  };
+
+  BorderPush.prototype.resolveTerritory = async function(options = {}) {
+    // Territory changes hands in steps so history is not written every tick
+    const stepMeters = parseFloat(process.env.BORDER_PUSH_STEP_METERS) || 500;
+    const unresolved = this.distance_pushed - this.distance_resolved;
+
+    if (unresolved <= 0 || (!options.force && unresolved < stepMeters)) {
+      return null;
+    }
+
+    const { Country, CountryHistory, War, Player } = sequelize.models;
+
+    const transfer = await sequelize.transaction(async (transaction) => {
+      const front = await this.getFrontGeometry({ transaction });
+      const result = await Country.transferTerritory(
+        this.target_country_id,
+        this.source_country_id,
+        front,
+        { transaction }
+      );
+
+      this.distance_resolved = this.distance_pushed;
+      this.territory_gained += result.territory_km2;
+      await this.save({ transaction });
+
+      if (result.territory_km2 > 0) {
+        await War.increment(
+          { territory_exchanged: result.territory_km2 },
+          { where: { id: this.war_id }, transaction }
+        );
+        await Player.increment(
+          { territory_conquered: result.territory_km2 },
+          { where: { id: this.player_id }, transaction }
+        );
+      }
+
+      return result;
+    });
+
+    if (transfer.territory_km2 > 0) {
+      // Rendered vector tiles covering the captured area are now stale
+      tileCache.invalidateGeometry(transfer.territory);
+
+      const metadata = {
+        border_push_id: this.id,
+        war_id: this.war_id,
+        territory: transfer.territory
+      };
+
+      await CountryHistory.recordBorderChanged(
+        this.source_country_id,
+        this.player_id,
+        transfer.to.old_boundaries,
+        transfer.to.new_boundaries,
+        transfer.territory_km2,
+        { ...metadata, from_country_id: this.target_country_id }
+      );
+
+      await CountryHistory.recordBorderChanged(
+        this.target_country_id,
+        this.player_id,
+        transfer.from.old_boundaries,
+        transfer.from.new_boundaries,
+        -transfer.territory_km2,
+        { ...metadata, to_country_id: this.source_country_id }
+      );
+    }
+
+    return transfer;
+  };
+
+  // Strength comes from the soldiers behind the push, scaled by the supply reaching them
+  BorderPush.prototype.recalculateStrength = function() {
     const baseStrength = 1.0;
     const soldierMultiplier = Math.sqrt(this.supporting_soldiers);
-    this.push_strength = baseStrength * soldierMultiplier;
+    this.push_strength = Math.max(0.1, Math.min(10.0, baseStrength * soldierMultiplier * this.supply));
     
     // Recalculate push speed
     const strengthMultiplier = this.push_strength / this.resistance_strength;
@@ -267,42 +384,76 @@ module.exports = (sequelize, DataTypes) => {
     const baseSpeed = 1.0;
     
     this.push_speed = Math.max(0.1, Math.min(5.0, baseSpeed * strengthMultiplier * terrainMultiplier));
+  };
+
+  BorderPush.prototype.addSupportingSoldier = async function() {
+    this.supporting_soldiers += 1;
+    this.recalculateStrength();
     
     return await this.save();
   };
 
+  // Returns true when the supply changed and the push was saved with its new strength
+  BorderPush.prototype.applySupply = async function(supply, now = new Date()) {
+    if (this.status !== 'active' || Math.abs(this.supply - supply) < 0.001) {
+      return false;
+    }
+
+    // Bank the distance covered at the old speed before it changes
+    const progress = this.calculateCurrentProgress(now);
+    this.distance_pushed = progress.distance;
+    this.last_update = now;
+    this.supply = supply;
+    this.recalculateStrength();
+    await this.save();
+
+    return true;
+  };
+
   BorderPush.prototype.addDefendingSoldier = async function() {
     this.defending_soldiers += 1;
     
     // Increase resistance
     const baseResistance = 1.0;
     const defenseMultiplier = Math.sqrt(this.defending_soldiers);
-    this.resistance_strength = baseResistance * defenseMultiplier;
-    
-    // Recalculate push speed
-    const strengthMultiplier = this.push_strength / this.resistance_strength;
-    const terrainMultiplier = 1 / this.terrain_modifier;
-    const baseSpeed = 1.0;
-    
-    this.push_speed = Math.max(0.1, Math.min(5.0, baseSpeed * strengthMultiplier * terrainMultiplier));
+    this.resistance_strength = Math.min(10.0, baseResistance * defenseMultiplier);
+    this.recalculateStrength();
     
     return await this.save();
   };
 
-  BorderPush.prototype.stopPush = async function(reason = 'cancelled') {
+  BorderPush.prototype.stopPush = async function(reason = 'cancelled', now = new Date()) {
     if (this.status !== 'active') {
       throw new Error('Border push is not active');
     }
     
-    // Update final progress
-    await this.updateProgress();
+    // Update final progress and hand over any territory not yet resolved
+    await this.updateProgress(now);
+    await this.resolveTerritory({ force: true });
     
-    this.status = reason === 'successful' ? 'successful' : 'cancelled';
-    this.ended_at = new Date();
+    this.status = ['successful', 'failed'].includes(reason) ? reason : 'cancelled';
+    this.ended_at = now;
     
     return await this.save();
   };
 
+  // Stops the push where it stands when its war stops: progress is banked, but unlike
+  // stopPush the front left unresolved is not handed over
+  BorderPush.prototype.cancel = async function(options = {}) {
+    const { transaction, now = new Date() } = options;
+
+    if (this.status !== 'active') {
+      return this;
+    }
+
+    this.distance_pushed = this.calculateCurrentProgress(now).distance;
+    this.last_update = now;
+    this.status = 'cancelled';
+    this.ended_at = now;
+
+    return await this.save({ transaction });
+  };
+
   BorderPush.prototype.canParticipate = function(playerId) {
     // Check if player can participate in this border push
     // Would need to verify player's country membership and position
@@ -322,6 +473,22 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  BorderPush.cancelForWar = async function(warId, options = {}) {
+    const { transaction } = options;
+
+    const pushes = await BorderPush.findAll({
+      where: { war_id: warId, status: 'active' },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+
+    for (const push of pushes) {
+      await push.cancel(options);
+    }
+
+    return pushes;
+  };
+
   BorderPush.findPushesByWar = function(warId) {
     return BorderPush.findAll({
       where: { war_id: warId },
@@ -0,0 +1,290 @@
+module.exports = (sequelize, DataTypes) => {
+  const ChatMessage = sequelize.define('ChatMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    channel: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      comment: 'global, country:<id>, war:<id>:<aggressor id>:<defender id> or dm:<player id>:<player id>'
+    },
+    channel_type: {
+      type: DataTypes.ENUM('global', 'country', 'war', 'direct'),
+      allowNull: false
+    },
+    sender_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'countries',
+        key: 'id'
+      },
+      comment: 'Country of a country channel'
+    },
+    war_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'wars',
+        key: 'id'
+      },
+      comment: 'War of a war channel'
+    },
+    recipient_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Recipient of a direct message'
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        len: [1, 500]
+      }
+    },
+    is_filtered: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Whether the word filter masked part of the message'
+    },
+    deleted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deleted_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Moderator who deleted the message'
+    }
+  }, {
+    tableName: 'chat_messages',
+    indexes: [
+      {
+        fields: ['channel', 'created_at', 'id']
+      },
+      {
+        fields: ['sender_id']
+      },
+      {
+        fields: ['recipient_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  ChatMessage.prototype.isDeleted = function() {
+    return this.deleted_at !== null && this.deleted_at !== undefined;
+  };
+
+  // Socket rooms that should receive messages of this channel (null means everyone)
+  ChatMessage.prototype.getRooms = function() {
+    switch (this.channel_type) {
+      case 'country':
+        return [`country_${this.country_id}`];
+      case 'war': {
+        const [, , aggressorId, defenderId] = this.channel.split(':');
+        return [`country_${aggressorId}`, `country_${defenderId}`];
+      }
+      case 'direct':
+        return [`player_${this.sender_id}`, `player_${this.recipient_id}`];
+      default:
+        return null;
+    }
+  };
+
+  // Whether the player could have seen the message, e.g. before reporting it
+  ChatMessage.prototype.isVisibleTo = function(player) {
+    switch (this.channel_type) {
+      case 'country':
+        return this.country_id === player.country_id;
+      case 'war': {
+        const [, , aggressorId, defenderId] = this.channel.split(':');
+        return !!player.country_id && [aggressorId, defenderId].includes(player.country_id);
+      }
+      case 'direct':
+        return [this.sender_id, this.recipient_id].includes(player.id);
+      default:
+        return true;
+    }
+  };
+
+  ChatMessage.prototype.toChatPayload = function(sender) {
+    return {
+      id: this.id,
+      channel: this.channel,
+      channel_type: this.channel_type,
+      // Kept for clients that still switch on the old type field
+      type: this.channel_type,
+      player: sender ? {
+        id: sender.id,
+        username: sender.username,
+        display_name: sender.display_name
+      } : { id: this.sender_id },
+      message: this.message,
+      is_filtered: this.is_filtered,
+      timestamp: this.created_at
+    };
+  };
+
+  // Static methods
+  ChatMessage.directChannel = function(playerId, otherPlayerId) {
+    return `dm:${[playerId, otherPlayerId].sort().join(':')}`;
+  };
+
+  // Turn a channel name from a client into the channel it refers to, checking the
+  // player may use it. Accepts global, country, country:<id>, war:<id> and dm:<player id>.
+  ChatMessage.resolveChannel = async function(player, name, options = {}) {
+    const { Country, War, Player } = sequelize.models;
+    const [kind, id] = String(name || '').split(':');
+    const moderator = ['moderator', 'admin'].includes(player.role);
+
+    if (kind === 'global' && !id) {
+      return { allowed: true, channel: 'global', channel_type: 'global' };
+    }
+
+    if (kind === 'country') {
+      const countryId = id || player.country_id;
+
+      if (!countryId) {
+        return { allowed: false, reason: 'You are not in a country' };
+      }
+
+      if (countryId !== player.country_id && !(moderator && options.read)) {
+        return { allowed: false, reason: 'You can only use the chat of your own country' };
+      }
+
+      const country = await Country.findByPk(countryId, { attributes: ['id'] });
+      if (!country) {
+        return { allowed: false, reason: 'Country not found' };
+      }
+
+      return { allowed: true, channel: `country:${countryId}`, channel_type: 'country', country_id: countryId };
+    }
+
+    if (kind === 'war' && id) {
+      const war = await War.findByPk(id);
+      if (!war) {
+        return { allowed: false, reason: 'War not found' };
+      }
+
+      const belligerent = [war.aggressor_country_id, war.defender_country_id].includes(player.country_id);
+      if (!belligerent && !(moderator && options.read)) {
+        return { allowed: false, reason: 'Only countries fighting this war can use its chat' };
+      }
+
+      if (!options.read && !war.isActive()) {
+        return { allowed: false, reason: 'War is no longer active' };
+      }
+
+      return {
+        allowed: true,
+        // Both belligerents are part of the name so the rooms can be derived from it
+        channel: `war:${war.id}:${war.aggressor_country_id}:${war.defender_country_id}`,
+        channel_type: 'war',
+        war_id: war.id
+      };
+    }
+
+    if (kind === 'dm' && id) {
+      if (id === player.id) {
+        return { allowed: false, reason: 'You cannot message yourself' };
+      }
+
+      const recipient = await Player.findByPk(id, { attributes: ['id'] });
+      if (!recipient) {
+        return { allowed: false, reason: 'Player not found' };
+      }
+
+      return {
+        allowed: true,
+        channel: ChatMessage.directChannel(player.id, id),
+        channel_type: 'direct',
+        recipient_id: id
+      };
+    }
+
+    return { allowed: false, reason: 'Unknown chat channel' };
+  };
+
+  ChatMessage.getHistory = async function(channel, options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const { before, limit = 50 } = options;
+
+    const where = { channel, deleted_at: null };
+
+    // Pages on (created_at, id) so messages sharing a timestamp are not skipped at a page boundary
+    if (before) {
+      const cursor = await ChatMessage.findByPk(before, { attributes: ['id', 'created_at'] });
+      if (cursor) {
+        where[Op.or] = [
+          { created_at: { [Op.lt]: cursor.created_at } },
+          { created_at: cursor.created_at, id: { [Op.lt]: cursor.id } }
+        ];
+      }
+    }
+
+    const messages = await ChatMessage.findAll({
+      where,
+      include: [
+        {
+          model: sequelize.models.Player,
+          as: 'sender',
+          attributes: ['id', 'username', 'display_name']
+        }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit
+    });
+
+    // Oldest first, the order a chat window displays them in
+    return messages.reverse();
+  };
+
+  // Associations
+  ChatMessage.associate = function(models) {
+    ChatMessage.belongsTo(models.Player, {
+      foreignKey: 'sender_id',
+      as: 'sender'
+    });
+
+    ChatMessage.belongsTo(models.Player, {
+      foreignKey: 'recipient_id',
+      as: 'recipient'
+    });
+
+    ChatMessage.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    ChatMessage.belongsTo(models.War, {
+      foreignKey: 'war_id',
+      as: 'war'
+    });
+
+    ChatMessage.belongsTo(models.Player, {
+      foreignKey: 'deleted_by',
+      as: 'deleter'
+    });
+  };
+
+  return ChatMessage;
+};
@@ -1,3 +1,10 @@
+const tileCache = require('../services/tileCache');
+const { cacheBus } = require('../services/cacheBus');
+const { RESOURCE_TYPES, calculateEconomy, tickAmounts } = require('../services/economy');
+
+// Columns served in boundary features; changing any of them changes the boundaries version
+const BOUNDARY_FEATURE_FIELDS = ['current_boundaries', 'name', 'iso_code', 'color', 'is_claimed', 'owner_id', 'is_at_war'];
+
 module.exports = (sequelize, DataTypes) => {
   const Country = sequelize.define('Country', {
     id: {
@@ -47,6 +54,29 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: true
     },
+    join_policy: {
+      type: DataTypes.ENUM('open', 'invite', 'approval'),
+      defaultValue: 'open',
+      comment: 'Whether players join freely, only through an invite, or after approval'
+    },
+    two_factor_required: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Declaring war and taking gold from the treasury need a two-factor code'
+    },
+    annexed_by_country_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'countries',
+        key: 'id'
+      },
+      comment: 'Country that annexed this one after defeating it'
+    },
+    annexed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     soldier_count: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -75,6 +105,28 @@ module.exports = (sequelize, DataTypes) => {
     resources: {
       type: DataTypes.INTEGER,
       defaultValue: 1000,
+      validate: {
+        min: 0
+      },
+      comment: 'Gold, the country currency (reported as gold by the economy API)'
+    },
+    food: {
+      type: DataTypes.INTEGER,
+      defaultValue: 500,
+      validate: {
+        min: 0
+      }
+    },
+    materials: {
+      type: DataTypes.INTEGER,
+      defaultValue: 500,
+      validate: {
+        min: 0
+      }
+    },
+    manpower: {
+      type: DataTypes.INTEGER,
+      defaultValue: 100,
       validate: {
         min: 0
       }
@@ -86,7 +138,17 @@ module.exports = (sequelize, DataTypes) => {
         min: 0.1,
         max: 10.0
       },
-      comment: 'Resources generated per minute'
+      comment: 'Multiplier applied to everything the country produces'
+    },
+    treasury_allowances: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Gold each rank may take from the treasury per allowance window, e.g. { officer: 500 }'
+    },
+    economy_profile: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Terrain features inside current_boundaries: forest_km2, mountain_km2, desert_km2, wetland_km2, river_km, cities, computed_at'
     },
     area_km2: {
       type: DataTypes.FLOAT,
@@ -174,6 +236,12 @@ module.exports = (sequelize, DataTypes) => {
     last_activity: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW
+    },
+    boundaries_updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Last change to current_boundaries or the properties served with them; versions boundary responses'
     }
   }, {
     tableName: 'countries',
@@ -230,11 +298,36 @@ module.exports = (sequelize, DataTypes) => {
         if (country.changed('is_claimed') || country.changed('soldier_count')) {
           country.last_activity = new Date();
         }
+        if (BOUNDARY_FEATURE_FIELDS.some(field => country.changed(field))) {
+          country.boundaries_updated_at = new Date();
+        }
+      },
+      beforeBulkUpdate: async (options) => {
+        if (BOUNDARY_FEATURE_FIELDS.some(field => options.fields.includes(field))) {
+          options.attributes.boundaries_updated_at = new Date();
+          options.fields.push('boundaries_updated_at');
+        }
+      },
+      afterCreate: async () => {
+        Country.invalidateAdjacencyCache();
+      },
+      afterUpdate: async (country) => {
+        // Borders moved, so the cached adjacency graph is stale
+        if (country.changed('current_boundaries')) {
+          Country.invalidateAdjacencyCache();
+        }
+      },
+      afterDestroy: async () => {
+        Country.invalidateAdjacencyCache();
       }
     }
   });
 
   // Instance methods
+  Country.prototype.isAnnexed = function() {
+    return this.annexed_by_country_id !== null && this.annexed_by_country_id !== undefined;
+  };
+
   Country.prototype.canAcceptNewSoldier = function() {
     return this.soldier_count < this.max_soldiers;
   };
@@ -278,13 +371,242 @@ module.exports = (sequelize, DataTypes) => {
     return await this.save();
   };
 
+  // Decides what a player asking to join gets under the country's join policy:
+  // { outcome: 'join', invite }, { outcome: 'request' } or { outcome: 'denied', code, reason }
+  Country.prototype.checkAdmission = async function(player, inviteCode = null) {
+    const { CountryBan, CountryInvite } = sequelize.models;
+
+    if (this.isAnnexed()) {
+      return { outcome: 'denied', code: 'annexed', reason: 'Country has been annexed and cannot be joined' };
+    }
+
+    if (await CountryBan.findActive(this.id, player.id)) {
+      return { outcome: 'denied', code: 'banned', reason: 'You are banned from this country' };
+    }
+
+    if (!this.canAcceptNewSoldier()) {
+      return { outcome: 'denied', code: 'full', reason: 'Country has reached maximum soldier capacity' };
+    }
+
+    // Whoever claims an empty country makes the rules, so none apply yet
+    if (!this.is_claimed) {
+      if (process.env.EMAIL_VERIFICATION_REQUIRED !== 'false' && !player.isEmailVerified()) {
+        return { outcome: 'denied', code: 'email_unverified', reason: 'Verify your email address before claiming a country' };
+      }
+      return { outcome: 'join', invite: null };
+    }
+
+    const invite = await CountryInvite.findUsable(this.id, inviteCode);
+    if (invite || this.join_policy === 'open') {
+      return { outcome: 'join', invite };
+    }
+
+    if (inviteCode) {
+      return { outcome: 'denied', code: 'invalid_invite', reason: 'Invite is invalid or has expired' };
+    }
+
+    if (this.join_policy === 'approval') {
+      return { outcome: 'request' };
+    }
+
+    return { outcome: 'denied', code: 'invite_required', reason: 'This country only accepts players with an invite' };
+  };
+
+  // Adds a player as a soldier, claiming the country if nobody owns it.
+  // Resolves to true when the player became the owner.
+  Country.prototype.enlist = async function(player, options = {}) {
+    const { CountryHistory, CountryJoinRequest } = sequelize.models;
+    let becameOwner = false;
+
+    if (!this.is_claimed) {
+      await this.claimCountry(player.id);
+      becameOwner = true;
+
+      await CountryHistory.recordClaimed(this.id, player.id);
+      await player.increment('countries_owned');
+    } else {
+      await this.addSoldier();
+      await CountryHistory.recordSoldierJoined(this.id, player.id, options.metadata);
+    }
+
+    const updateData = { country_id: this.id, country_joined_at: new Date() };
+    if (options.position) {
+      updateData.current_position = options.position;
+    }
+    await player.update(updateData);
+
+    await CountryJoinRequest.cancelPendingFor(player.id);
+
+    return becameOwner;
+  };
+
+  // Enlists a player checkAdmission let in. An invite's use is taken first, so a link cannot
+  // admit more players than it allows, and given back if enlisting fails.
+  // Resolves to { becameOwner }, or { becameOwner: null, code, reason } when the invite ran out.
+  Country.prototype.admit = async function(player, admission, options = {}) {
+    const { invite } = admission;
+
+    if (invite && !(await invite.claimUse())) {
+      return { becameOwner: null, code: 'invalid_invite', reason: 'Invite is invalid or has expired' };
+    }
+
+    try {
+      const becameOwner = await this.enlist(player, {
+        ...options,
+        metadata: invite ? { invite_id: invite.id } : {}
+      });
+      return { becameOwner };
+    } catch (error) {
+      if (invite) {
+        await invite.releaseUse();
+      }
+      throw error;
+    }
+  };
+
+  // Removes a soldier and records it; kicks and bans call this directly, leaving goes through leave()
+  Country.prototype.discharge = async function(player, metadata = {}) {
+    const { CountryHistory } = sequelize.models;
+
+    await this.removeSoldier();
+    await player.update({
+      country_id: null,
+      country_joined_at: null,
+      current_position: null
+    });
+
+    await CountryHistory.recordSoldierLeft(this.id, player.id, metadata);
+  };
+
+  // A soldier leaving of their own accord. An owner leaving hands the country to one of the
+  // soldiers left, or leaves it unclaimed when there are none.
+  // Resolves to { wasOwner, unclaimed, successor }.
+  Country.prototype.leave = async function(player) {
+    const { CountryHistory } = sequelize.models;
+    const wasOwner = this.owner_id === player.id;
+
+    await this.discharge(player);
+
+    if (!wasOwner) {
+      return { wasOwner, unclaimed: false, successor: null };
+    }
+
+    if (!this.is_claimed) {
+      await player.decrement('countries_owned');
+      await CountryHistory.recordUnclaimed(this.id, player.id);
+      return { wasOwner, unclaimed: true, successor: null };
+    }
+
+    const successor = await this.succeedOwner('owner_left', { requireActive: false, changedBy: player.id });
+    return { wasOwner, unclaimed: false, successor };
+  };
+
+  Country.prototype.getStockpile = function() {
+    return {
+      food: this.food,
+      materials: this.materials,
+      manpower: this.manpower,
+      gold: this.resources
+    };
+  };
+
+  Country.prototype.getEconomy = function() {
+    return calculateEconomy(this);
+  };
+
   Country.prototype.generateResources = async function() {
-    const resourcesGenerated = Math.floor(this.resource_generation_rate);
-    this.resources += resourcesGenerated;
+    const amounts = tickAmounts(this.getEconomy());
+
+    this.food = Math.max(this.food + amounts.food, 0);
+    this.materials = Math.max(this.materials + amounts.materials, 0);
+    this.manpower = Math.max(this.manpower + amounts.manpower, 0);
+    this.resources = Math.max(this.resources + amounts.gold, 0);
     
     return await this.save();
   };
 
+  // Owner overrides on top of the default allowance of each rank
+  Country.prototype.getTreasuryAllowances = function() {
+    const { CountryMembership } = sequelize.models;
+    return { ...CountryMembership.DEFAULT_TREASURY_ALLOWANCES, ...(this.treasury_allowances || {}) };
+  };
+
+  // Gold the player may still take out of the treasury in the current window,
+  // or null when there is no limit (the owner)
+  Country.prototype.getRemainingAllowance = async function(player, options = {}) {
+    const { CountryMembership, ResourceLedger } = sequelize.models;
+
+    if (this.owner_id === player.id) {
+      return null;
+    }
+
+    const membership = options.membership || await CountryMembership.findForPlayer(player);
+    if (!membership || membership.country_id !== this.id) {
+      return 0;
+    }
+
+    const windowHours = parseInt(process.env.TREASURY_ALLOWANCE_WINDOW_HOURS) || 24;
+    const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+    const spent = await ResourceLedger.spentBy(this.id, player.id, since, { transaction: options.transaction });
+
+    return Math.max((this.getTreasuryAllowances()[membership.rank] || 0) - spent, 0);
+  };
+
+  // Moves gold between the treasury and a player's own resources and writes the ledger entry,
+  // all in one transaction. countryDelta > 0 pays into the treasury (donation), < 0 pays out
+  // of it (withdrawal, allocation). Payouts are checked against the actor's allowance.
+  // Resolves to { entry } or { entry: null, code, reason }.
+  Country.prototype.transferTreasury = async function(player, entryType, countryDelta, options = {}) {
+    const { Player, ResourceLedger } = sequelize.models;
+    const amount = Math.abs(countryDelta);
+    const actor = options.actor || player;
+
+    return await sequelize.transaction(async (transaction) => {
+      // Lock both pools so concurrent transfers cannot overdraw either
+      const country = await Country.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+      const target = await Player.findByPk(player.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (countryDelta > 0 && target.resources < amount) {
+        return { entry: null, code: 'insufficient_player_resources', reason: `Not enough resources. Available: ${target.resources}` };
+      }
+
+      if (countryDelta < 0 && country.resources < amount) {
+        return { entry: null, code: 'insufficient_treasury', reason: `Not enough gold in the treasury. Available: ${country.resources}` };
+      }
+
+      if (countryDelta < 0) {
+        const remaining = await country.getRemainingAllowance(actor, { membership: options.membership, transaction });
+        if (remaining !== null && amount > remaining) {
+          return { entry: null, code: 'allowance_exceeded', reason: `This exceeds your treasury allowance. Remaining: ${remaining}` };
+        }
+      }
+
+      country.resources += countryDelta;
+      target.resources -= countryDelta;
+      await country.save({ transaction });
+      await target.save({ transaction });
+
+      const entry = await ResourceLedger.create({
+        entry_type: entryType,
+        amount,
+        player_id: target.id,
+        player_delta: -countryDelta,
+        player_balance: target.resources,
+        country_id: country.id,
+        country_delta: countryDelta,
+        country_balance: country.resources,
+        actor_id: actor.id,
+        note: options.note || null,
+        metadata: options.metadata || {}
+      }, { transaction });
+
+      this.setDataValue('resources', country.resources);
+      player.setDataValue('resources', target.resources);
+
+      return { entry };
+    });
+  };
+
   Country.prototype.consumeResources = async function(amount) {
     if (this.resources < amount) {
       return false;
@@ -296,41 +618,1026 @@ module.exports = (sequelize, DataTypes) => {
 
   Country.prototype.updateBoundaries = async function(newBoundaries) {
     this.current_boundaries = newBoundaries;
-    
-    // Calculate new area (this would require PostGIS functions in production)
-    // For now, we'll estimate based on the change
-    // this.area_km2 = calculateAreaFromGeometry(newBoundaries);
-    
-    return await this.save();
+    await this.save();
+
+    // Recompute the area from the stored geometry on the spheroid
+    const [row] = await sequelize.query(
+      `UPDATE countries
+       SET area_km2 = COALESCE(ST_Area(current_boundaries::geography), 0) / 1000000
+       WHERE id = :id
+       RETURNING area_km2`,
+      {
+        replacements: { id: this.id },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    this.setDataValue('area_km2', row.area_km2);
+    return this;
   };
 
   Country.prototype.getNeighbors = async function() {
-    // This would use PostGIS ST_Touches or ST_Intersects to find neighboring countries
-    // For now, return empty array - would need to implement with raw SQL query
-    return [];
+    const graph = await Country.getAdjacencyGraph();
+    const neighborIds = Array.from(graph.get(this.id) || []);
+
+    if (neighborIds.length === 0) {
+      return [];
+    }
+
+    return await Country.findAll({
+      where: { id: neighborIds },
+      attributes: [
+        'id', 'name', 'iso_code', 'is_claimed', 'owner_id',
+        'color', 'is_at_war', 'soldier_count'
+      ],
+      order: [['name', 'ASC']]
+    });
   };
 
   Country.prototype.isNeighbor = async function(otherCountryId) {
-    // Check if this country borders another country
-    // Would use PostGIS ST_Touches function
-    return false; // Placeholder
+    if (!otherCountryId || otherCountryId === this.id) {
+      return false;
+    }
+
+    const graph = await Country.getAdjacencyGraph();
+    const neighbors = graph.get(this.id);
+
+    return neighbors ? neighbors.has(otherCountryId) : false;
   };
 
   Country.prototype.canDeclareWarOn = async function(targetCountryId) {
-    // Check if war can be declared (must be neighbors, not already at war, etc.)
+    // Wars are only fought between neighbors; a country may fight several wars at once
     const isNeighbor = await this.isNeighbor(targetCountryId);
     
     if (!isNeighbor) {
       return { canDeclare: false, reason: 'Countries must be neighbors to declare war' };
     }
     
-    if (this.is_at_war) {
-      return { canDeclare: false, reason: 'Country is already at war' };
-    }
-    
     return { canDeclare: true };
   };
 
+  // Supply network of the country: each separate piece of its territory is a node, linked to
+  // the pieces it touches. Pieces reachable from the one holding the capital are supplied;
+  // pieces enemy gains have split off are cut off. Fronts are the active pushes launched from
+  // the country (or the given points) with the supply that reaches them.
+  Country.prototype.getSupplyNetwork = async function(options = {}) {
+    const { BorderPush } = sequelize.models;
+    const { tolerance = 0, transaction } = options;
+    const linkTolerance = parseFloat(process.env.SUPPLY_LINK_TOLERANCE_DEGREES) || 0.01;
+    const cutOffSupply = Country.getCutOffSupply();
+
+    let points = options.points;
+    if (!points) {
+      const pushes = await BorderPush.findAll({
+        where: { source_country_id: this.id, status: 'active' },
+        attributes: ['id', 'push_position'],
+        transaction
+      });
+      points = pushes.map(push => ({ id: push.id, lng: push.push_position.coordinates[0], lat: push.push_position.coordinates[1] }));
+    }
+
+    const partsCte = `
+      WITH parts AS (
+        SELECT (d).path[1] AS part, (d).geom AS geom, c.capital_position
+        FROM (
+          SELECT ST_Dump(current_boundaries) AS d, capital_position
+          FROM countries
+          WHERE id = :id AND NOT ST_IsEmpty(current_boundaries)
+        ) AS c
+      )`;
+
+    const parts = await sequelize.query(
+      `${partsCte}
+       SELECT a.part,
+              COALESCE(ST_Area(a.geom::geography), 0) / 1000000 AS area_km2,
+              COALESCE(ST_Covers(a.geom, a.capital_position), false) AS has_capital,
+              ST_AsGeoJSON(ST_SimplifyPreserveTopology(a.geom, :tolerance), 6) AS geometry,
+              ARRAY(
+                SELECT b.part FROM parts b
+                WHERE b.part <> a.part AND ST_DWithin(a.geom, b.geom, :linkTolerance)
+              ) AS links
+       FROM parts a
+       ORDER BY a.part`,
+      {
+        replacements: { id: this.id, tolerance, linkTolerance },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    // A country that never had a capital is supplied from its largest piece
+    let hub = parts.find(part => part.has_capital);
+    if (!hub && !this.capital_position && parts.length > 0) {
+      hub = parts.reduce((largest, part) => (part.area_km2 > largest.area_km2 ? part : largest));
+    }
+
+    const supplied = new Set();
+    if (hub) {
+      const queue = [hub.part];
+      supplied.add(hub.part);
+      while (queue.length > 0) {
+        const current = parts.find(part => part.part === queue.shift());
+        for (const next of current.links) {
+          if (!supplied.has(next)) {
+            supplied.add(next);
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    // Each front draws on the piece of territory it was launched from (or closest to)
+    let fronts = [];
+    if (points.length > 0 && parts.length > 0) {
+      const rows = await sequelize.query(
+        `${partsCte}
+         SELECT v.id, (
+           SELECT p.part FROM parts p
+           ORDER BY p.geom <-> ST_SetSRID(ST_MakePoint(v.lng::float, v.lat::float), 4326)
+           LIMIT 1
+         ) AS part
+         FROM (VALUES :points) AS v(id, lng, lat)`,
+        {
+          replacements: { id: this.id, points: points.map(point => [point.id, point.lng, point.lat]) },
+          type: sequelize.QueryTypes.SELECT,
+          transaction
+        }
+      );
+
+      fronts = rows.map(row => ({
+        push_id: row.id,
+        part: row.part,
+        supplied: supplied.has(row.part),
+        supply: supplied.has(row.part) ? 1 : cutOffSupply
+      }));
+    } else {
+      fronts = points.map(point => ({ push_id: point.id, part: null, supplied: false, supply: cutOffSupply }));
+    }
+
+    const regions = parts.map(part => ({
+      type: 'Feature',
+      properties: {
+        country_id: this.id,
+        part: part.part,
+        supplied: supplied.has(part.part),
+        has_capital: part.has_capital,
+        area_km2: parseFloat(part.area_km2)
+      },
+      geometry: JSON.parse(part.geometry)
+    }));
+
+    const areaWhere = (isSupplied) => regions
+      .filter(region => region.properties.supplied === isSupplied)
+      .reduce((total, region) => total + region.properties.area_km2, 0);
+
+    return {
+      country_id: this.id,
+      capital_held: parts.some(part => part.has_capital),
+      supplied_km2: areaWhere(true),
+      cut_off_km2: areaWhere(false),
+      regions: { type: 'FeatureCollection', features: regions },
+      fronts
+    };
+  };
+
+  // Soldier who takes over when the owner goes: the longest-serving member by default, or
+  // with OWNER_SUCCESSION_RULE=highest_ranked the one of highest rank. Banned members never
+  // qualify, and inactive ones only when requireActive is false. Resolves to null if nobody does.
+  Country.prototype.findSuccessor = async function(options = {}) {
+    const { Player, CountryMembership } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const { requireActive = true } = options;
+
+    const where = {
+      country_id: this.id,
+      is_banned: false
+    };
+
+    if (this.owner_id) {
+      where.id = { [Op.ne]: this.owner_id };
+    }
+
+    if (requireActive) {
+      const inactiveDays = parseInt(process.env.OWNER_INACTIVE_DAYS) || 14;
+      where.last_active = { [Op.gte]: new Date(Date.now() - inactiveDays * 24 * 60 * 60 * 1000) };
+    }
+
+    const joinedAt = sequelize.literal('COALESCE("Player"."country_joined_at", "Player"."created_at")');
+    const order = process.env.OWNER_SUCCESSION_RULE === 'highest_ranked'
+      ? [[{ model: CountryMembership, as: 'membership' }, 'rank', 'ASC'], ['wars_won', 'DESC'], [joinedAt, 'ASC']]
+      : [[joinedAt, 'ASC']];
+
+    return await Player.findOne({
+      where,
+      include: [{ model: CountryMembership, as: 'membership', required: false }],
+      order
+    });
+  };
+
+  // Hands the country to another player, keeping both players' countries_owned in step
+  Country.prototype.transferOwnership = async function(newOwnerId, options = {}) {
+    const { Player, CountryHistory } = sequelize.models;
+    const { reason = 'transfer', changedBy = null } = options;
+    const previousOwnerId = this.owner_id;
+
+    if (newOwnerId === previousOwnerId) {
+      throw new Error('Player already owns this country');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await this.update({ owner_id: newOwnerId }, { transaction });
+
+      if (previousOwnerId) {
+        await Player.update(
+          { countries_owned: sequelize.literal('GREATEST(countries_owned - 1, 0)') },
+          { where: { id: previousOwnerId }, transaction }
+        );
+      }
+
+      await Player.increment(
+        { countries_owned: 1 },
+        { where: { id: newOwnerId }, transaction }
+      );
+    });
+
+    await CountryHistory.recordOwnerChanged(this.id, previousOwnerId, newOwnerId, {
+      reason,
+      changed_by: changedBy
+    });
+
+    return { previous_owner_id: previousOwnerId, new_owner_id: newOwnerId };
+  };
+
+  // Passes the country to its successor; resolves to the new owner, or null if there is none
+  Country.prototype.succeedOwner = async function(reason, options = {}) {
+    const successor = await this.findSuccessor(options);
+    if (!successor) {
+      return null;
+    }
+
+    await this.transferOwnership(successor.id, { reason, changedBy: options.changedBy || null });
+    return successor;
+  };
+
+  // Takes the country away from its owner and soldiers, as if nobody had ever claimed it:
+  // wars end without a winner, treaties lapse, open market orders are cancelled and every
+  // soldier becomes countryless. Land and stockpiles stay as they are (see resetToOriginal).
+  Country.prototype.release = async function(options = {}) {
+    const { Player, War, Treaty, MarketOrder, CountryHistory, CountryMembership, CountryInvite, CountryJoinRequest } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const { changedBy = null, reason = 'released' } = options;
+
+    const wars = await War.findAll({
+      where: {
+        status: ['active', 'ceasefire'],
+        [Op.or]: [
+          { aggressor_country_id: this.id },
+          { defender_country_id: this.id }
+        ]
+      }
+    });
+
+    for (const war of wars) {
+      await war.conclude(null, reason, changedBy);
+    }
+
+    const orders = await MarketOrder.findAll({ where: { country_id: this.id, status: 'open' } });
+    for (const order of orders) {
+      await order.close('cancelled', { playerId: changedBy });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      await this.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      const previousOwnerId = this.owner_id;
+      const wasClaimed = this.is_claimed;
+      const soldiers = await Player.findAll({
+        where: { country_id: this.id },
+        attributes: ['id'],
+        transaction
+      });
+      const freed = soldiers.map(soldier => soldier.id);
+
+      if (freed.length > 0) {
+        await Player.update(
+          { country_id: null, country_joined_at: null, current_position: null },
+          { where: { id: freed }, transaction }
+        );
+      }
+
+      // Bulk updates skip the hooks that keep memberships in step
+      await CountryMembership.destroy({ where: { country_id: this.id }, transaction });
+
+      await Treaty.update(
+        { status: 'expired', ended_at: new Date() },
+        {
+          where: {
+            status: ['proposed', 'active'],
+            [Op.or]: [
+              { proposer_country_id: this.id },
+              { recipient_country_id: this.id }
+            ]
+          },
+          transaction
+        }
+      );
+
+      await CountryInvite.update(
+        { revoked_at: new Date() },
+        { where: { country_id: this.id, revoked_at: null }, transaction }
+      );
+      await CountryJoinRequest.update(
+        { status: 'cancelled', reviewed_at: new Date() },
+        { where: { country_id: this.id, status: 'pending' }, transaction }
+      );
+
+      if (previousOwnerId && wasClaimed) {
+        await Player.update(
+          { countries_owned: sequelize.literal('GREATEST(countries_owned - 1, 0)') },
+          { where: { id: previousOwnerId }, transaction }
+        );
+      }
+
+      await this.update({
+        is_claimed: false,
+        owner_id: null,
+        claimed_at: null,
+        soldier_count: 0,
+        annexed_by_country_id: null,
+        annexed_at: null,
+        is_at_war: false,
+        active_wars: 0
+      }, { transaction });
+
+      return { was_claimed: wasClaimed, previous_owner_id: previousOwnerId, freed_soldiers: freed };
+    });
+
+    if (result.was_claimed) {
+      await CountryHistory.recordUnclaimed(this.id, result.previous_owner_id, { reason, changed_by: changedBy });
+    }
+    for (const soldierId of result.freed_soldiers) {
+      await CountryHistory.recordSoldierLeft(this.id, soldierId, { reason });
+    }
+
+    return { ...result, ended_wars: wars, cancelled_orders: orders };
+  };
+
+  // Fields put back to their defaults when a country is reset
+  const RESET_FIELDS = [
+    'max_soldiers', 'defense_strength', 'resources', 'food', 'materials', 'manpower',
+    'join_policy', 'two_factor_required', 'treasury_allowances', 'economy_profile',
+    'wars_won', 'wars_lost', 'territory_gained', 'territory_lost'
+  ];
+
+  // Releases the country and returns it to the state it was imported in: its original land
+  // is taken back from whoever holds it, land it conquered goes back to the countries it
+  // originally belonged to, and its stockpiles and settings return to their defaults.
+  // Resolves to the release result plus { transfers } for the borders that moved.
+  Country.prototype.resetToOriginal = async function(options = {}) {
+    const released = await this.release({ ...options, reason: options.reason || 'reset' });
+
+    const transfers = await sequelize.transaction(async (transaction) => {
+      const moved = [];
+
+      // Original land held by others comes back
+      const holders = await sequelize.query(
+        `SELECT other.id
+         FROM countries other, countries self
+         WHERE self.id = :id AND other.id <> self.id
+           AND ST_Intersects(other.current_boundaries, self.original_boundaries)`,
+        { replacements: { id: this.id }, type: sequelize.QueryTypes.SELECT, transaction }
+      );
+      const [own] = await sequelize.query(
+        'SELECT ST_AsGeoJSON(original_boundaries) AS boundaries FROM countries WHERE id = :id',
+        { replacements: { id: this.id }, type: sequelize.QueryTypes.SELECT, transaction }
+      );
+
+      for (const holder of holders) {
+        const transfer = await Country.transferTerritory(holder.id, this.id, own.boundaries, { transaction });
+        if (transfer.territory_km2 > 0) {
+          moved.push({ from_country_id: holder.id, to_country_id: this.id, ...transfer });
+        }
+      }
+
+      // Conquered land goes back to where it came from
+      const claimants = await sequelize.query(
+        `SELECT other.id, ST_AsGeoJSON(other.original_boundaries) AS boundaries
+         FROM countries other, countries self
+         WHERE self.id = :id AND other.id <> self.id
+           AND ST_Intersects(other.original_boundaries, ST_Difference(self.current_boundaries, self.original_boundaries))`,
+        { replacements: { id: this.id }, type: sequelize.QueryTypes.SELECT, transaction }
+      );
+
+      for (const claimant of claimants) {
+        const transfer = await Country.transferTerritory(this.id, claimant.id, claimant.boundaries, { transaction });
+        if (transfer.territory_km2 > 0) {
+          moved.push({ from_country_id: this.id, to_country_id: claimant.id, ...transfer });
+        }
+      }
+
+      const defaults = {};
+      for (const field of RESET_FIELDS) {
+        const { defaultValue } = Country.rawAttributes[field];
+        defaults[field] = typeof defaultValue === 'function' ? defaultValue() : (defaultValue === undefined ? null : defaultValue);
+      }
+
+      await this.reload({ transaction });
+      await this.update(defaults, { transaction });
+
+      return moved;
+    });
+
+    for (const transfer of transfers) {
+      tileCache.invalidateGeometry(transfer.territory);
+    }
+
+    return { ...released, transfers };
+  };
+
+  // Adjacency graph cache, rebuilt lazily after borders move here or on another instance.
+  // The generation keeps a build that started before an invalidation from being cached.
+  let adjacencyGraph = null;
+  let adjacencyBuiltAt = 0;
+  let adjacencyBuild = null;
+  let adjacencyGeneration = 0;
+
+  const dropAdjacencyGraph = () => {
+    adjacencyGraph = null;
+    adjacencyBuiltAt = 0;
+    adjacencyBuild = null;
+    adjacencyGeneration += 1;
+  };
+
+  cacheBus.on('adjacency', dropAdjacencyGraph);
+
+  // Static methods
+  Country.buildAdjacencyGraph = async function() {
+    // Distance in degrees under which two borders are considered shared,
+    // so slivers and gaps left by simplified boundaries still count
+    const tolerance = parseFloat(process.env.NEIGHBOR_TOLERANCE_DEGREES) || 0.01;
+
+    const rows = await sequelize.query(
+      `SELECT a.id AS country_id, b.id AS neighbor_id
+       FROM countries a
+       JOIN countries b
+         ON a.id < b.id
+        AND ST_DWithin(a.current_boundaries, b.current_boundaries, :tolerance)
+       WHERE NOT ST_IsEmpty(a.current_boundaries)
+         AND NOT ST_IsEmpty(b.current_boundaries)`,
+      {
+        replacements: { tolerance },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    const graph = new Map();
+    for (const row of rows) {
+      if (!graph.has(row.country_id)) graph.set(row.country_id, new Set());
+      if (!graph.has(row.neighbor_id)) graph.set(row.neighbor_id, new Set());
+
+      graph.get(row.country_id).add(row.neighbor_id);
+      graph.get(row.neighbor_id).add(row.country_id);
+    }
+
+    return graph;
+  };
+
+  Country.getAdjacencyGraph = async function() {
+    const ttl = parseInt(process.env.ADJACENCY_CACHE_TTL_MS) || 300000; // 5 minutes
+
+    if (adjacencyGraph && Date.now() - adjacencyBuiltAt < ttl) {
+      return adjacencyGraph;
+    }
+
+    // Share a single in-flight build between concurrent callers
+    if (!adjacencyBuild) {
+      const generation = adjacencyGeneration;
+      const build = Country.buildAdjacencyGraph()
+        .then((graph) => {
+          if (generation === adjacencyGeneration) {
+            adjacencyGraph = graph;
+            adjacencyBuiltAt = Date.now();
+          }
+          return graph;
+        })
+        .finally(() => {
+          if (adjacencyBuild === build) {
+            adjacencyBuild = null;
+          }
+        });
+      adjacencyBuild = build;
+    }
+
+    return await adjacencyBuild;
+  };
+
+  // Drops the graph here and on every other instance
+  Country.invalidateAdjacencyCache = function() {
+    dropAdjacencyGraph();
+    cacheBus.publish('adjacency');
+  };
+
+  // Boundary responses are versioned on boundaries_updated_at, which resource ticks and
+  // treasury writes leave alone, so unchanged geometry keeps its ETag
+  Country.getBoundariesVersion = async function(options = {}) {
+    const { countryId, bbox } = options;
+
+    const conditions = ['TRUE'];
+    if (countryId) {
+      conditions.push('id = :countryId');
+    }
+    if (bbox) {
+      conditions.push('current_boundaries && ST_MakeEnvelope(:minLng, :minLat, :maxLng, :maxLat, 4326)');
+    }
+
+    const [row] = await sequelize.query(
+      `SELECT COUNT(*) AS count, MAX(boundaries_updated_at) AS last_updated
+       FROM countries
+       WHERE ${conditions.join(' AND ')}`,
+      {
+        replacements: { ...bbox, countryId },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    const lastUpdated = row.last_updated ? new Date(row.last_updated).getTime() : 0;
+    return `${row.count}-${lastUpdated}`;
+  };
+
+  Country.getBoundaryFeatures = async function(options = {}) {
+    const { countryId, bbox, tolerance = 0 } = options;
+
+    const conditions = ['NOT ST_IsEmpty(current_boundaries)'];
+    if (countryId) {
+      conditions.push('id = :countryId');
+    }
+    if (bbox) {
+      conditions.push('current_boundaries && ST_MakeEnvelope(:minLng, :minLat, :maxLng, :maxLat, 4326)');
+    }
+
+    const rows = await sequelize.query(
+      `SELECT id, name, iso_code, color, is_claimed, owner_id, is_at_war,
+              ST_AsGeoJSON(
+                ST_SimplifyPreserveTopology(current_boundaries, :tolerance),
+                6
+              ) AS geometry
+       FROM countries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY name ASC`,
+      {
+        replacements: { ...bbox, countryId, tolerance },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    return rows.map(row => ({
+      type: 'Feature',
+      id: row.id,
+      properties: {
+        id: row.id,
+        name: row.name,
+        iso_code: row.iso_code,
+        color: row.color,
+        is_claimed: row.is_claimed,
+        owner_id: row.owner_id,
+        is_at_war: row.is_at_war
+      },
+      geometry: JSON.parse(row.geometry)
+    }));
+  };
+
+  Country.transferTerritory = async function(fromCountryId, toCountryId, territoryGeoJSON, options = {}) {
+    const { transaction } = options;
+
+    // Lock both countries so concurrent pushes see each other's borders
+    const before = await sequelize.query(
+      `SELECT id, ST_AsGeoJSON(current_boundaries) AS boundaries
+       FROM countries
+       WHERE id IN (:fromCountryId, :toCountryId)
+       FOR UPDATE`,
+      {
+        replacements: { fromCountryId, toCountryId },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    const [captured] = await sequelize.query(
+      `SELECT ST_AsGeoJSON(geom) AS geojson,
+              COALESCE(ST_Area(geom::geography), 0) / 1000000 AS area_km2
+       FROM (
+         SELECT ST_Multi(ST_CollectionExtract(ST_Intersection(
+           current_boundaries,
+           ST_SetSRID(ST_GeomFromGeoJSON(:territory), 4326)
+         ), 3)) AS geom
+         FROM countries
+         WHERE id = :fromCountryId
+       ) AS clipped`,
+      {
+        replacements: { fromCountryId, territory: territoryGeoJSON },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    const territoryKm2 = captured ? parseFloat(captured.area_km2) : 0;
+    const boundariesOf = (id) => {
+      const row = before.find(country => country.id === id);
+      return row && row.boundaries ? JSON.parse(row.boundaries) : null;
+    };
+
+    if (!territoryKm2) {
+      return {
+        territory_km2: 0,
+        territory: null,
+        from: { old_boundaries: boundariesOf(fromCountryId), new_boundaries: boundariesOf(fromCountryId) },
+        to: { old_boundaries: boundariesOf(toCountryId), new_boundaries: boundariesOf(toCountryId) }
+      };
+    }
+
+    const [lost] = await sequelize.query(
+      `UPDATE countries
+       SET current_boundaries = ST_Multi(ST_CollectionExtract(
+             ST_Difference(current_boundaries, ST_SetSRID(ST_GeomFromGeoJSON(:captured), 4326)), 3)),
+           territory_lost = territory_lost + :territoryKm2,
+           last_activity = NOW(),
+           boundaries_updated_at = NOW(),
+           updated_at = NOW()
+       WHERE id = :fromCountryId
+       RETURNING ST_AsGeoJSON(current_boundaries) AS boundaries`,
+      {
+        replacements: { fromCountryId, captured: captured.geojson, territoryKm2 },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    const [gained] = await sequelize.query(
+      `UPDATE countries
+       SET current_boundaries = ST_Multi(ST_CollectionExtract(
+             ST_Union(current_boundaries, ST_SetSRID(ST_GeomFromGeoJSON(:captured), 4326)), 3)),
+           territory_gained = territory_gained + :territoryKm2,
+           last_activity = NOW(),
+           boundaries_updated_at = NOW(),
+           updated_at = NOW()
+       WHERE id = :toCountryId
+       RETURNING ST_AsGeoJSON(current_boundaries) AS boundaries`,
+      {
+        replacements: { toCountryId, captured: captured.geojson, territoryKm2 },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    await sequelize.query(
+      `UPDATE countries
+       SET area_km2 = COALESCE(ST_Area(current_boundaries::geography), 0) / 1000000
+       WHERE id IN (:fromCountryId, :toCountryId)`,
+      {
+        replacements: { fromCountryId, toCountryId },
+        transaction
+      }
+    );
+
+    // Raw updates bypass model hooks, so drop the adjacency graph by hand
+    if (transaction) {
+      transaction.afterCommit(() => Country.invalidateAdjacencyCache());
+    } else {
+      Country.invalidateAdjacencyCache();
+    }
+
+    return {
+      territory_km2: territoryKm2,
+      territory: JSON.parse(captured.geojson),
+      from: { old_boundaries: boundariesOf(fromCountryId), new_boundaries: JSON.parse(lost.boundaries) },
+      to: { old_boundaries: boundariesOf(toCountryId), new_boundaries: JSON.parse(gained.boundaries) }
+    };
+  };
+
+  // Folds a defeated country into the victor: its remaining land, and as many of its
+  // soldiers as the victor has room for, change sides. Soldiers that do not fit (or all
+  // of them with ANNEX_SOLDIER_POLICY=free) become countryless. The annexed country is
+  // handed to the victor's owner and cannot be joined until it is freed again.
+  Country.annex = async function(loserCountryId, victorCountryId, options = {}) {
+    const { Player, War, Treaty, CountryHistory, CountryMembership } = sequelize.models;
+    const { warId = null, playerId = null } = options;
+    const policy = process.env.ANNEX_SOLDIER_POLICY === 'free' ? 'free' : 'reassign';
+
+    // Other wars of the loser end first, nobody is left to fight them
+    const otherWars = await War.findAll({
+      where: {
+        status: ['active', 'ceasefire'],
+        [sequelize.Sequelize.Op.or]: [
+          { aggressor_country_id: loserCountryId },
+          { defender_country_id: loserCountryId }
+        ]
+      }
+    });
+
+    for (const war of otherWars) {
+      await war.conclude(null, 'annexed', playerId);
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      const [loser, victor] = await Promise.all([
+        Country.findByPk(loserCountryId, { transaction, lock: transaction.LOCK.UPDATE }),
+        Country.findByPk(victorCountryId, { transaction, lock: transaction.LOCK.UPDATE })
+      ]);
+
+      if (!loser || !victor) {
+        throw new Error('Country not found');
+      }
+
+      if (loser.isAnnexed()) {
+        throw new Error('Country has already been annexed');
+      }
+
+      if (!victor.is_claimed) {
+        throw new Error('Only a claimed country can annex another');
+      }
+
+      // Whatever land the loser still holds moves to the victor in one piece
+      const [remaining] = await sequelize.query(
+        'SELECT ST_AsGeoJSON(current_boundaries) AS boundaries FROM countries WHERE id = :loserCountryId',
+        {
+          replacements: { loserCountryId },
+          type: sequelize.QueryTypes.SELECT,
+          transaction
+        }
+      );
+
+      const transfer = remaining && remaining.boundaries
+        ? await Country.transferTerritory(loserCountryId, victorCountryId, remaining.boundaries, { transaction })
+        : null;
+
+      // The owner goes first so they keep a place in the victor's ranks when there is room
+      const soldiers = (await Player.findAll({
+        where: { country_id: loserCountryId },
+        attributes: ['id'],
+        order: [['created_at', 'ASC']],
+        transaction
+      })).sort((a, b) => (b.id === loser.owner_id) - (a.id === loser.owner_id));
+
+      const room = policy === 'reassign' ? Math.max(victor.max_soldiers - victor.soldier_count, 0) : 0;
+      const reassigned = soldiers.slice(0, room).map(soldier => soldier.id);
+      const freed = soldiers.slice(room).map(soldier => soldier.id);
+
+      if (reassigned.length > 0) {
+        await Player.update(
+          { country_id: victorCountryId, country_joined_at: new Date() },
+          { where: { id: reassigned }, transaction }
+        );
+      }
+
+      if (freed.length > 0) {
+        await Player.update(
+          { country_id: null, country_joined_at: null, current_position: null },
+          { where: { id: freed }, transaction }
+        );
+      }
+
+      // Bulk updates skip the hooks that keep memberships in step; ranks do not carry over
+      await CountryMembership.destroy({ where: { country_id: loserCountryId }, transaction });
+      await CountryMembership.bulkCreate(
+        reassigned.map(playerId => ({
+          country_id: victorCountryId,
+          player_id: playerId,
+          rank: CountryMembership.defaultRank()
+        })),
+        { transaction }
+      );
+
+      // Treaties signed by a country that no longer exists lapse with it
+      await Treaty.update(
+        { status: 'expired', ended_at: new Date() },
+        {
+          where: {
+            status: ['proposed', 'active'],
+            [sequelize.Sequelize.Op.or]: [
+              { proposer_country_id: loserCountryId },
+              { recipient_country_id: loserCountryId }
+            ]
+          },
+          transaction
+        }
+      );
+
+      const previousOwnerId = loser.owner_id;
+
+      await loser.update({
+        owner_id: victor.owner_id,
+        annexed_by_country_id: victorCountryId,
+        annexed_at: new Date(),
+        soldier_count: 0,
+        is_at_war: false,
+        active_wars: 0
+      }, { transaction });
+
+      await victor.update({
+        soldier_count: victor.soldier_count + reassigned.length
+      }, { transaction });
+
+      if (previousOwnerId && previousOwnerId !== victor.owner_id) {
+        await Player.update(
+          { countries_owned: sequelize.literal('GREATEST(countries_owned - 1, 0)') },
+          { where: { id: previousOwnerId }, transaction }
+        );
+
+        await Player.increment(
+          { countries_owned: 1 },
+          { where: { id: victor.owner_id }, transaction }
+        );
+      }
+
+      return {
+        country_id: loserCountryId,
+        annexed_by_country_id: victorCountryId,
+        war_id: warId,
+        previous_owner_id: previousOwnerId,
+        new_owner_id: victor.owner_id,
+        territory_km2: transfer ? transfer.territory_km2 : 0,
+        transfer,
+        reassigned_soldiers: reassigned,
+        freed_soldiers: freed
+      };
+    });
+
+    if (result.transfer && result.transfer.territory_km2 > 0) {
+      tileCache.invalidateGeometry(result.transfer.territory);
+
+      const metadata = { war_id: warId, annexation: true, territory: result.transfer.territory };
+
+      await CountryHistory.recordBorderChanged(
+        victorCountryId,
+        playerId,
+        result.transfer.to.old_boundaries,
+        result.transfer.to.new_boundaries,
+        result.transfer.territory_km2,
+        { ...metadata, from_country_id: loserCountryId }
+      );
+
+      await CountryHistory.recordBorderChanged(
+        loserCountryId,
+        playerId,
+        result.transfer.from.old_boundaries,
+        result.transfer.from.new_boundaries,
+        -result.transfer.territory_km2,
+        { ...metadata, to_country_id: victorCountryId }
+      );
+    }
+
+    await CountryHistory.recordOwnerChanged(loserCountryId, result.previous_owner_id, result.new_owner_id, {
+      reason: 'annexed',
+      annexed_by_country_id: victorCountryId,
+      war_id: warId
+    });
+
+    for (const soldierId of result.freed_soldiers) {
+      await CountryHistory.recordSoldierLeft(loserCountryId, soldierId, { reason: 'annexed' });
+    }
+
+    for (const soldierId of result.reassigned_soldiers) {
+      await CountryHistory.recordSoldierLeft(loserCountryId, soldierId, { reason: 'annexed', to_country_id: victorCountryId });
+      await CountryHistory.recordSoldierJoined(victorCountryId, soldierId, { reason: 'annexed', from_country_id: loserCountryId });
+    }
+
+    return { ...result, ended_wars: otherWars };
+  };
+
+  // Claimed countries whose owner is banned, inactive for OWNER_INACTIVE_DAYS or no longer
+  // one of its soldiers, with the reason succession is due
+  Country.findOwnersToReplace = async function(now = new Date()) {
+    const inactiveDays = parseInt(process.env.OWNER_INACTIVE_DAYS) || 14;
+
+    return await sequelize.query(
+      `SELECT c.id, c.owner_id,
+              CASE
+                WHEN p.is_banned AND (p.ban_expires IS NULL OR p.ban_expires > :now) THEN 'owner_banned'
+                WHEN p.country_id IS DISTINCT FROM c.id THEN 'owner_left'
+                ELSE 'owner_inactive'
+              END AS reason
+       FROM countries c
+       JOIN players p ON p.id = c.owner_id
+       WHERE c.is_claimed = true
+         AND c.annexed_by_country_id IS NULL
+         AND (
+           (p.is_banned AND (p.ban_expires IS NULL OR p.ban_expires > :now))
+           OR p.country_id IS DISTINCT FROM c.id
+           OR (p.is_online = false AND p.last_active < CAST(:now AS timestamptz) - make_interval(days => :inactiveDays))
+         )`,
+      {
+        replacements: { inactiveDays, now },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+  };
+
+  // Bulk version of generateResources for every claimed country: the amounts are worked out
+  // here and applied in one statement. Resolves to one row per country with its new stockpile.
+  Country.generateResourcesForClaimed = async function() {
+    const countries = await Country.findAll({
+      where: { is_claimed: true, annexed_by_country_id: null },
+      attributes: [
+        'id', 'area_km2', 'population', 'terrain_type', 'resource_generation_rate',
+        'soldier_count', 'economy_profile'
+      ]
+    });
+
+    if (countries.length === 0) {
+      return [];
+    }
+
+    const generated = new Map();
+    const rows = countries.map((country) => {
+      const amounts = tickAmounts(country.getEconomy());
+      generated.set(country.id, amounts);
+      return [country.id, ...RESOURCE_TYPES.map(type => amounts[type])];
+    });
+
+    const updated = await sequelize.query(
+      `UPDATE countries c
+       SET food = GREATEST(c.food + v.food, 0),
+           materials = GREATEST(c.materials + v.materials, 0),
+           manpower = GREATEST(c.manpower + v.manpower, 0),
+           resources = GREATEST(c.resources + v.gold, 0),
+           updated_at = NOW()
+       FROM (VALUES :rows) AS v(id, food, materials, manpower, gold)
+       WHERE c.id = v.id::uuid
+       RETURNING c.id, c.food, c.materials, c.manpower, c.resources`,
+      {
+        replacements: { rows },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    return updated.map(row => ({
+      id: row.id,
+      resources: row.resources,
+      stockpile: { food: row.food, materials: row.materials, manpower: row.manpower, gold: row.resources },
+      generated: generated.get(row.id)
+    }));
+  };
+
+  // Measures the terrain features inside each claimed country's borders for the economy.
+  // Profiles older than maxAgeMinutes are recomputed; pass countryId to do just one country.
+  Country.refreshEconomyProfiles = async function(options = {}) {
+    const {
+      countryId = null,
+      maxAgeMinutes = parseInt(process.env.ECONOMY_PROFILE_REFRESH_MINUTES) || 15,
+      now = new Date()
+    } = options;
+
+    return await sequelize.query(
+      `UPDATE countries c
+       SET economy_profile = jsonb_build_object(
+             'forest_km2', p.forest_km2,
+             'mountain_km2', p.mountain_km2,
+             'desert_km2', p.desert_km2,
+             'wetland_km2', p.wetland_km2,
+             'river_km', p.river_km,
+             'cities', p.cities,
+             'computed_at', CAST(:now AS timestamptz)
+           )
+       FROM (
+         SELECT c.id,
+                COALESCE(SUM(ST_Area(ST_Intersection(t.geometry, c.current_boundaries)::geography))
+                  FILTER (WHERE t.feature_type = 'forest'), 0) / 1000000 AS forest_km2,
+                COALESCE(SUM(ST_Area(ST_Intersection(t.geometry, c.current_boundaries)::geography))
+                  FILTER (WHERE t.feature_type = 'mountain'), 0) / 1000000 AS mountain_km2,
+                COALESCE(SUM(ST_Area(ST_Intersection(t.geometry, c.current_boundaries)::geography))
+                  FILTER (WHERE t.feature_type = 'desert'), 0) / 1000000 AS desert_km2,
+                COALESCE(SUM(ST_Area(ST_Intersection(t.geometry, c.current_boundaries)::geography))
+                  FILTER (WHERE t.feature_type = 'wetland'), 0) / 1000000 AS wetland_km2,
+                COALESCE(SUM(ST_Length(ST_Intersection(t.geometry, c.current_boundaries)::geography))
+                  FILTER (WHERE t.feature_type = 'river'), 0) / 1000 AS river_km,
+                COUNT(t.id) FILTER (WHERE t.feature_type = 'city') AS cities
+         FROM countries c
+         LEFT JOIN terrain_features t
+           ON t.geometry && c.current_boundaries
+          AND ST_Intersects(t.geometry, c.current_boundaries)
+         WHERE c.is_claimed = true
+           AND (CAST(:countryId AS uuid) IS NULL OR c.id = CAST(:countryId AS uuid))
+           AND (
+             c.economy_profile IS NULL
+             OR (c.economy_profile->>'computed_at')::timestamptz < CAST(:now AS timestamptz) - make_interval(mins => :maxAgeMinutes)
+           )
+         GROUP BY c.id
+       ) AS p
+       WHERE c.id = p.id
+       RETURNING c.id`,
+      {
+        replacements: { countryId, maxAgeMinutes, now },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+  };
+
+  // Share of its strength a push keeps while its front is cut off from the capital
+  Country.getCutOffSupply = function() {
+    const supply = parseFloat(process.env.SUPPLY_CUT_OFF_MULTIPLIER);
+    return Number.isNaN(supply) ? 0.4 : Math.max(0.1, Math.min(supply, 1));
+  };
+
   // Associations
   Country.associate = function(models) {
     // A country belongs to an owner (player)
@@ -367,6 +1674,33 @@ module.exports = (sequelize, DataTypes) => {
       as: 'borderPushesFrom'
     });
     
+    // Ranks of the country's soldiers
+    Country.hasMany(models.CountryMembership, {
+      foreignKey: 'country_id',
+      as: 'memberships'
+    });
+
+    // Invite links, join requests and bans controlling who may join
+    Country.hasMany(models.CountryInvite, {
+      foreignKey: 'country_id',
+      as: 'invites'
+    });
+
+    Country.hasMany(models.CountryJoinRequest, {
+      foreignKey: 'country_id',
+      as: 'joinRequests'
+    });
+
+    Country.hasMany(models.ResourceLedger, {
+      foreignKey: 'country_id',
+      as: 'ledgerEntries'
+    });
+
+    Country.hasMany(models.CountryBan, {
+      foreignKey: 'country_id',
+      as: 'bans'
+    });
+
     // Country history for tracking changes
     Country.hasMany(models.CountryHistory, {
       foreignKey: 'country_id',
@@ -0,0 +1,82 @@
+module.exports = (sequelize, DataTypes) => {
+  const CountryBan = sequelize.define('CountryBan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    banned_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null means the ban lasts until lifted'
+    }
+  }, {
+    tableName: 'country_bans',
+    indexes: [
+      {
+        unique: true,
+        fields: ['country_id', 'player_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  CountryBan.prototype.isActive = function() {
+    return !this.expires_at || this.expires_at.getTime() > Date.now();
+  };
+
+  // Static methods
+  // The ban keeping a player out of a country, or null if they may join
+  CountryBan.findActive = async function(countryId, playerId) {
+    const ban = await CountryBan.findOne({ where: { country_id: countryId, player_id: playerId } });
+    return ban && ban.isActive() ? ban : null;
+  };
+
+  // Associations
+  CountryBan.associate = function(models) {
+    CountryBan.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    CountryBan.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+
+    CountryBan.belongsTo(models.Player, {
+      foreignKey: 'banned_by',
+      as: 'banner'
+    });
+  };
+
+  return CountryBan;
+};
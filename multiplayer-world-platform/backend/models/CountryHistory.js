@@ -24,7 +24,13 @@ module.exports = (sequelize, DataTypes) => {
         'territory_gained',
         'territory_lost',
         'soldier_joined',
-        'soldier_left'
+        'soldier_left',
+        'treaty_proposed',
+        'treaty_signed',
+        'treaty_rejected',
+        'treaty_broken',
+        'treaty_expired',
+        'rank_changed'
       ),
       allowNull: false
     },
@@ -174,7 +180,7 @@ module.exports = (sequelize, DataTypes) => {
       event_type: 'war_ended',
       war_id: warId,
       new_value: { winner_country_id: winnerCountryId },
-      description: winnerCountryId === countryId ? 'War won' : 'War lost',
+      description: winnerCountryId === null ? 'War ended without a winner' : (winnerCountryId === countryId ? 'War won' : 'War lost'),
       metadata
     });
   };
@@ -224,6 +230,37 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
+  CountryHistory.recordRankChanged = async function(countryId, playerId, memberId, oldRank, newRank, metadata = {}) {
+    return await CountryHistory.create({
+      country_id: countryId,
+      event_type: 'rank_changed',
+      player_id: playerId,
+      old_value: { player_id: memberId, rank: oldRank },
+      new_value: { player_id: memberId, rank: newRank },
+      description: `Player ${memberId} ${oldRank === newRank ? 'permissions changed' : `changed rank from ${oldRank} to ${newRank}`}`,
+      metadata
+    });
+  };
+
+  CountryHistory.recordTreatyEvent = async function(countryId, eventType, treaty, playerId, otherCountryId, metadata = {}) {
+    const action = eventType.replace('treaty_', '');
+
+    return await CountryHistory.create({
+      country_id: countryId,
+      event_type: eventType,
+      player_id: playerId,
+      related_country_id: otherCountryId,
+      war_id: treaty.war_id,
+      new_value: { treaty_id: treaty.id, treaty_type: treaty.treaty_type, status: treaty.status },
+      description: `${treaty.treaty_type.replace('_', '-')} treaty with country ${otherCountryId} ${action}`,
+      metadata: {
+        ...metadata,
+        treaty_id: treaty.id,
+        broken_by_country_id: treaty.broken_by_country_id
+      }
+    });
+  };
+
   // Query methods
   CountryHistory.getCountryTimeline = function(countryId, limit = 50) {
     return CountryHistory.findAll({
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const CountryInvite = sequelize.define('CountryInvite', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    code: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: 'Token used in the invite link'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    max_uses: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'Number of players the link admits (null means unlimited until it expires)'
+    },
+    uses: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'country_invites',
+    indexes: [
+      {
+        unique: true,
+        fields: ['code']
+      },
+      {
+        fields: ['country_id']
+      }
+    ],
+    hooks: {
+      beforeValidate: async (invite) => {
+        if (!invite.code) {
+          invite.code = crypto.randomBytes(12).toString('base64url');
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  CountryInvite.prototype.isUsable = function() {
+    return !this.revoked_at &&
+      this.expires_at.getTime() > Date.now() &&
+      (this.max_uses === null || this.uses < this.max_uses);
+  };
+
+  // Takes one use of the invite if it is still usable, in a single statement so two players
+  // cannot both take the last use. Resolves to false when the invite is spent, revoked or expired.
+  CountryInvite.prototype.claimUse = async function() {
+    const [row] = await sequelize.query(
+      `UPDATE country_invites
+       SET uses = uses + 1, updated_at = NOW()
+       WHERE id = :inviteId
+         AND revoked_at IS NULL
+         AND expires_at > NOW()
+         AND (max_uses IS NULL OR uses < max_uses)
+       RETURNING uses`,
+      {
+        replacements: { inviteId: this.id },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    if (!row) {
+      return false;
+    }
+
+    this.setDataValue('uses', row.uses);
+    return true;
+  };
+
+  // Gives back a use taken by claimUse when the join did not go through
+  CountryInvite.prototype.releaseUse = async function() {
+    await this.decrement('uses');
+  };
+
+  CountryInvite.prototype.getLink = function() {
+    const baseUrl = process.env.FRONTEND_URL || process.env.SOCKET_CORS_ORIGIN || 'http://localhost:3000';
+    return `${baseUrl}/join/${this.code}`;
+  };
+
+  CountryInvite.prototype.toInvitePayload = function() {
+    return {
+      id: this.id,
+      country_id: this.country_id,
+      code: this.code,
+      link: this.getLink(),
+      created_by: this.created_by,
+      expires_at: this.expires_at,
+      max_uses: this.max_uses,
+      uses: this.uses,
+      revoked_at: this.revoked_at
+    };
+  };
+
+  // Static methods
+  // The usable invite for a country with this code, or null
+  CountryInvite.findUsable = async function(countryId, code) {
+    if (!code) {
+      return null;
+    }
+
+    const invite = await CountryInvite.findOne({ where: { country_id: countryId, code } });
+    return invite && invite.isUsable() ? invite : null;
+  };
+
+  // Associations
+  CountryInvite.associate = function(models) {
+    CountryInvite.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    CountryInvite.belongsTo(models.Player, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return CountryInvite;
+};
@@ -0,0 +1,102 @@
+module.exports = (sequelize, DataTypes) => {
+  const CountryJoinRequest = sequelize.define('CountryJoinRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+      defaultValue: 'pending'
+    },
+    message: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'country_join_requests',
+    indexes: [
+      {
+        fields: ['country_id', 'status']
+      },
+      {
+        fields: ['player_id', 'status']
+      }
+    ]
+  });
+
+  // Instance methods
+  CountryJoinRequest.prototype.review = async function(status, reviewerId) {
+    if (this.status !== 'pending') {
+      throw new Error('Join request has already been handled');
+    }
+
+    this.status = status;
+    this.reviewed_by = reviewerId;
+    this.reviewed_at = new Date();
+    return await this.save();
+  };
+
+  // Static methods
+  CountryJoinRequest.findPending = function(countryId, playerId) {
+    return CountryJoinRequest.findOne({
+      where: { country_id: countryId, player_id: playerId, status: 'pending' }
+    });
+  };
+
+  // A player waits on one country at a time, so joining anywhere withdraws the rest
+  CountryJoinRequest.cancelPendingFor = function(playerId) {
+    return CountryJoinRequest.update(
+      { status: 'cancelled', reviewed_at: new Date() },
+      { where: { player_id: playerId, status: 'pending' } }
+    );
+  };
+
+  // Associations
+  CountryJoinRequest.associate = function(models) {
+    CountryJoinRequest.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    CountryJoinRequest.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+
+    CountryJoinRequest.belongsTo(models.Player, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+  };
+
+  return CountryJoinRequest;
+};
@@ -0,0 +1,182 @@
+module.exports = (sequelize, DataTypes) => {
+  const CountryMembership = sequelize.define('CountryMembership', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    rank: {
+      // Highest first, so ordering by rank puts generals at the top
+      type: DataTypes.ENUM('general', 'officer', 'soldier', 'recruit'),
+      defaultValue: 'soldier'
+    },
+    permissions: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Per-member overrides of the rank permissions, e.g. { kick: true }'
+    },
+    rank_changed_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    rank_changed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'country_memberships',
+    indexes: [
+      {
+        // A player serves one country at a time
+        unique: true,
+        fields: ['player_id']
+      },
+      {
+        fields: ['country_id', 'rank']
+      }
+    ]
+  });
+
+  CountryMembership.RANKS = ['general', 'officer', 'soldier', 'recruit'];
+
+  CountryMembership.PERMISSIONS = ['start_push', 'spend_resources', 'invite', 'kick'];
+
+  // What each rank may do without an override; owners may always do everything
+  CountryMembership.RANK_PERMISSIONS = {
+    general: ['start_push', 'spend_resources', 'invite', 'kick'],
+    officer: ['start_push', 'invite', 'kick'],
+    soldier: ['start_push'],
+    recruit: []
+  };
+
+  // Gold each rank may take from the treasury per window unless the owner sets otherwise;
+  // taking any at all still needs spend_resources
+  CountryMembership.DEFAULT_TREASURY_ALLOWANCES = {
+    general: 1000,
+    officer: 250,
+    soldier: 50,
+    recruit: 0
+  };
+
+  // Instance methods
+  CountryMembership.prototype.hasPermission = function(permission) {
+    const override = (this.permissions || {})[permission];
+    if (typeof override === 'boolean') {
+      return override;
+    }
+
+    return CountryMembership.RANK_PERMISSIONS[this.rank].includes(permission);
+  };
+
+  CountryMembership.prototype.getEffectivePermissions = function() {
+    return CountryMembership.PERMISSIONS.filter(permission => this.hasPermission(permission));
+  };
+
+  // Moves the member by steps ranks (positive promotes), stopping at general and recruit
+  CountryMembership.prototype.shiftRank = function(steps) {
+    const index = CountryMembership.RANKS.indexOf(this.rank) - steps;
+    return CountryMembership.RANKS[Math.min(Math.max(index, 0), CountryMembership.RANKS.length - 1)];
+  };
+
+  CountryMembership.prototype.toMemberPayload = function() {
+    return {
+      country_id: this.country_id,
+      player_id: this.player_id,
+      rank: this.rank,
+      permissions: this.getEffectivePermissions(),
+      overrides: this.permissions || {},
+      rank_changed_at: this.rank_changed_at
+    };
+  };
+
+  // Static methods
+  CountryMembership.defaultRank = function() {
+    const rank = process.env.COUNTRY_DEFAULT_RANK;
+    return CountryMembership.RANKS.includes(rank) ? rank : 'soldier';
+  };
+
+  // Replaces the player's membership with one for their current country (or none)
+  CountryMembership.syncForPlayer = async function(player, options = {}) {
+    const { transaction } = options;
+
+    await CountryMembership.destroy({ where: { player_id: player.id }, transaction });
+
+    if (!player.country_id) {
+      return null;
+    }
+
+    return await CountryMembership.create({
+      country_id: player.country_id,
+      player_id: player.id,
+      rank: options.rank || CountryMembership.defaultRank()
+    }, { transaction });
+  };
+
+  // Membership of a player in their current country. Soldiers who joined before ranks
+  // existed get a row with the default rank the first time it is needed.
+  CountryMembership.findForPlayer = async function(player) {
+    if (!player.country_id) {
+      return null;
+    }
+
+    const [membership] = await CountryMembership.findOrCreate({
+      where: { player_id: player.id, country_id: player.country_id },
+      defaults: { rank: CountryMembership.defaultRank() }
+    });
+
+    return membership;
+  };
+
+  CountryMembership.hasPermission = async function(country, player, permission) {
+    if (country.owner_id === player.id) {
+      return true;
+    }
+
+    if (player.country_id !== country.id) {
+      return false;
+    }
+
+    const membership = await CountryMembership.findForPlayer(player);
+    return membership.hasPermission(permission);
+  };
+
+  // Associations
+  CountryMembership.associate = function(models) {
+    CountryMembership.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    CountryMembership.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+
+    CountryMembership.belongsTo(models.Player, {
+      foreignKey: 'rank_changed_by',
+      as: 'rankChanger'
+    });
+  };
+
+  return CountryMembership;
+};
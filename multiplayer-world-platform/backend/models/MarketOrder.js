@@ -0,0 +1,391 @@
+const { STOCKPILE_COLUMNS } = require('../services/economy');
+
+module.exports = (sequelize, DataTypes) => {
+  const MarketOrder = sequelize.define('MarketOrder', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    placed_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    side: {
+      type: DataTypes.ENUM('buy', 'sell'),
+      allowNull: false
+    },
+    resource_type: {
+      type: DataTypes.ENUM('food', 'materials', 'manpower'),
+      allowNull: false,
+      comment: 'Goods traded; prices are always in gold'
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    filled_quantity: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    price_per_unit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: 'Highest gold price a buyer pays, or lowest a seller accepts, per unit'
+    },
+    escrow_remaining: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Held out of the country stockpile while the order is open: gold for buys, goods for sells'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'filled', 'cancelled', 'expired'),
+      defaultValue: 'open'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'market_orders',
+    indexes: [
+      {
+        fields: ['resource_type', 'side', 'status', 'price_per_unit']
+      },
+      {
+        fields: ['country_id', 'status']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  MarketOrder.RESOURCES = ['food', 'materials', 'manpower'];
+
+  // Adds delta to a country stockpile and resolves to the new balance
+  const adjustStockpile = async (countryId, resourceType, delta, transaction) => {
+    const column = STOCKPILE_COLUMNS[resourceType];
+
+    const [row] = await sequelize.query(
+      `UPDATE countries
+       SET ${column} = ${column} + :delta, updated_at = NOW()
+       WHERE id = :countryId
+       RETURNING ${column} AS balance`,
+      {
+        replacements: { countryId, delta },
+        type: sequelize.QueryTypes.SELECT,
+        transaction
+      }
+    );
+
+    return row.balance;
+  };
+
+  // Instance methods
+  MarketOrder.prototype.getRemaining = function() {
+    return this.quantity - this.filled_quantity;
+  };
+
+  // What the escrow of this order is held in
+  MarketOrder.prototype.getEscrowResource = function() {
+    return this.side === 'buy' ? 'gold' : this.resource_type;
+  };
+
+  MarketOrder.prototype.toOrderPayload = function() {
+    return {
+      id: this.id,
+      country_id: this.country_id,
+      placed_by: this.placed_by,
+      side: this.side,
+      resource_type: this.resource_type,
+      quantity: this.quantity,
+      filled_quantity: this.filled_quantity,
+      remaining: this.getRemaining(),
+      price_per_unit: this.price_per_unit,
+      escrow_remaining: this.escrow_remaining,
+      escrow_resource: this.getEscrowResource(),
+      status: this.status,
+      expires_at: this.expires_at,
+      closed_at: this.closed_at,
+      created_at: this.created_at
+    };
+  };
+
+  // Closes an open order and returns its escrow to the country stockpile
+  MarketOrder.prototype.close = async function(status, options = {}) {
+    const { ResourceLedger } = sequelize.models;
+
+    if (this.status !== 'open') {
+      throw new Error('Order is not open');
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      await this.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+      // Matched by a concurrent order in the meantime
+      if (this.status !== 'open') {
+        return this;
+      }
+
+      if (this.escrow_remaining > 0) {
+        const balance = await adjustStockpile(this.country_id, this.getEscrowResource(), this.escrow_remaining, transaction);
+        await ResourceLedger.recordCountryChange(this.country_id, 'market_release', this.getEscrowResource(), this.escrow_remaining, balance, {
+          actorId: options.playerId,
+          referenceType: 'market_order',
+          referenceId: this.id,
+          metadata: { reason: status },
+          transaction
+        });
+      }
+
+      this.escrow_remaining = 0;
+      this.status = status;
+      this.closed_at = new Date();
+      return await this.save({ transaction });
+    });
+  };
+
+  // Static methods
+  // Places an order, holds its escrow and matches it against the book at the resting
+  // orders' prices, best price first then oldest first. Countries at war with each other
+  // never trade. The gold a buy order escrows counts against the player's treasury allowance,
+  // like a withdrawal (options.membership saves looking it up).
+  // Resolves to { order, trades } or { order: null, code, reason }.
+  MarketOrder.place = async function(countryId, player, params, options = {}) {
+    const { Country, War, MarketTrade, ResourceLedger } = sequelize.models;
+    const { Op } = sequelize.Sequelize;
+    const playerId = player.id;
+    const { side, resource_type: resourceType, quantity, price_per_unit: price } = params;
+    const escrowResource = side === 'buy' ? 'gold' : resourceType;
+    const escrow = side === 'buy' ? quantity * price : quantity;
+
+    return await sequelize.transaction(async (transaction) => {
+      const country = await Country.findByPk(countryId, { transaction, lock: transaction.LOCK.UPDATE });
+      const available = country.getStockpile()[escrowResource];
+
+      if (available < escrow) {
+        return { order: null, code: 'insufficient_resources', reason: `Not enough ${escrowResource}. Required: ${escrow}, Available: ${available}` };
+      }
+
+      if (escrowResource === 'gold') {
+        const remaining = await country.getRemainingAllowance(player, { membership: options.membership, transaction });
+        if (remaining !== null && escrow > remaining) {
+          return { order: null, code: 'allowance_exceeded', reason: `This exceeds your treasury allowance. Remaining: ${remaining}` };
+        }
+      }
+
+      const maxOpenOrders = parseInt(process.env.MARKET_MAX_OPEN_ORDERS) || 20;
+      const openOrders = await MarketOrder.count({ where: { country_id: countryId, status: 'open' }, transaction });
+      if (openOrders >= maxOpenOrders) {
+        return { order: null, code: 'too_many_orders', reason: `A country may have at most ${maxOpenOrders} open orders` };
+      }
+
+      const order = await MarketOrder.create({
+        country_id: countryId,
+        placed_by: playerId,
+        side,
+        resource_type: resourceType,
+        quantity,
+        price_per_unit: price,
+        escrow_remaining: escrow,
+        expires_at: params.expires_at
+      }, { transaction });
+
+      const escrowBalance = await adjustStockpile(countryId, escrowResource, -escrow, transaction);
+      await ResourceLedger.recordCountryChange(countryId, 'market_escrow', escrowResource, -escrow, escrowBalance, {
+        actorId: playerId,
+        referenceType: 'market_order',
+        referenceId: order.id,
+        transaction
+      });
+
+      const embargoed = await War.findEnemyIds(countryId, { transaction });
+
+      const candidates = await MarketOrder.findAll({
+        where: {
+          side: side === 'buy' ? 'sell' : 'buy',
+          resource_type: resourceType,
+          status: 'open',
+          country_id: { [Op.notIn]: [countryId, ...embargoed] },
+          price_per_unit: side === 'buy' ? { [Op.lte]: price } : { [Op.gte]: price },
+          expires_at: { [Op.gt]: new Date() }
+        },
+        order: [
+          ['price_per_unit', side === 'buy' ? 'ASC' : 'DESC'],
+          ['created_at', 'ASC']
+        ],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const trades = [];
+
+      for (const resting of candidates) {
+        if (order.getRemaining() === 0) {
+          break;
+        }
+
+        const fill = Math.min(order.getRemaining(), resting.getRemaining());
+        const buyOrder = side === 'buy' ? order : resting;
+        const sellOrder = side === 'buy' ? resting : order;
+        const tradePrice = resting.price_per_unit;
+        const total = fill * tradePrice;
+
+        const trade = await MarketTrade.create({
+          buy_order_id: buyOrder.id,
+          sell_order_id: sellOrder.id,
+          buyer_country_id: buyOrder.country_id,
+          seller_country_id: sellOrder.country_id,
+          resource_type: resourceType,
+          quantity: fill,
+          price_per_unit: tradePrice,
+          total_price: total
+        }, { transaction });
+
+        // Both sides pay out of escrow; a buyer whose limit was above the price gets the difference back
+        buyOrder.escrow_remaining -= fill * buyOrder.price_per_unit;
+        sellOrder.escrow_remaining -= fill;
+
+        const credits = [
+          [buyOrder.country_id, resourceType, fill, 'market_fill'],
+          [sellOrder.country_id, 'gold', total, 'market_fill'],
+          [buyOrder.country_id, 'gold', fill * (buyOrder.price_per_unit - tradePrice), 'market_release']
+        ];
+
+        for (const [creditCountryId, creditResource, amount, entryType] of credits) {
+          if (amount <= 0) {
+            continue;
+          }
+
+          const balance = await adjustStockpile(creditCountryId, creditResource, amount, transaction);
+          await ResourceLedger.recordCountryChange(creditCountryId, entryType, creditResource, amount, balance, {
+            actorId: playerId,
+            referenceType: 'market_trade',
+            referenceId: trade.id,
+            transaction
+          });
+        }
+
+        for (const matched of [buyOrder, sellOrder]) {
+          matched.filled_quantity += fill;
+          if (matched.getRemaining() === 0) {
+            matched.status = 'filled';
+            matched.closed_at = new Date();
+          }
+        }
+
+        await resting.save({ transaction });
+        trades.push(trade);
+      }
+
+      await order.save({ transaction });
+      return { order, trades };
+    });
+  };
+
+  // Lapses open orders past their expiry and returns their escrow
+  MarketOrder.expireDue = async function(now = new Date()) {
+    const { Op } = sequelize.Sequelize;
+
+    const due = await MarketOrder.findAll({
+      where: {
+        status: 'open',
+        expires_at: { [Op.lte]: now }
+      }
+    });
+
+    for (const order of due) {
+      await order.close('expired');
+    }
+
+    return due;
+  };
+
+  // Open orders of a resource grouped into price levels, best prices first
+  MarketOrder.getOrderBook = async function(resourceType, options = {}) {
+    const depth = options.depth || 20;
+
+    const levels = await sequelize.query(
+      `SELECT side, price_per_unit,
+              SUM(quantity - filled_quantity)::int AS quantity,
+              COUNT(*)::int AS orders
+       FROM market_orders
+       WHERE resource_type = :resourceType
+         AND status = 'open'
+         AND expires_at > NOW()
+       GROUP BY side, price_per_unit`,
+      {
+        replacements: { resourceType },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    return {
+      resource_type: resourceType,
+      bids: levels
+        .filter(level => level.side === 'buy')
+        .sort((a, b) => b.price_per_unit - a.price_per_unit)
+        .slice(0, depth)
+        .map(({ side, ...level }) => level),
+      asks: levels
+        .filter(level => level.side === 'sell')
+        .sort((a, b) => a.price_per_unit - b.price_per_unit)
+        .slice(0, depth)
+        .map(({ side, ...level }) => level)
+    };
+  };
+
+  // Associations
+  MarketOrder.associate = function(models) {
+    MarketOrder.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    MarketOrder.belongsTo(models.Player, {
+      foreignKey: 'placed_by',
+      as: 'placer'
+    });
+
+    MarketOrder.hasMany(models.MarketTrade, {
+      foreignKey: 'buy_order_id',
+      as: 'buyTrades'
+    });
+
+    MarketOrder.hasMany(models.MarketTrade, {
+      foreignKey: 'sell_order_id',
+      as: 'sellTrades'
+    });
+  };
+
+  return MarketOrder;
+};
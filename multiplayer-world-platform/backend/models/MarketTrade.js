@@ -0,0 +1,142 @@
+module.exports = (sequelize, DataTypes) => {
+  const MarketTrade = sequelize.define('MarketTrade', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    buy_order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'market_orders',
+        key: 'id'
+      }
+    },
+    sell_order_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'market_orders',
+        key: 'id'
+      }
+    },
+    buyer_country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    seller_country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    resource_type: {
+      type: DataTypes.ENUM('food', 'materials', 'manpower'),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    price_per_unit: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Price of the order that was resting on the book'
+    },
+    total_price: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    tableName: 'market_trades',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['resource_type', 'created_at']
+      },
+      {
+        fields: ['buyer_country_id']
+      },
+      {
+        fields: ['seller_country_id']
+      }
+    ]
+  });
+
+  // Instance methods
+  MarketTrade.prototype.toTradePayload = function() {
+    return {
+      id: this.id,
+      buy_order_id: this.buy_order_id,
+      sell_order_id: this.sell_order_id,
+      buyer_country_id: this.buyer_country_id,
+      seller_country_id: this.seller_country_id,
+      resource_type: this.resource_type,
+      quantity: this.quantity,
+      price_per_unit: this.price_per_unit,
+      total_price: this.total_price,
+      created_at: this.created_at
+    };
+  };
+
+  // Static methods
+  MarketTrade.findRecent = function(options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+
+    if (options.resourceType) {
+      where.resource_type = options.resourceType;
+    }
+    if (options.countryId) {
+      where[Op.or] = [
+        { buyer_country_id: options.countryId },
+        { seller_country_id: options.countryId }
+      ];
+    }
+
+    return MarketTrade.findAll({
+      where,
+      include: [
+        { model: sequelize.models.Country, as: 'buyerCountry', attributes: ['id', 'name', 'color'] },
+        { model: sequelize.models.Country, as: 'sellerCountry', attributes: ['id', 'name', 'color'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: options.limit || 50
+    });
+  };
+
+  // Associations
+  MarketTrade.associate = function(models) {
+    MarketTrade.belongsTo(models.MarketOrder, {
+      foreignKey: 'buy_order_id',
+      as: 'buyOrder'
+    });
+
+    MarketTrade.belongsTo(models.MarketOrder, {
+      foreignKey: 'sell_order_id',
+      as: 'sellOrder'
+    });
+
+    MarketTrade.belongsTo(models.Country, {
+      foreignKey: 'buyer_country_id',
+      as: 'buyerCountry'
+    });
+
+    MarketTrade.belongsTo(models.Country, {
+      foreignKey: 'seller_country_id',
+      as: 'sellerCountry'
+    });
+  };
+
+  return MarketTrade;
+};
@@ -1,4 +1,5 @@
 const bcrypt = require('bcryptjs');
+const totp = require('../services/totp');
 
 module.exports = (sequelize, DataTypes) => {
   const Player = sequelize.define('Player', {
@@ -28,6 +29,35 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(255),
       allowNull: false
     },
+    email_verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the player confirmed they own their email address'
+    },
+    two_factor_enabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    two_factor_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Base32 TOTP secret, set once enrollment is confirmed'
+    },
+    two_factor_pending_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Secret being enrolled, until the first code confirms it'
+    },
+    two_factor_last_step: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Last TOTP time step accepted, so a code cannot be replayed'
+    },
+    two_factor_recovery_codes: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'SHA-256 hashes of the unused recovery codes'
+    },
     display_name: {
       type: DataTypes.STRING(100),
       allowNull: true,
@@ -96,6 +126,11 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    country_joined_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the player joined their current country, used for succession'
+    },
     role: {
       type: DataTypes.ENUM('player', 'moderator', 'admin'),
       defaultValue: 'player'
@@ -111,6 +146,14 @@ module.exports = (sequelize, DataTypes) => {
     ban_expires: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    chat_muted_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    chat_mute_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     tableName: 'players',
@@ -149,6 +192,12 @@ module.exports = (sequelize, DataTypes) => {
         if (player.changed('is_online') && player.is_online) {
           player.last_active = new Date();
         }
+      },
+      afterUpdate: async (player, options) => {
+        // Joining or leaving a country starts or ends the player's membership in it
+        if (player.changed('country_id')) {
+          await sequelize.models.CountryMembership.syncForPlayer(player, { transaction: options.transaction });
+        }
       }
     }
   });
@@ -161,6 +210,10 @@ module.exports = (sequelize, DataTypes) => {
   Player.prototype.toJSON = function() {
     const values = { ...this.get() };
     delete values.password_hash;
+    delete values.two_factor_secret;
+    delete values.two_factor_pending_secret;
+    delete values.two_factor_last_step;
+    delete values.two_factor_recovery_codes;
     return values;
   };
 
@@ -182,13 +235,110 @@ module.exports = (sequelize, DataTypes) => {
     return timeSinceLastMove >= cooldown;
   };
 
-  Player.prototype.consumeResources = function(amount) {
-    if (this.resources < amount) {
-      return false;
+  Player.prototype.isEmailVerified = function() {
+    return !!this.email_verified_at;
+  };
+
+  Player.prototype.isTwoFactorEnabled = function() {
+    return !!this.two_factor_enabled_at && !!this.two_factor_secret;
+  };
+
+  // Accepts a current authenticator code or an unused recovery code; each works once.
+  // Resolves to 'totp' or 'recovery' for an accepted code, null otherwise.
+  Player.prototype.verifyTwoFactor = async function(code) {
+    if (!this.isTwoFactorEnabled() || !code) {
+      return null;
     }
-    
-    this.resources -= amount;
-    return this.save();
+
+    const { Op } = sequelize.Sequelize;
+
+    const step = totp.findStep(this.two_factor_secret, code);
+    if (step !== null) {
+      // Only moves forward, so two requests with the same code cannot both pass
+      const [count] = await Player.update({ two_factor_last_step: step }, {
+        where: {
+          id: this.id,
+          [Op.or]: [
+            { two_factor_last_step: null },
+            { two_factor_last_step: { [Op.lt]: step } }
+          ]
+        }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+      this.two_factor_last_step = step;
+      return 'totp';
+    }
+
+    const hash = totp.hashRecoveryCode(code);
+    return await sequelize.transaction(async (transaction) => {
+      const locked = await Player.findByPk(this.id, {
+        attributes: ['id', 'two_factor_recovery_codes'],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const codes = locked.two_factor_recovery_codes || [];
+      if (!codes.includes(hash)) {
+        return null;
+      }
+
+      const remaining = codes.filter(existing => existing !== hash);
+      await Player.update({ two_factor_recovery_codes: remaining }, {
+        where: { id: this.id },
+        transaction
+      });
+
+      this.two_factor_recovery_codes = remaining;
+      return 'recovery';
+    });
+  };
+
+  // Replaces the recovery codes. Resolves to the new codes, which are not stored in the clear.
+  Player.prototype.resetRecoveryCodes = async function() {
+    const codes = totp.generateRecoveryCodes();
+    await this.update({ two_factor_recovery_codes: codes.map(totp.hashRecoveryCode) });
+    return codes;
+  };
+
+  Player.prototype.isChatMuted = function() {
+    return !!this.chat_muted_until && this.chat_muted_until.getTime() > Date.now();
+  };
+
+  // Spends the player's own resources. Charges given an entry ({ entryType, referenceType,
+  // referenceId, metadata }) are written to the resource ledger in the same transaction.
+  // Resolves to false, leaving the balance untouched, when the player cannot afford it.
+  Player.prototype.consumeResources = async function(amount, entry = null) {
+    return await sequelize.transaction(async (transaction) => {
+      // Checked and spent in one statement so concurrent charges cannot overdraw the pool
+      const [row] = await sequelize.query(
+        `UPDATE players
+         SET resources = resources - :amount, updated_at = NOW()
+         WHERE id = :playerId AND resources >= :amount
+         RETURNING resources`,
+        {
+          replacements: { playerId: this.id, amount },
+          type: sequelize.QueryTypes.SELECT,
+          transaction
+        }
+      );
+
+      if (!row) {
+        await this.reload({ attributes: ['resources'], transaction });
+        return false;
+      }
+
+      this.setDataValue('resources', row.resources);
+      this.changed('resources', false);
+
+      if (entry && amount > 0) {
+        await sequelize.models.ResourceLedger.recordPlayerCharge(this, entry.entryType, amount, { ...entry, transaction });
+      }
+
+      return this;
+    });
   };
 
   // Associations
@@ -222,6 +372,24 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'player_id',
       as: 'movementHistory'
     });
+
+    // Rank and permissions in the player's current country
+    Player.hasOne(models.CountryMembership, {
+      foreignKey: 'player_id',
+      as: 'membership'
+    });
+
+    // Chat messages sent by the player
+    Player.hasMany(models.ChatMessage, {
+      foreignKey: 'sender_id',
+      as: 'chatMessages'
+    });
+
+    // Mailed email verification and password reset tokens
+    Player.hasMany(models.AccountToken, {
+      foreignKey: 'player_id',
+      as: 'accountTokens'
+    });
   };
 
   return Player;
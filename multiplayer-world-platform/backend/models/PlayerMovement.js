@@ -59,6 +59,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'Speed in meters per second'
     },
+    terrain_modifier: {
+      type: DataTypes.FLOAT,
+      defaultValue: 1.0,
+      validate: {
+        min: 0.1,
+        max: 5.0
+      },
+      comment: 'Hardest terrain crossed along the movement path'
+    },
     resources_consumed: {
       type: DataTypes.INTEGER,
       defaultValue: 0,
@@ -109,11 +118,9 @@ module.exports = (sequelize, DataTypes) => {
     ],
     hooks: {
       beforeCreate: async (movement) => {
-        // Calculate distance if not provided
-        if (movement.from_position && movement.to_position && movement.distance_meters === 0) {
-          // In a real implementation, this would use PostGIS ST_Distance
-          // For now, using a simple approximation
-          movement.distance_meters = 100; // Placeholder
+        // Calculate distance on the spheroid if not provided
+        if (movement.distance_meters === 0) {
+          await movement.calculateDistance();
         }
         
         // Calculate speed if duration is provided
@@ -127,36 +134,195 @@ module.exports = (sequelize, DataTypes) => {
   // Instance methods
   PlayerMovement.prototype.validateMovement = async function() {
     // Check if movement is within country boundaries
-    // This would use PostGIS functions to check if points are within country polygons
-    
     if (!this.country_id) {
       this.is_valid = false;
       this.violation_reason = 'Movement outside of any country boundaries';
       return false;
     }
     
-    // Additional validation logic would go here
-    this.is_valid = true;
-    return true;
+    const [lng, lat] = this.to_position.coordinates;
+    const check = await PlayerMovement.checkPosition(this.country_id, lat, lng);
+
+    this.is_valid = check.isValid;
+    this.violation_reason = check.reason;
+    return check.isValid;
+  };
+
+  PlayerMovement.prototype.calculateDistance = async function() {
+    if (!this.from_position || !this.to_position) {
+      return this.distance_meters;
+    }
+
+    const [fromLng, fromLat] = this.from_position.coordinates;
+    const [toLng, toLat] = this.to_position.coordinates;
+
+    const [row] = await sequelize.query(
+      `SELECT ST_Distance(
+         ST_SetSRID(ST_MakePoint(:fromLng, :fromLat), 4326)::geography,
+         ST_SetSRID(ST_MakePoint(:toLng, :toLat), 4326)::geography
+       ) AS distance`,
+      {
+        replacements: { fromLng, fromLat, toLng, toLat },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    this.distance_meters = parseFloat(row.distance) || 0;
+    return this.distance_meters;
+  };
+
+  PlayerMovement.prototype.calculateTerrainModifier = async function() {
+    const { Country, TerrainFeature } = sequelize.models;
+    const [toLng, toLat] = this.to_position.coordinates;
+
+    // Countries without mapped terrain fall back to their national modifier
+    const country = this.country_id
+      ? await Country.findByPk(this.country_id, { attributes: ['id', 'terrain_modifier'] })
+      : null;
+    const fallback = country ? country.terrain_modifier : 1.0;
+
+    const terrain = this.from_position
+      ? await TerrainFeature.getModifierAlongPath(
+        { lat: this.from_position.coordinates[1], lng: this.from_position.coordinates[0] },
+        { lat: toLat, lng: toLng },
+        fallback
+      )
+      : await TerrainFeature.getModifierAt(toLat, toLng, fallback);
+
+    this.terrain_modifier = Math.max(0.1, Math.min(5.0, terrain.modifier));
+    return this.terrain_modifier;
   };
 
   PlayerMovement.prototype.calculateResourceCost = function() {
-    // Calculate resource cost based on distance and movement type
-    const baseCost = 1;
-    const distanceMultiplier = Math.ceil(this.distance_meters / 1000); // 1 resource per km
+    // Flat cost per movement type, made dearer by the terrain crossed
+    const terrainMultiplier = this.terrain_modifier || 1.0;
     
     switch (this.movement_type) {
       case 'run':
-        return baseCost * distanceMultiplier * 2;
+        return Math.ceil(2 * terrainMultiplier);
       case 'teleport':
-        return baseCost * distanceMultiplier * 10;
+        // Teleports skip the terrain in between
+        return 10;
       case 'walk':
       default:
-        return baseCost * distanceMultiplier;
+        return Math.ceil(1 * terrainMultiplier);
     }
   };
 
   // Static methods
+  // The movement types a player can ask for; spawns and border crossings are recorded by the server
+  PlayerMovement.PLAYER_MOVEMENT_TYPES = ['walk', 'run', 'teleport'];
+
+  // Moves a player who asked to: checks the destination, charges the move and records it.
+  // Resolves to { movement }, or { movement, code, reason } when the move is refused; movement
+  // is the rejected record kept for cheat detection, or null when nothing was recorded.
+  PlayerMovement.move = async function(player, { lat, lng, movementType = 'walk' }) {
+    if (!PlayerMovement.PLAYER_MOVEMENT_TYPES.includes(movementType)) {
+      return {
+        movement: null,
+        code: 'invalid_type',
+        reason: `Movement type must be one of ${PlayerMovement.PLAYER_MOVEMENT_TYPES.join(', ')}`
+      };
+    }
+
+    if (!player.country_id) {
+      return { movement: null, code: 'no_country', reason: 'You must join a country before moving' };
+    }
+
+    // Validate movement is within country boundaries (or a contested war zone)
+    const movement = PlayerMovement.build({
+      player_id: player.id,
+      from_position: player.current_position,
+      to_position: {
+        type: 'Point',
+        coordinates: [lng, lat]
+      },
+      country_id: player.country_id,
+      movement_type: movementType,
+      timestamp: new Date()
+    });
+
+    if (!(await movement.validateMovement())) {
+      // Keep rejected moves for cheat detection
+      await movement.save();
+      return { movement, code: 'invalid_movement', reason: movement.violation_reason };
+    }
+
+    // Cost from the movement type and the terrain crossed
+    await movement.calculateDistance();
+    await movement.calculateTerrainModifier();
+    movement.resources_consumed = movement.calculateResourceCost();
+
+    // Pay for the move before making it
+    const paid = await player.consumeResources(movement.resources_consumed, {
+      entryType: 'movement_cost',
+      referenceType: 'player_movement',
+      referenceId: movement.id,
+      metadata: { movement_type: movementType, distance_meters: movement.distance_meters }
+    });
+
+    if (!paid) {
+      return {
+        movement: null,
+        code: 'insufficient_resources',
+        reason: `Not enough resources for ${movementType}. Required: ${movement.resources_consumed}, Available: ${player.resources}`
+      };
+    }
+
+    await player.updatePosition(lat, lng);
+    await movement.save();
+
+    return { movement };
+  };
+
+  PlayerMovement.checkPosition = async function(countryId, lat, lng) {
+    // How far into enemy territory the contested zone of an active war reaches
+    const contestedMeters = parseFloat(process.env.CONTESTED_ZONE_METERS) || 5000;
+
+    const [row] = await sequelize.query(
+      `SELECT
+         ST_Contains(c.current_boundaries, p.geom) AS inside,
+         EXISTS (
+           SELECT 1
+           FROM wars w
+           JOIN countries e
+             ON e.id = CASE
+               WHEN w.aggressor_country_id = c.id THEN w.defender_country_id
+               ELSE w.aggressor_country_id
+             END
+           WHERE w.status = 'active'
+             AND (w.aggressor_country_id = c.id OR w.defender_country_id = c.id)
+             AND ST_Contains(e.current_boundaries, p.geom)
+             AND ST_DWithin(c.current_boundaries::geography, p.geom::geography, :contestedMeters)
+         ) AS contested
+       FROM countries c,
+            (SELECT ST_SetSRID(ST_MakePoint(:lng, :lat), 4326) AS geom) AS p
+       WHERE c.id = :countryId`,
+      {
+        replacements: { countryId, lat, lng, contestedMeters },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    if (!row) {
+      return { isValid: false, contested: false, reason: 'Country not found' };
+    }
+
+    if (row.inside) {
+      return { isValid: true, contested: false, reason: null };
+    }
+
+    if (row.contested) {
+      return { isValid: true, contested: true, reason: null };
+    }
+
+    return {
+      isValid: false,
+      contested: false,
+      reason: 'Movement outside of country boundaries'
+    };
+  };
+
   PlayerMovement.getPlayerTrail = function(playerId, limit = 100) {
     return PlayerMovement.findAll({
       where: { player_id: playerId },
@@ -0,0 +1,247 @@
+module.exports = (sequelize, DataTypes) => {
+  const Report = sequelize.define('Report', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    reporter_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    target_type: {
+      type: DataTypes.ENUM('player', 'chat_message', 'country'),
+      allowNull: false
+    },
+    target_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    reported_player_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Player the report is about: the target, the sender of the message or the owner of the country'
+    },
+    category: {
+      type: DataTypes.ENUM('cheating', 'abusive_chat', 'griefing', 'spam', 'other'),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    evidence: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Snapshot taken when the report was filed, e.g. the reported chat message'
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'investigating', 'actioned', 'dismissed'),
+      defaultValue: 'open'
+    },
+    assigned_to: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Moderator investigating the report'
+    },
+    resolved_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    resolution_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    actions: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Actions taken on resolution, e.g. [{ type: "ban", audit_entry_id }]'
+    }
+  }, {
+    tableName: 'reports',
+    indexes: [
+      {
+        fields: ['status', 'created_at']
+      },
+      {
+        fields: ['target_type', 'target_id']
+      },
+      {
+        fields: ['reporter_id']
+      },
+      {
+        fields: ['reported_player_id']
+      }
+    ]
+  });
+
+  Report.ACTIVE_STATUSES = ['open', 'investigating'];
+
+  // Statuses a report may move to from each status; actioned and dismissed are final
+  Report.TRANSITIONS = {
+    open: ['investigating', 'actioned', 'dismissed'],
+    investigating: ['open', 'actioned', 'dismissed'],
+    actioned: [],
+    dismissed: []
+  };
+
+  // Instance methods
+  Report.prototype.canTransitionTo = function(status) {
+    return Report.TRANSITIONS[this.status].includes(status);
+  };
+
+  Report.prototype.isResolved = function() {
+    return !Report.ACTIVE_STATUSES.includes(this.status);
+  };
+
+  // What the reporter sees of their own report; moderator notes stay internal
+  Report.prototype.toReporterPayload = function() {
+    return {
+      id: this.id,
+      target_type: this.target_type,
+      target_id: this.target_id,
+      category: this.category,
+      description: this.description,
+      status: this.status,
+      created_at: this.created_at,
+      resolved_at: this.resolved_at
+    };
+  };
+
+  // Static methods
+  // Resolves what a report points at, checking the reporter can see it.
+  // Returns { reportedPlayerId, evidence } or { error: { status, message } }.
+  Report.resolveTarget = async function(reporter, targetType, targetId) {
+    const { Player, ChatMessage, Country } = sequelize.models;
+
+    if (targetType === 'player') {
+      const player = await Player.findByPk(targetId, { attributes: ['id', 'username', 'display_name'] });
+      if (!player) {
+        return { error: { status: 404, message: 'Player not found' } };
+      }
+      return {
+        reportedPlayerId: player.id,
+        evidence: { username: player.username, display_name: player.display_name }
+      };
+    }
+
+    if (targetType === 'chat_message') {
+      const chatMessage = await ChatMessage.findByPk(targetId);
+      if (!chatMessage || chatMessage.isDeleted() || !chatMessage.isVisibleTo(reporter)) {
+        return { error: { status: 404, message: 'Chat message not found' } };
+      }
+      return {
+        reportedPlayerId: chatMessage.sender_id,
+        // Kept in case the message is deleted before a moderator looks at it
+        evidence: {
+          channel: chatMessage.channel,
+          message: chatMessage.message,
+          sent_at: chatMessage.created_at
+        }
+      };
+    }
+
+    const country = await Country.findByPk(targetId, { attributes: ['id', 'name', 'owner_id'] });
+    if (!country) {
+      return { error: { status: 404, message: 'Country not found' } };
+    }
+    return {
+      reportedPlayerId: country.owner_id,
+      evidence: { name: country.name, owner_id: country.owner_id }
+    };
+  };
+
+  Report.findActiveDuplicate = function(reporterId, targetType, targetId) {
+    return Report.findOne({
+      where: {
+        reporter_id: reporterId,
+        target_type: targetType,
+        target_id: targetId,
+        status: Report.ACTIVE_STATUSES
+      }
+    });
+  };
+
+  Report.countActiveBy = function(reporterId) {
+    return Report.count({
+      where: { reporter_id: reporterId, status: Report.ACTIVE_STATUSES }
+    });
+  };
+
+  // The moderation queue, oldest first so nothing waits forever
+  Report.findQueue = function(options = {}) {
+    const where = { status: options.status || Report.ACTIVE_STATUSES };
+
+    if (options.targetType) {
+      where.target_type = options.targetType;
+    }
+    if (options.category) {
+      where.category = options.category;
+    }
+    if (options.assignedTo) {
+      where.assigned_to = options.assignedTo;
+    }
+    if (options.reportedPlayerId) {
+      where.reported_player_id = options.reportedPlayerId;
+    }
+
+    const playerAttributes = ['id', 'username', 'display_name'];
+
+    return Report.findAndCountAll({
+      where,
+      include: [
+        { model: sequelize.models.Player, as: 'reporter', attributes: playerAttributes },
+        { model: sequelize.models.Player, as: 'reportedPlayer', attributes: [...playerAttributes, 'is_banned', 'chat_muted_until'] },
+        { model: sequelize.models.Player, as: 'assignee', attributes: playerAttributes }
+      ],
+      order: [['created_at', options.newestFirst ? 'DESC' : 'ASC']],
+      limit: options.limit || 50,
+      offset: options.offset || 0
+    });
+  };
+
+  // Associations
+  Report.associate = function(models) {
+    Report.belongsTo(models.Player, {
+      foreignKey: 'reporter_id',
+      as: 'reporter'
+    });
+
+    Report.belongsTo(models.Player, {
+      foreignKey: 'reported_player_id',
+      as: 'reportedPlayer'
+    });
+
+    Report.belongsTo(models.Player, {
+      foreignKey: 'assigned_to',
+      as: 'assignee'
+    });
+
+    Report.belongsTo(models.Player, {
+      foreignKey: 'resolved_by',
+      as: 'resolver'
+    });
+  };
+
+  return Report;
+};
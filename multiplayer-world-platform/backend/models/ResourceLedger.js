@@ -0,0 +1,268 @@
+module.exports = (sequelize, DataTypes) => {
+  const ResourceLedger = sequelize.define('ResourceLedger', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    entry_type: {
+      type: DataTypes.ENUM(
+        'donation',
+        'withdrawal',
+        'allocation',
+        'movement_cost',
+        'push_cost',
+        'treaty_penalty',
+        'market_escrow',
+        'market_release',
+        'market_fill'
+      ),
+      allowNull: false,
+      comment: 'donation: player to treasury; withdrawal and allocation: treasury to a player; market_*: trading; the rest are spent'
+    },
+    resource_type: {
+      type: DataTypes.ENUM('food', 'materials', 'manpower', 'gold'),
+      defaultValue: 'gold',
+      comment: 'Player resources and the country treasury are both counted in gold'
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Player whose own resources changed'
+    },
+    player_delta: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    player_balance: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Player resources after the entry'
+    },
+    country_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'countries',
+        key: 'id'
+      },
+      comment: 'Country whose treasury changed'
+    },
+    country_delta: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    country_balance: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Country treasury after the entry'
+    },
+    actor_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Player who made the movement happen, null for the game itself'
+    },
+    reference_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'What the resources were spent on, e.g. border_push, player_movement, treaty'
+    },
+    reference_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    note: {
+      type: DataTypes.STRING(200),
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {}
+    }
+  }, {
+    tableName: 'resource_ledger',
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['country_id', 'created_at']
+      },
+      {
+        fields: ['player_id', 'created_at']
+      },
+      {
+        fields: ['actor_id', 'entry_type', 'created_at']
+      },
+      {
+        fields: ['entry_type']
+      },
+      {
+        fields: ['reference_type', 'reference_id']
+      }
+    ],
+    hooks: {
+      // The ledger is an audit trail: entries are written once and never changed
+      beforeUpdate: () => {
+        throw new Error('Ledger entries cannot be changed');
+      },
+      beforeDestroy: () => {
+        throw new Error('Ledger entries cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Ledger entries cannot be changed');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Ledger entries cannot be deleted');
+      }
+    }
+  });
+
+  ResourceLedger.ENTRY_TYPES = [
+    'donation', 'withdrawal', 'allocation', 'movement_cost', 'push_cost', 'treaty_penalty',
+    'market_escrow', 'market_release', 'market_fill'
+  ];
+
+  // Entries drawn from a treasury by a member, counted against their rank allowance.
+  // Only gold counts, so the goods a sell order escrows do not.
+  ResourceLedger.SPENDING_TYPES = ['withdrawal', 'allocation', 'market_escrow'];
+
+  // Instance methods
+  ResourceLedger.prototype.toEntryPayload = function() {
+    return {
+      id: this.id,
+      entry_type: this.entry_type,
+      resource_type: this.resource_type,
+      amount: this.amount,
+      player_id: this.player_id,
+      player_delta: this.player_delta,
+      player_balance: this.player_balance,
+      country_id: this.country_id,
+      country_delta: this.country_delta,
+      country_balance: this.country_balance,
+      actor_id: this.actor_id,
+      reference_type: this.reference_type,
+      reference_id: this.reference_id,
+      note: this.note,
+      metadata: this.metadata,
+      created_at: this.created_at
+    };
+  };
+
+  // Static methods
+  ResourceLedger.recordPlayerCharge = async function(player, entryType, amount, options = {}) {
+    return await ResourceLedger.create({
+      entry_type: entryType,
+      amount,
+      player_id: player.id,
+      player_delta: -amount,
+      player_balance: player.resources,
+      actor_id: player.id,
+      reference_type: options.referenceType || null,
+      reference_id: options.referenceId || null,
+      metadata: options.metadata || {}
+    }, { transaction: options.transaction });
+  };
+
+  // A change to a country stockpile that no player pool takes part in (penalties, trading)
+  ResourceLedger.recordCountryChange = async function(countryId, entryType, resourceType, delta, balance, options = {}) {
+    return await ResourceLedger.create({
+      entry_type: entryType,
+      resource_type: resourceType,
+      amount: Math.abs(delta),
+      country_id: countryId,
+      country_delta: delta,
+      country_balance: balance,
+      actor_id: options.actorId || null,
+      reference_type: options.referenceType || null,
+      reference_id: options.referenceId || null,
+      metadata: options.metadata || {}
+    }, { transaction: options.transaction });
+  };
+
+  // Gold a member has taken out of the country treasury, or put into buy orders, since the given time
+  ResourceLedger.spentBy = async function(countryId, actorId, since, options = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const spent = await ResourceLedger.sum('amount', {
+      where: {
+        country_id: countryId,
+        actor_id: actorId,
+        entry_type: ResourceLedger.SPENDING_TYPES,
+        resource_type: 'gold',
+        created_at: { [Op.gte]: since }
+      },
+      transaction: options.transaction
+    });
+
+    return spent || 0;
+  };
+
+  // Filters: countryId, playerId, actorId, entryType, since, until, limit, offset
+  ResourceLedger.findEntries = function(options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {};
+
+    if (options.countryId) {
+      where.country_id = options.countryId;
+    }
+    if (options.playerId) {
+      where.player_id = options.playerId;
+    }
+    if (options.actorId) {
+      where.actor_id = options.actorId;
+    }
+    if (options.entryType) {
+      where.entry_type = options.entryType;
+    }
+    if (options.since || options.until) {
+      where.created_at = {};
+      if (options.since) where.created_at[Op.gte] = options.since;
+      if (options.until) where.created_at[Op.lt] = options.until;
+    }
+
+    return ResourceLedger.findAndCountAll({
+      where,
+      include: [
+        { model: sequelize.models.Player, as: 'player', attributes: ['id', 'username', 'display_name'] },
+        { model: sequelize.models.Player, as: 'actor', attributes: ['id', 'username', 'display_name'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: options.limit || 50,
+      offset: options.offset || 0
+    });
+  };
+
+  // Associations
+  ResourceLedger.associate = function(models) {
+    ResourceLedger.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+
+    ResourceLedger.belongsTo(models.Country, {
+      foreignKey: 'country_id',
+      as: 'country'
+    });
+
+    ResourceLedger.belongsTo(models.Player, {
+      foreignKey: 'actor_id',
+      as: 'actor'
+    });
+  };
+
+  return ResourceLedger;
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = (sequelize, DataTypes) => {
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    player_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    refresh_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the refresh token currently valid for this session'
+    },
+    previous_token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Token replaced by the last rotation; seeing it again means the session was stolen'
+    },
+    user_agent: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revoked_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'logout, revoked, revoked_all, token_reuse, banned, password_changed'
+    }
+  }, {
+    tableName: 'sessions',
+    indexes: [
+      {
+        fields: ['player_id', 'revoked_at']
+      },
+      {
+        fields: ['refresh_token_hash']
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+  const getExpiry = () => {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  };
+
+  // Instance methods
+  Session.prototype.isActive = function() {
+    return !this.revoked_at && this.expires_at.getTime() > Date.now();
+  };
+
+  // Replaces the refresh token; the old one stops working. Resolves to the new token.
+  Session.prototype.rotate = async function(options = {}) {
+    const refreshToken = newRefreshToken();
+
+    this.previous_token_hash = this.refresh_token_hash;
+    this.refresh_token_hash = hashToken(refreshToken);
+    this.last_used_at = new Date();
+    this.expires_at = getExpiry();
+    if (options.ipAddress) {
+      this.ip_address = options.ipAddress;
+    }
+    await this.save();
+
+    return refreshToken;
+  };
+
+  Session.prototype.revoke = async function(reason) {
+    if (this.revoked_at) {
+      return this;
+    }
+
+    this.revoked_at = new Date();
+    this.revoked_reason = reason;
+    return await this.save();
+  };
+
+  Session.prototype.toSessionPayload = function(currentSessionId = null) {
+    return {
+      id: this.id,
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at,
+      expires_at: this.expires_at,
+      current: this.id === currentSessionId
+    };
+  };
+
+  // Static methods
+  // Opens a session for a device. Resolves to { session, refreshToken }.
+  Session.start = async function(player, options = {}) {
+    const refreshToken = newRefreshToken();
+
+    const session = await Session.create({
+      player_id: player.id,
+      refresh_token_hash: hashToken(refreshToken),
+      user_agent: options.userAgent ? options.userAgent.slice(0, 500) : null,
+      ip_address: options.ipAddress || null,
+      expires_at: getExpiry()
+    });
+
+    return { session, refreshToken };
+  };
+
+  // Resolves to { session } for a usable refresh token, or { session: null, reason }.
+  // A token that was already rotated out revokes its whole session.
+  Session.findByRefreshToken = async function(refreshToken) {
+    const { Op } = sequelize.Sequelize;
+    const hash = hashToken(refreshToken);
+
+    const session = await Session.findOne({
+      where: {
+        [Op.or]: [
+          { refresh_token_hash: hash },
+          { previous_token_hash: hash }
+        ]
+      }
+    });
+
+    if (!session || !session.isActive()) {
+      return { session: null, reason: 'Refresh token is invalid or has expired' };
+    }
+
+    if (session.refresh_token_hash !== hash) {
+      await session.revoke('token_reuse');
+      return { session: null, reason: 'Refresh token was already used; the session has been revoked', revokedSession: session };
+    }
+
+    return { session };
+  };
+
+  Session.findActiveForPlayer = function(playerId) {
+    const { Op } = sequelize.Sequelize;
+
+    return Session.findAll({
+      where: {
+        player_id: playerId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+  };
+
+  // Revokes every active session of a player, except exceptSessionId if given.
+  // Resolves to the revoked sessions.
+  Session.revokeAllForPlayer = async function(playerId, reason, exceptSessionId = null) {
+    const sessions = (await Session.findActiveForPlayer(playerId))
+      .filter(session => session.id !== exceptSessionId);
+
+    for (const session of sessions) {
+      await session.revoke(reason);
+    }
+
+    return sessions;
+  };
+
+  // Associations
+  Session.associate = function(models) {
+    Session.belongsTo(models.Player, {
+      foreignKey: 'player_id',
+      as: 'player'
+    });
+  };
+
+  return Session;
+};
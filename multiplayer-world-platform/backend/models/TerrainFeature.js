@@ -0,0 +1,129 @@
+module.exports = (sequelize, DataTypes) => {
+  const TerrainFeature = sequelize.define('TerrainFeature', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    feature_type: {
+      type: DataTypes.ENUM('river', 'mountain', 'city', 'forest', 'desert', 'wetland'),
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    geometry: {
+      type: DataTypes.GEOMETRY,
+      allowNull: false,
+      comment: 'Point, line or polygon the modifier applies to'
+    },
+    modifier: {
+      type: DataTypes.FLOAT,
+      defaultValue: 1.0,
+      validate: {
+        min: 0.1,
+        max: 5.0
+      },
+      comment: 'Movement and push difficulty multiplier (higher is slower)'
+    },
+    buffer_meters: {
+      type: DataTypes.FLOAT,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: 'Distance around the geometry that still counts (e.g. river banks)'
+    },
+    source: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'File the feature was imported from'
+    }
+  }, {
+    tableName: 'terrain_features',
+    indexes: [
+      {
+        fields: ['feature_type']
+      },
+      {
+        fields: ['source']
+      },
+      {
+        fields: ['buffer_meters']
+      },
+      {
+        type: 'SPATIAL',
+        fields: ['geometry']
+      }
+    ]
+  });
+
+  // Default difficulty and reach for each feature type
+  TerrainFeature.DEFAULTS = {
+    river: { modifier: 2.0, buffer_meters: 250 },
+    mountain: { modifier: 2.5, buffer_meters: 0 },
+    city: { modifier: 1.5, buffer_meters: 0 },
+    forest: { modifier: 1.3, buffer_meters: 0 },
+    desert: { modifier: 1.2, buffer_meters: 0 },
+    wetland: { modifier: 1.8, buffer_meters: 0 }
+  };
+
+  // Static methods
+  TerrainFeature.sample = async function(geometrySql, replacements, fallback = 1.0) {
+    // Bounding-box prefilter as wide as the largest buffer, before the exact check. Degrees of
+    // longitude shrink towards the poles, so the box is widened for the highest latitude it reaches.
+    const [row] = await sequelize.query(
+      `WITH sample AS (
+         SELECT geom, reach.meters,
+                reach.meters / 110574.0 AS lat_degrees,
+                LEAST(GREATEST(ABS(ST_YMin(geom)), ABS(ST_YMax(geom))) + reach.meters / 110574.0, 89.0) AS max_lat
+         FROM (SELECT ${geometrySql} AS geom) AS g,
+              (SELECT COALESCE(MAX(buffer_meters), 0) AS meters FROM terrain_features) AS reach
+       )
+       SELECT MAX(t.modifier) AS modifier,
+              ARRAY_REMOVE(ARRAY_AGG(DISTINCT t.feature_type::text), NULL) AS feature_types
+       FROM terrain_features t, sample
+       WHERE t.geometry && ST_Expand(
+               sample.geom,
+               sample.meters / (111320.0 * COS(RADIANS(sample.max_lat))),
+               sample.lat_degrees
+             )
+         AND ST_DWithin(t.geometry::geography, sample.geom::geography, t.buffer_meters)`,
+      {
+        replacements,
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    if (!row || row.modifier === null) {
+      return { modifier: fallback, feature_types: [] };
+    }
+
+    return {
+      modifier: parseFloat(row.modifier),
+      feature_types: row.feature_types || []
+    };
+  };
+
+  TerrainFeature.getModifierAt = function(lat, lng, fallback = 1.0) {
+    return TerrainFeature.sample(
+      'ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)',
+      { lat, lng },
+      fallback
+    );
+  };
+
+  TerrainFeature.getModifierAlongPath = function(from, to, fallback = 1.0) {
+    return TerrainFeature.sample(
+      `ST_MakeLine(
+         ST_SetSRID(ST_MakePoint(:fromLng, :fromLat), 4326),
+         ST_SetSRID(ST_MakePoint(:toLng, :toLat), 4326)
+       )`,
+      { fromLat: from.lat, fromLng: from.lng, toLat: to.lat, toLng: to.lng },
+      fallback
+    );
+  };
+
+  return TerrainFeature;
+};
@@ -0,0 +1,454 @@
+const tileCache = require('../services/tileCache');
+
+module.exports = (sequelize, DataTypes) => {
+  const Treaty = sequelize.define('Treaty', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    treaty_type: {
+      type: DataTypes.ENUM('alliance', 'non_aggression', 'ceasefire', 'peace'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('proposed', 'active', 'rejected', 'cancelled', 'broken', 'expired'),
+      defaultValue: 'proposed'
+    },
+    proposer_country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    recipient_country_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    },
+    proposed_by: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'players',
+        key: 'id'
+      }
+    },
+    responded_by: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'players',
+        key: 'id'
+      },
+      comment: 'Player who accepted or rejected the proposal'
+    },
+    war_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'wars',
+        key: 'id'
+      },
+      comment: 'War a ceasefire pauses or a peace treaty ends'
+    },
+    terms: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Peace terms, e.g. { territory_transfers: [{ from_country_id, to_country_id, territory }] }'
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    duration_hours: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      },
+      comment: 'How long the treaty lasts once signed (null means until broken)'
+    },
+    signed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    broken_by_country_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'countries',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'treaties',
+    indexes: [
+      {
+        fields: ['proposer_country_id']
+      },
+      {
+        fields: ['recipient_country_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['war_id']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (treaty) => {
+        if (treaty.proposer_country_id === treaty.recipient_country_id) {
+          throw new Error('A country cannot sign a treaty with itself');
+        }
+      }
+    }
+  });
+
+  // Resources taken from a country that breaks a treaty of each type
+  Treaty.BREAK_PENALTIES = {
+    alliance: 0,
+    non_aggression: 500,
+    ceasefire: 250,
+    peace: 500
+  };
+
+  // Instance methods
+  Treaty.prototype.involves = function(countryId) {
+    return this.proposer_country_id === countryId || this.recipient_country_id === countryId;
+  };
+
+  Treaty.prototype.getOtherCountryId = function(countryId) {
+    return this.proposer_country_id === countryId ? this.recipient_country_id : this.proposer_country_id;
+  };
+
+  Treaty.prototype.isActive = function() {
+    return this.status === 'active' && (!this.expires_at || this.expires_at.getTime() > Date.now());
+  };
+
+  // Signs the treaty and applies its effects. Resolves to { transfers } with the territory
+  // transfers of a peace treaty, or { transfers: null, code, reason } when it can no longer be signed.
+  Treaty.prototype.accept = async function(playerId) {
+    const { War, BorderPush, Country, CountryHistory } = sequelize.models;
+    const now = new Date();
+    const transfers = [];
+
+    let war = null;
+    const refused = await sequelize.transaction(async (transaction) => {
+      // Lock the treaty and its war so a second accept, or the war ending, waits for this one
+      const treaty = await Treaty.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!treaty || treaty.status !== 'proposed') {
+        return { code: 'not_proposed', reason: `Treaty is ${treaty ? treaty.status : 'gone'}` };
+      }
+
+      if (this.war_id) {
+        war = await War.findByPk(this.war_id, { transaction, lock: transaction.LOCK.UPDATE });
+      }
+
+      if ((this.treaty_type === 'ceasefire' || this.treaty_type === 'peace') &&
+        (!war || !['active', 'ceasefire'].includes(war.status))) {
+        return { code: 'war_over', reason: 'The war this treaty would settle is already over' };
+      }
+
+      this.status = 'active';
+      this.responded_by = playerId;
+      this.signed_at = now;
+      this.expires_at = this.duration_hours
+        ? new Date(now.getTime() + this.duration_hours * 60 * 60 * 1000)
+        : null;
+      await this.save({ transaction });
+
+      if (this.treaty_type === 'ceasefire' || this.treaty_type === 'peace') {
+        // Fighting stops either way; pushes in flight keep what they already took
+        await BorderPush.cancelForWar(this.war_id, { transaction, now });
+      }
+
+      if (this.treaty_type === 'ceasefire' && war.status === 'active') {
+        await war.update({ status: 'ceasefire' }, { transaction });
+      }
+
+      if (this.treaty_type === 'peace') {
+        // Peace supersedes any ceasefire still holding in the same war
+        await Treaty.update(
+          { status: 'expired', ended_at: now },
+          { where: { war_id: this.war_id, treaty_type: 'ceasefire', status: 'active' }, transaction }
+        );
+
+        for (const transfer of (this.terms && this.terms.territory_transfers) || []) {
+          const result = await Country.transferTerritory(
+            transfer.from_country_id,
+            transfer.to_country_id,
+            transfer.territory,
+            { transaction }
+          );
+          transfers.push({ ...transfer, result });
+        }
+
+        const exchanged = transfers.reduce((total, transfer) => total + transfer.result.territory_km2, 0);
+        if (exchanged > 0) {
+          await War.increment(
+            { territory_exchanged: exchanged },
+            { where: { id: this.war_id }, transaction }
+          );
+        }
+      }
+
+      return null;
+    });
+
+    if (refused) {
+      return { transfers: null, ...refused };
+    }
+
+    if (this.treaty_type === 'peace') {
+      // The war may have ended another way since the treaty was signed
+      await war.reload();
+      if (war.status !== 'ended') {
+        await war.conclude(null, 'peace', playerId);
+      }
+    }
+
+    for (const transfer of transfers) {
+      if (transfer.result.territory_km2 <= 0) {
+        continue;
+      }
+
+      tileCache.invalidateGeometry(transfer.result.territory);
+
+      const metadata = { treaty_id: this.id, war_id: this.war_id, territory: transfer.result.territory };
+
+      await CountryHistory.recordBorderChanged(
+        transfer.to_country_id,
+        playerId,
+        transfer.result.to.old_boundaries,
+        transfer.result.to.new_boundaries,
+        transfer.result.territory_km2,
+        { ...metadata, from_country_id: transfer.from_country_id }
+      );
+
+      await CountryHistory.recordBorderChanged(
+        transfer.from_country_id,
+        playerId,
+        transfer.result.from.old_boundaries,
+        transfer.result.from.new_boundaries,
+        -transfer.result.territory_km2,
+        { ...metadata, to_country_id: transfer.to_country_id }
+      );
+    }
+
+    await Treaty.recordForBoth(this, 'treaty_signed', playerId);
+
+    return { transfers };
+  };
+
+  Treaty.prototype.reject = async function(playerId, countryId) {
+    if (this.status !== 'proposed') {
+      throw new Error('Treaty is not awaiting a response');
+    }
+
+    // The proposer withdrawing is a cancellation, the recipient declining a rejection
+    this.status = countryId === this.proposer_country_id ? 'cancelled' : 'rejected';
+    this.responded_by = playerId;
+    this.ended_at = new Date();
+    await this.save();
+
+    await Treaty.recordForBoth(this, 'treaty_rejected', playerId);
+    return this;
+  };
+
+  // Ends an active treaty early on behalf of one party, who pays the penalty for its type
+  Treaty.prototype.breakTreaty = async function(countryId, playerId) {
+    if (this.status !== 'active') {
+      throw new Error('Treaty is not active');
+    }
+
+    const { War, ResourceLedger } = sequelize.models;
+    const penalty = Treaty.BREAK_PENALTIES[this.treaty_type] || 0;
+
+    this.status = 'broken';
+    this.broken_by_country_id = countryId;
+    this.ended_at = new Date();
+    await this.save();
+
+    if (penalty > 0) {
+      const [row] = await sequelize.query(
+        `UPDATE countries AS c
+         SET resources = GREATEST(c.resources - :penalty, 0), updated_at = NOW()
+         FROM (SELECT id, resources FROM countries WHERE id = :countryId FOR UPDATE) AS prior
+         WHERE c.id = prior.id
+         RETURNING prior.resources - c.resources AS paid, c.resources AS balance`,
+        {
+          replacements: { countryId, penalty },
+          type: sequelize.QueryTypes.SELECT
+        }
+      );
+
+      // The treasury may hold less than the penalty; only what was paid is recorded
+      if (row && row.paid > 0) {
+        await ResourceLedger.recordCountryChange(countryId, 'treaty_penalty', 'gold', -row.paid, row.balance, {
+          actorId: playerId,
+          referenceType: 'treaty',
+          referenceId: this.id,
+          metadata: { treaty_type: this.treaty_type, penalty }
+        });
+      }
+    }
+
+    // Breaking a ceasefire resumes the war it paused
+    if (this.treaty_type === 'ceasefire' && this.war_id) {
+      await War.update(
+        { status: 'active' },
+        { where: { id: this.war_id, status: 'ceasefire' } }
+      );
+    }
+
+    await Treaty.recordForBoth(this, 'treaty_broken', playerId, { penalty });
+    return { penalty };
+  };
+
+  // Static methods
+  Treaty.recordForBoth = async function(treaty, eventType, playerId, metadata = {}) {
+    const { CountryHistory } = sequelize.models;
+
+    for (const countryId of [treaty.proposer_country_id, treaty.recipient_country_id]) {
+      await CountryHistory.recordTreatyEvent(
+        countryId,
+        eventType,
+        treaty,
+        playerId,
+        treaty.getOtherCountryId(countryId),
+        metadata
+      );
+    }
+  };
+
+  Treaty.findActiveBetween = function(countryId, otherCountryId, types = null) {
+    const { Op } = sequelize.Sequelize;
+    const where = {
+      status: 'active',
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { proposer_country_id: countryId, recipient_country_id: otherCountryId },
+            { proposer_country_id: otherCountryId, recipient_country_id: countryId }
+          ]
+        },
+        {
+          [Op.or]: [
+            { expires_at: null },
+            { expires_at: { [Op.gt]: new Date() } }
+          ]
+        }
+      ]
+    };
+
+    if (types) {
+      where.treaty_type = types;
+    }
+
+    return Treaty.findAll({ where });
+  };
+
+  Treaty.areAllied = async function(countryId, otherCountryId) {
+    const alliances = await Treaty.findActiveBetween(countryId, otherCountryId, ['alliance']);
+    return alliances.length > 0;
+  };
+
+  Treaty.findForCountry = function(countryId, options = {}) {
+    const { Op } = sequelize.Sequelize;
+    const where = {
+      [Op.or]: [
+        { proposer_country_id: countryId },
+        { recipient_country_id: countryId }
+      ]
+    };
+
+    if (options.status) {
+      where.status = options.status;
+    }
+
+    return Treaty.findAll({
+      where,
+      include: [
+        { model: sequelize.models.Country, as: 'proposerCountry', attributes: ['id', 'name', 'color'] },
+        { model: sequelize.models.Country, as: 'recipientCountry', attributes: ['id', 'name', 'color'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit: options.limit || 50
+    });
+  };
+
+  // Lapses treaties past their end date; a lapsed ceasefire lets the war resume
+  Treaty.expireDue = async function(now = new Date()) {
+    const { Op } = sequelize.Sequelize;
+    const { War } = sequelize.models;
+
+    const due = await Treaty.findAll({
+      where: {
+        status: 'active',
+        expires_at: { [Op.lte]: now }
+      }
+    });
+
+    for (const treaty of due) {
+      treaty.status = 'expired';
+      treaty.ended_at = now;
+      await treaty.save();
+
+      if (treaty.treaty_type === 'ceasefire' && treaty.war_id) {
+        await War.update(
+          { status: 'active' },
+          { where: { id: treaty.war_id, status: 'ceasefire' } }
+        );
+      }
+
+      await Treaty.recordForBoth(treaty, 'treaty_expired', null);
+    }
+
+    return due;
+  };
+
+  // Associations
+  Treaty.associate = function(models) {
+    Treaty.belongsTo(models.Country, {
+      foreignKey: 'proposer_country_id',
+      as: 'proposerCountry'
+    });
+
+    Treaty.belongsTo(models.Country, {
+      foreignKey: 'recipient_country_id',
+      as: 'recipientCountry'
+    });
+
+    Treaty.belongsTo(models.Player, {
+      foreignKey: 'proposed_by',
+      as: 'proposer'
+    });
+
+    Treaty.belongsTo(models.Player, {
+      foreignKey: 'responded_by',
+      as: 'responder'
+    });
+
+    Treaty.belongsTo(models.War, {
+      foreignKey: 'war_id',
+      as: 'war'
+    });
+  };
+
+  return Treaty;
+};
@@ -64,6 +64,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Reason for declaring war'
     },
+    end_reason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'How the war ended: manual, peace, abandoned, capital_captured, territory, exhaustion or max_duration'
+    },
     territory_exchanged: {
       type: DataTypes.FLOAT,
       defaultValue: 0,
@@ -159,7 +164,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       beforeUpdate: async (war) => {
         if (war.changed('status') && war.status === 'ended') {
-          war.ended_at = new Date();
+          war.ended_at = war.ended_at || new Date();
           
           // Calculate duration
           if (war.declared_at) {
@@ -212,21 +217,172 @@ module.exports = (sequelize, DataTypes) => {
     return this.declared_by === playerId;
   };
 
-  War.prototype.endWar = async function(endedBy, winnerCountryId = null, reason = null) {
-    if (this.status !== 'active') {
+  War.prototype.endWar = async function(endedBy, winnerCountryId = null, reason = null, now = new Date()) {
+    // A war paused by a ceasefire can still be ended, e.g. by a peace treaty
+    if (this.status !== 'active' && this.status !== 'ceasefire') {
       throw new Error('War is not active');
     }
     
     this.status = 'ended';
     this.ended_by = endedBy;
     this.winner_country_id = winnerCountryId;
-    this.ended_at = new Date();
+    this.end_reason = reason;
+    this.ended_at = now;
     
     return await this.save();
   };
 
-  War.prototype.getDuration = function() {
-    const endTime = this.ended_at || new Date();
+  // The conditions listed in WAR_VICTORY_CONDITIONS
+  War.victoryConditions = function() {
+    return (process.env.WAR_VICTORY_CONDITIONS || 'capital,territory,exhaustion,max_duration,abandoned')
+      .split(',')
+      .map(condition => condition.trim());
+  };
+
+  // Checks the configured victory conditions, in order of precedence.
+  // Returns { winnerCountryId, reason } when the war should end, otherwise null.
+  War.prototype.checkVictoryConditions = async function(now = new Date()) {
+    const conditions = War.victoryConditions();
+
+    const sides = await sequelize.query(
+      `SELECT c.id, c.resources, c.soldier_count, c.area_km2,
+              COALESCE(ST_Contains(enemy.current_boundaries, c.capital_position), false) AS capital_lost,
+              COALESCE((
+                SELECT SUM(bp.territory_gained) FROM border_pushes bp
+                WHERE bp.war_id = :warId AND bp.source_country_id = c.id
+              ), 0) AS gained_km2
+       FROM countries c
+       JOIN countries enemy ON enemy.id = CASE WHEN c.id = :aggressorId THEN :defenderId ELSE :aggressorId END
+       WHERE c.id IN (:aggressorId, :defenderId)`,
+      {
+        replacements: {
+          warId: this.id,
+          aggressorId: this.aggressor_country_id,
+          defenderId: this.defender_country_id
+        },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    const aggressor = sides.find(side => side.id === this.aggressor_country_id);
+    const defender = sides.find(side => side.id === this.defender_country_id);
+    if (!aggressor || !defender) {
+      return null;
+    }
+
+    aggressor.enemy = defender;
+    defender.enemy = aggressor;
+
+    // The side that meets a losing condition loses; if both do, nobody wins
+    const decide = (losing, reason) => {
+      const losers = [aggressor, defender].filter(losing);
+      if (losers.length === 0) {
+        return null;
+      }
+      return {
+        winnerCountryId: losers.length === 1 ? losers[0].enemy.id : null,
+        reason
+      };
+    };
+
+    // Always on: a country with no land left has lost whatever else is configured
+    const minArea = parseFloat(process.env.ANNEX_MIN_AREA_KM2) || 0.01;
+    const totalDefeat = decide(side => parseFloat(side.area_km2) < minArea, 'total_defeat');
+    if (totalDefeat) {
+      return totalDefeat;
+    }
+
+    if (conditions.includes('capital')) {
+      const outcome = decide(side => side.capital_lost, 'capital_captured');
+      if (outcome) {
+        return outcome;
+      }
+    }
+
+    if (conditions.includes('territory')) {
+      const threshold = parseFloat(process.env.WAR_VICTORY_TERRITORY_PERCENT) || 25;
+
+      const outcome = decide(side => {
+        const lost = parseFloat(side.enemy.gained_km2);
+        // Area the side had when the war started
+        const startingArea = parseFloat(side.area_km2) + lost - parseFloat(side.gained_km2);
+        return startingArea > 0 && (lost / startingArea) * 100 >= threshold;
+      }, 'territory');
+      if (outcome) {
+        return outcome;
+      }
+    }
+
+    if (conditions.includes('exhaustion')) {
+      const minResources = parseInt(process.env.WAR_EXHAUSTION_RESOURCES) || 0;
+
+      const outcome = decide(side => side.resources <= minResources || side.soldier_count <= 0, 'exhaustion');
+      if (outcome) {
+        return outcome;
+      }
+    }
+
+    if (conditions.includes('max_duration')) {
+      const maxHours = parseFloat(process.env.WAR_MAX_DURATION_HOURS) || 72;
+
+      if (this.getDuration(now) >= maxHours * 60) {
+        // Whoever holds more of the other's land when time runs out wins
+        const balance = parseFloat(aggressor.gained_km2) - parseFloat(defender.gained_km2);
+        return {
+          winnerCountryId: balance > 0 ? aggressor.id : (balance < 0 ? defender.id : null),
+          reason: 'max_duration'
+        };
+      }
+    }
+
+    return null;
+  };
+
+  // Ends the war with its final tally: pushes stop and both sides get a history entry
+  War.prototype.conclude = async function(winnerCountryId, reason, endedBy = null, now = new Date()) {
+    const { Op } = sequelize.Sequelize;
+    const { BorderPush, CountryHistory, Treaty } = sequelize.models;
+
+    // Pushes and peace terms update the running total with increments
+    await this.reload();
+
+    const [totals] = await sequelize.query(
+      `SELECT COALESCE(SUM(territory_gained), 0) AS territory_km2
+       FROM border_pushes WHERE war_id = :warId`,
+      {
+        replacements: { warId: this.id },
+        type: sequelize.QueryTypes.SELECT
+      }
+    );
+
+    this.territory_exchanged = Math.max(this.territory_exchanged, parseFloat(totals.territory_km2));
+    await this.endWar(endedBy, winnerCountryId, reason, now);
+
+    await BorderPush.cancelForWar(this.id, { now });
+
+    // Treaties still on the table, and a ceasefire still holding, lapse with the war
+    await Treaty.update(
+      { status: 'expired', ended_at: now },
+      {
+        where: {
+          war_id: this.id,
+          [Op.or]: [
+            { status: 'proposed' },
+            { status: 'active', treaty_type: 'ceasefire' }
+          ]
+        }
+      }
+    );
+
+    for (const countryId of [this.aggressor_country_id, this.defender_country_id]) {
+      await CountryHistory.recordWarEnded(countryId, this.id, winnerCountryId, { reason });
+    }
+
+    return this;
+  };
+
+  War.prototype.getDuration = function(now = new Date()) {
+    const endTime = this.ended_at || now;
     const startTime = this.declared_at;
     
     return Math.floor((endTime.getTime() - startTime.getTime()) / (1000 * 60)); // minutes
@@ -246,10 +402,33 @@ module.exports = (sequelize, DataTypes) => {
       duration_minutes: this.getDuration(),
       territory_exchanged: this.territory_exchanged,
       total_border_pushes: this.total_border_pushes,
-      winner_country_id: this.winner_country_id
+      winner_country_id: this.winner_country_id,
+      end_reason: this.end_reason
     };
   };
 
+  // Static methods
+  // Countries the given one is fighting, ceasefires included since the war is not over
+  War.findEnemyIds = async function(countryId, options = {}) {
+    const { Op } = sequelize.Sequelize;
+
+    const wars = await War.findAll({
+      where: {
+        status: { [Op.ne]: 'ended' },
+        [Op.or]: [
+          { aggressor_country_id: countryId },
+          { defender_country_id: countryId }
+        ]
+      },
+      attributes: ['aggressor_country_id', 'defender_country_id'],
+      transaction: options.transaction
+    });
+
+    return new Set(wars.map(war => (
+      war.aggressor_country_id === countryId ? war.defender_country_id : war.aggressor_country_id
+    )));
+  };
+
   // Associations
   War.associate = function(models) {
     // War belongs to aggressor country
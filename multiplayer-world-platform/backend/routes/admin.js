@@ -0,0 +1,553 @@
+const express = require('express');
+const Joi = require('joi');
+const { Player, Country, War, AdminAuditLog } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { banPlayer, unbanPlayer, checkModerationTarget } = require('../services/moderation');
+const { movePlayer, announceOwnerChanged } = require('../services/countryRooms');
+const { getPresence } = require('../sockets/socketHandler');
+
+const router = express.Router();
+
+// Validation schemas
+const banSchema = Joi.object({
+  reason: Joi.string().max(500).required(),
+  duration_hours: Joi.number().integer().min(1).max(24 * 365).optional()
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid('player', 'moderator', 'admin').required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const countryUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+  max_soldiers: Joi.number().integer().min(1).max(parseInt(process.env.MAX_PLAYERS_PER_COUNTRY) || 50).optional(),
+  defense_strength: Joi.number().min(0.1).max(5.0).optional(),
+  terrain_modifier: Joi.number().min(0.1).max(3.0).optional(),
+  resource_generation_rate: Joi.number().min(0.1).max(10.0).optional(),
+  resources: Joi.number().integer().min(0).optional(),
+  food: Joi.number().integer().min(0).optional(),
+  materials: Joi.number().integer().min(0).optional(),
+  manpower: Joi.number().integer().min(0).optional(),
+  join_policy: Joi.string().valid('open', 'invite', 'approval').optional(),
+  two_factor_required: Joi.boolean().optional(),
+  reason: Joi.string().max(500).optional()
+}).or(
+  'name', 'color', 'max_soldiers', 'defense_strength', 'terrain_modifier', 'resource_generation_rate',
+  'resources', 'food', 'materials', 'manpower', 'join_policy', 'two_factor_required'
+);
+
+const endWarSchema = Joi.object({
+  winner_country_id: Joi.string().uuid().allow(null).optional(),
+  reason: Joi.string().max(500).optional()
+});
+
+const auditQuerySchema = Joi.object({
+  admin_id: Joi.string().uuid().optional(),
+  action: Joi.string().valid(...AdminAuditLog.rawAttributes.action.values).optional(),
+  target_type: Joi.string().valid(...AdminAuditLog.rawAttributes.target_type.values).optional(),
+  target_id: Joi.string().uuid().optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const toPlayerSummary = (player) => ({
+  id: player.id,
+  username: player.username,
+  display_name: player.display_name,
+  role: player.role
+});
+
+const announceWarEnded = (io, war, endedBy, winnerCountryId = null) => {
+  io.emit('war:ended', {
+    war_id: war.id,
+    ended_by: endedBy.username,
+    winner_country_id: winnerCountryId,
+    reason: war.end_reason,
+    territory_exchanged: war.territory_exchanged,
+    duration_minutes: war.getDuration()
+  });
+};
+
+// Soldiers, wars and the owner a released country let go of
+const announceRelease = async (io, country, released, admin, reason) => {
+  for (const war of released.ended_wars) {
+    announceWarEnded(io, war, admin);
+  }
+
+  for (const playerId of released.freed_soldiers) {
+    await movePlayer(io, getPresence(), { player_id: playerId, from_country_id: country.id, to_country_id: null, reason });
+  }
+
+  if (released.was_claimed) {
+    announceOwnerChanged(io, { country, previousOwnerId: released.previous_owner_id, newOwner: null, reason });
+  }
+};
+
+// POST /api/admin/players/:playerId/ban - Ban a player and disconnect them (moderator only)
+router.post('/players/:playerId/ban', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = banSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const player = await Player.findByPk(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player not found'
+      });
+    }
+
+    const denied = checkModerationTarget(req.player, player);
+    if (denied) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: denied
+      });
+    }
+
+    const entry = await banPlayer(req.app.get('io'), player, {
+      moderator: req.player,
+      reason: value.reason,
+      durationHours: value.duration_hours,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Player banned successfully',
+      player: { ...toPlayerSummary(player), ban_reason: player.ban_reason, ban_expires: player.ban_expires },
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Player ban error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to ban player'
+    });
+  }
+});
+
+// DELETE /api/admin/players/:playerId/ban - Lift a ban (moderator only)
+router.delete('/players/:playerId/ban', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const player = await Player.findByPk(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player not found'
+      });
+    }
+
+    if (!player.is_banned) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Player is not banned'
+      });
+    }
+
+    const entry = await unbanPlayer(player, {
+      moderator: req.player,
+      reason: value.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Player unbanned successfully',
+      player: toPlayerSummary(player),
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Player unban error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unban player'
+    });
+  }
+});
+
+// PUT /api/admin/players/:playerId/role - Make a player a moderator or admin, or take it away (admin only)
+router.put('/players/:playerId/role', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = roleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (req.params.playerId === req.player.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const player = await Player.findByPk(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player not found'
+      });
+    }
+
+    if (player.role === value.role) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Player is already a ${value.role}`
+      });
+    }
+
+    const oldRole = player.role;
+    await player.update({ role: value.role });
+
+    const entry = await AdminAuditLog.record(req.player.id, 'role_changed', { type: 'player', id: player.id }, {
+      reason: value.reason,
+      changes: { before: { role: oldRole }, after: { role: value.role } },
+      ipAddress: req.ip
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      // Keep open sockets in step with the report queue room
+      if (['moderator', 'admin'].includes(value.role)) {
+        io.in(`player_${player.id}`).socketsJoin('moderators');
+      } else {
+        io.in(`player_${player.id}`).socketsLeave('moderators');
+      }
+
+      io.to(`player_${player.id}`).emit('player:role_changed', {
+        role: value.role,
+        old_role: oldRole,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: 'Role changed successfully',
+      player: toPlayerSummary(player),
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Role change error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to change role'
+    });
+  }
+});
+
+// POST /api/admin/countries/:countryId/unclaim - Take a country from its owner and soldiers (admin only)
+router.post('/countries/:countryId/unclaim', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.countryId);
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    if (!country.is_claimed) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Country is not claimed'
+      });
+    }
+
+    const released = await country.release({ changedBy: req.player.id, reason: 'admin_unclaimed' });
+
+    const entry = await AdminAuditLog.record(req.player.id, 'country_unclaimed', { type: 'country', id: country.id }, {
+      reason: value.reason,
+      changes: {
+        previous_owner_id: released.previous_owner_id,
+        freed_soldiers: released.freed_soldiers.length,
+        ended_wars: released.ended_wars.map(war => war.id),
+        cancelled_orders: released.cancelled_orders.length
+      },
+      ipAddress: req.ip
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await announceRelease(io, country, released, req.player, 'admin_unclaimed');
+    }
+
+    res.json({
+      message: 'Country unclaimed successfully',
+      country_id: country.id,
+      freed_soldiers: released.freed_soldiers.length,
+      ended_wars: released.ended_wars.length,
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Country unclaim error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unclaim country'
+    });
+  }
+});
+
+// POST /api/admin/countries/:countryId/reset - Unclaim a country and restore its original borders and defaults (admin only)
+router.post('/countries/:countryId/reset', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = reasonSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.countryId);
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const reset = await country.resetToOriginal({ changedBy: req.player.id, reason: 'admin_reset' });
+
+    const entry = await AdminAuditLog.record(req.player.id, 'country_reset', { type: 'country', id: country.id }, {
+      reason: value.reason,
+      changes: {
+        previous_owner_id: reset.previous_owner_id,
+        freed_soldiers: reset.freed_soldiers.length,
+        ended_wars: reset.ended_wars.map(war => war.id),
+        cancelled_orders: reset.cancelled_orders.length,
+        transfers: reset.transfers.map(transfer => ({
+          from_country_id: transfer.from_country_id,
+          to_country_id: transfer.to_country_id,
+          territory_km2: transfer.territory_km2
+        }))
+      },
+      ipAddress: req.ip
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      await announceRelease(io, country, reset, req.player, 'admin_reset');
+
+      for (const transfer of reset.transfers) {
+        io.emit('border:update', {
+          war_id: null,
+          territory_km2: transfer.territory_km2,
+          countries: [
+            { id: transfer.to_country_id, boundaries: transfer.to.new_boundaries },
+            { id: transfer.from_country_id, boundaries: transfer.from.new_boundaries }
+          ],
+          timestamp: new Date()
+        });
+      }
+    }
+
+    res.json({
+      message: 'Country reset successfully',
+      country_id: country.id,
+      freed_soldiers: reset.freed_soldiers.length,
+      ended_wars: reset.ended_wars.length,
+      territory_restored_km2: reset.transfers.reduce((total, transfer) => total + transfer.territory_km2, 0),
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Country reset error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reset country'
+    });
+  }
+});
+
+// PATCH /api/admin/countries/:countryId - Edit country attributes (admin only)
+router.patch('/countries/:countryId', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = countryUpdateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.countryId);
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const { reason, ...updates } = value;
+    const before = {};
+    for (const field of Object.keys(updates)) {
+      before[field] = country[field];
+    }
+
+    await country.update(updates);
+
+    const entry = await AdminAuditLog.record(req.player.id, 'country_updated', { type: 'country', id: country.id }, {
+      reason,
+      changes: { before, after: updates },
+      ipAddress: req.ip
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('country:updated', {
+        country_id: country.id,
+        changes: updates,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: 'Country updated successfully',
+      country,
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Country update error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update country'
+    });
+  }
+});
+
+// POST /api/admin/wars/:warId/end - End a war, optionally naming the winner (admin only)
+router.post('/wars/:warId/end', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = endWarSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const war = await War.findByPk(req.params.warId);
+    if (!war) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'War not found'
+      });
+    }
+
+    if (war.status !== 'active' && war.status !== 'ceasefire') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'War is not active'
+      });
+    }
+
+    const winnerCountryId = value.winner_country_id || null;
+    if (winnerCountryId && ![war.aggressor_country_id, war.defender_country_id].includes(winnerCountryId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'The winner must be one of the countries at war'
+      });
+    }
+
+    await war.conclude(winnerCountryId, 'admin', req.player.id);
+
+    const entry = await AdminAuditLog.record(req.player.id, 'war_ended', { type: 'war', id: war.id }, {
+      reason: value.reason,
+      changes: { winner_country_id: winnerCountryId },
+      ipAddress: req.ip
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      announceWarEnded(io, war, req.player, winnerCountryId);
+    }
+
+    res.json({
+      message: 'War ended successfully',
+      war: war.getWarSummary(),
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Admin end war error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to end war'
+    });
+  }
+});
+
+// GET /api/admin/audit-log - Search the admin audit log (admin only)
+router.get('/audit-log', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { rows, count } = await AdminAuditLog.findEntries({
+      adminId: value.admin_id,
+      action: value.action,
+      targetType: value.target_type,
+      targetId: value.target_id,
+      since: value.since,
+      until: value.until,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      entries: rows.map(entry => entry.toEntryPayload()),
+      total: count,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
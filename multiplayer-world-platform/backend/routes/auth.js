@@ -1,12 +1,23 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
-const { Player } = require('../models');
+const { Player, Session, AccountToken } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
+const { openSession, toTokenPayload, getClientInfo, generateTwoFactorChallenge, verifyTwoFactorChallenge, disconnectSessions } = require('../services/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mail');
+const totp = require('../services/totp');
 
 const router = express.Router();
 
 // Validation schemas
+const passwordRule = Joi.string()
+  .min(6)
+  .max(128)
+  .required()
+  .messages({
+    'string.min': 'Password must be at least 6 characters long',
+    'string.max': 'Password must be no more than 128 characters long'
+  });
+
 const registerSchema = Joi.object({
   username: Joi.string()
     .alphanum()
@@ -24,14 +35,7 @@ const registerSchema = Joi.object({
     .messages({
       'string.email': 'Please provide a valid email address'
     }),
-  password: Joi.string()
-    .min(6)
-    .max(128)
-    .required()
-    .messages({
-      'string.min': 'Password must be at least 6 characters long',
-      'string.max': 'Password must be no more than 128 characters long'
-    }),
+  password: passwordRule,
   display_name: Joi.string()
     .min(1)
     .max(100)
@@ -44,6 +48,20 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const twoFactorLoginSchema = Joi.object({
+  challenge_token: Joi.string().required(),
+  code: Joi.string().max(20).required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().max(20).required()
+});
+
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().max(20).required()
+});
+
 const updateProfileSchema = Joi.object({
   display_name: Joi.string()
     .min(1)
@@ -56,13 +74,86 @@ const updateProfileSchema = Joi.object({
     .allow('')
 });
 
-// Helper function to generate JWT token
-const generateToken = (playerId) => {
-  return jwt.sign(
-    { playerId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required()
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: passwordRule
+});
+
+const findLoginPlayer = (where) => {
+  return Player.findOne({
+    where,
+    include: [
+      {
+        model: require('../models').Country,
+        as: 'country',
+        attributes: ['id', 'name', 'is_claimed', 'owner_id']
+      }
+    ]
+  });
+};
+
+// Marks the player online and opens a session. Resolves to the body of a successful login.
+const completeLogin = async (player, req) => {
+  // Update player online status
+  await player.update({ 
+    is_online: true,
+    last_active: new Date()
+  });
+
+  // Open a session for this device
+  const tokens = await openSession(player, req);
+
+  return {
+    message: 'Login successful',
+    ...tokens,
+    player: {
+      id: player.id,
+      username: player.username,
+      email: player.email,
+      email_verified: player.isEmailVerified(),
+      two_factor_enabled: player.isTwoFactorEnabled(),
+      display_name: player.display_name,
+      avatar_url: player.avatar_url,
+      is_online: true,
+      country_id: player.country_id,
+      country: player.country,
+      current_position: player.current_position,
+      resources: player.resources,
+      countries_owned: player.countries_owned,
+      wars_declared: player.wars_declared,
+      wars_won: player.wars_won,
+      territory_conquered: player.territory_conquered,
+      total_playtime: player.total_playtime,
+      last_active: new Date()
+    }
+  };
+};
+
+// Issues a mailed token unless one went out recently. Resolves to false when throttled.
+// Mail failures are logged rather than failing the request that triggered them.
+const mailAccountToken = async (player, purpose) => {
+  const cooldown = (parseInt(process.env.ACCOUNT_EMAIL_COOLDOWN_SECONDS) || 60) * 1000;
+  const lastIssuedAt = await AccountToken.lastIssuedAt(player.id, purpose);
+  if (lastIssuedAt && Date.now() - lastIssuedAt.getTime() < cooldown) {
+    return false;
+  }
+
+  const { token } = await AccountToken.issue(player, purpose);
+  const send = purpose === 'password_reset' ? sendPasswordResetEmail : sendVerificationEmail;
+  await send(player, token).catch(error => console.error(`Account email (${purpose}) error:`, error));
+  return true;
 };
 
 // POST /api/auth/register - Register a new player
@@ -107,16 +198,19 @@ router.post('/register', async (req, res) => {
       is_online: true
     });
 
-    // Generate token
-    const token = generateToken(player.id);
+    // Open a session for this device
+    const tokens = await openSession(player, req);
+
+    await mailAccountToken(player, 'email_verification');
 
     res.status(201).json({
-      message: 'Player registered successfully',
-      token,
+      message: 'Player registered successfully, check your email to verify your address',
+      ...tokens,
       player: {
         id: player.id,
         username: player.username,
         email: player.email,
+        email_verified: false,
         display_name: player.display_name,
         avatar_url: player.avatar_url,
         is_online: player.is_online,
@@ -148,16 +242,7 @@ router.post('/login', async (req, res) => {
     const { username, password } = value;
 
     // Find player by username
-    const player = await Player.findOne({ 
-      where: { username },
-      include: [
-        {
-          model: require('../models').Country,
-          as: 'country',
-          attributes: ['id', 'name', 'is_claimed', 'owner_id']
-        }
-      ]
-    });
+    const player = await findLoginPlayer({ username });
 
     if (!player) {
       return res.status(401).json({
@@ -195,50 +280,464 @@ router.post('/login', async (req, res) => {
       }
     }
 
-    // Update player online status
-    await player.update({ 
-      is_online: true,
-      last_active: new Date()
+    // With two-factor authentication the password only earns a challenge for the second step
+    if (player.isTwoFactorEnabled()) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challenge_token: generateTwoFactorChallenge(player.id)
+      });
+    }
+
+    res.json(await completeLogin(player, req));
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to login'
     });
+  }
+});
+
+// POST /api/auth/login/two-factor - Finish a login with an authenticator or recovery code
+router.post('/login/two-factor', async (req, res) => {
+  try {
+    const { error, value } = twoFactorLoginSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const playerId = verifyTwoFactorChallenge(value.challenge_token);
+    if (!playerId) {
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Login has expired, please enter your password again'
+      });
+    }
+
+    const player = await findLoginPlayer({ id: playerId });
+    if (!player || player.is_banned) {
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Login has expired, please enter your password again'
+      });
+    }
+
+    const method = await player.verifyTwoFactor(value.code);
+    if (!method) {
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(player.id);
+    const body = await completeLogin(player, req);
+    if (method === 'recovery') {
+      body.recovery_codes_remaining = player.two_factor_recovery_codes.length;
+    }
+
+    res.json(body);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to login'
+    });
+  }
+});
+
+// GET /api/auth/two-factor - Two-factor authentication status
+router.get('/two-factor', authenticateToken, (req, res) => {
+  res.json({
+    enabled: req.player.isTwoFactorEnabled(),
+    enabled_at: req.player.two_factor_enabled_at,
+    recovery_codes_remaining: req.player.isTwoFactorEnabled() ? req.player.two_factor_recovery_codes.length : 0
+  });
+});
+
+// POST /api/auth/two-factor/setup - Start enrollment; returns the secret and an otpauth:// URL for a QR code
+router.post('/two-factor/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.player.isTwoFactorEnabled()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await req.player.update({ two_factor_pending_secret: secret });
 
     res.json({
-      message: 'Login successful',
-      token,
-      player: {
-        id: player.id,
-        username: player.username,
-        email: player.email,
-        display_name: player.display_name,
-        avatar_url: player.avatar_url,
-        is_online: true,
-        country_id: player.country_id,
-        country: player.country,
-        current_position: player.current_position,
-        resources: player.resources,
-        countries_owned: player.countries_owned,
-        wars_declared: player.wars_declared,
-        wars_won: player.wars_won,
-        territory_conquered: player.territory_conquered,
-        total_playtime: player.total_playtime,
-        last_active: new Date()
+      message: 'Scan the QR code with an authenticator app, then confirm with a code',
+      secret,
+      otpauth_url: totp.buildOtpAuthUrl(secret, req.player.email)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// POST /api/auth/two-factor/enable - Confirm enrollment with a code; returns the recovery codes once
+router.post('/two-factor/enable', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (req.player.isTwoFactorEnabled()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = req.player.two_factor_pending_secret;
+    if (!secret) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.findStep(secret, value.code);
+    if (step === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid code, check the time on your device and try again'
+      });
+    }
+
+    await req.player.update({
+      two_factor_secret: secret,
+      two_factor_pending_secret: null,
+      two_factor_last_step: step,
+      two_factor_enabled_at: new Date()
+    });
+    const recoveryCodes = await req.player.resetRecoveryCodes();
+
+    res.json({
+      message: 'Two-factor authentication enabled, store the recovery codes somewhere safe',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/two-factor/recovery-codes - Replace the recovery codes (needs a current code)
+router.post('/two-factor/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = twoFactorCodeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!await req.player.verifyTwoFactor(value.code)) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    const recoveryCodes = await req.player.resetRecoveryCodes();
+
+    res.json({
+      message: 'New recovery codes generated, the old ones no longer work',
+      recovery_codes: recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// POST /api/auth/two-factor/disable - Turn two-factor authentication off (needs the password and a code)
+router.post('/two-factor/disable', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = twoFactorDisableSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const player = await Player.findByPk(req.player.id);
+    if (!await player.validatePassword(value.password) || !await player.verifyTwoFactor(value.code)) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Invalid password or two-factor authentication code'
+      });
+    }
+
+    // An owner without a second factor could never pass, or lift, their own country's requirement
+    const guardedCountry = await require('../models').Country.findOne({
+      where: { owner_id: player.id, two_factor_required: true }
+    });
+    if (guardedCountry) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `${guardedCountry.name} requires two-factor authentication, turn that setting off first`
+      });
+    }
+
+    await player.update({
+      two_factor_secret: null,
+      two_factor_pending_secret: null,
+      two_factor_last_step: null,
+      two_factor_recovery_codes: [],
+      two_factor_enabled_at: null
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { session, reason, revokedSession } = await Session.findByRefreshToken(value.refresh_token);
+
+    if (!session) {
+      // A replayed token ends the session it came from, including its open sockets
+      if (revokedSession) {
+        disconnectSessions(req.app.get('io'), [revokedSession], 'token_reuse');
       }
+
+      return res.status(401).json({
+        error: 'Authentication Failed',
+        message: reason
+      });
+    }
+
+    const player = await Player.findByPk(session.player_id);
+    if (!player || (player.is_banned && (!player.ban_expires || new Date() < player.ban_expires))) {
+      await session.revoke('banned');
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Account is banned'
+      });
+    }
+
+    const refreshToken = await session.rotate({ ipAddress: getClientInfo(req).ipAddress });
+
+    res.json({
+      message: 'Token refreshed',
+      ...toTokenPayload(session, refreshToken)
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to login'
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// POST /api/auth/verify-email - Confirm an email address with the token mailed to it
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { error, value } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const accountToken = await AccountToken.consume(value.token, 'email_verification');
+    const player = accountToken && await Player.findByPk(accountToken.player_id);
+
+    if (!player || player.email !== accountToken.email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!player.isEmailVerified()) {
+      await player.update({ email_verified_at: new Date() });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`player_${player.id}`).emit('player:email_verified', {
+        email: player.email,
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: 'Email address verified',
+      email: player.email,
+      email_verified: true
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to verify email address'
+    });
+  }
+});
+
+// POST /api/auth/resend-verification - Mail a new verification link
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.player.isEmailVerified()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Email address is already verified'
+      });
+    }
+
+    const sent = await mailAccountToken(req.player, 'email_verification');
+    if (!sent) {
+      return res.status(429).json({
+        error: 'Rate Limited',
+        message: 'A verification email was sent recently, please wait before asking for another'
+      });
+    }
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
+// POST /api/auth/forgot-password - Mail a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    // Same answer whether or not the address is known, so it cannot be used to find accounts
+    const player = await Player.findOne({ where: { email: value.email } });
+    if (player) {
+      await mailAccountToken(player, 'password_reset');
+    }
+
+    res.json({
+      message: 'If an account uses this address, a password reset link has been sent to it'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+// POST /api/auth/reset-password - Set a new password with a mailed reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const accountToken = await AccountToken.consume(value.token, 'password_reset');
+    const player = accountToken && await Player.findByPk(accountToken.player_id);
+
+    if (!player || player.email !== accountToken.email) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Receiving the reset link proves the address belongs to the player
+    await player.update({
+      password_hash: value.password, // Will be hashed by the model hook
+      email_verified_at: player.email_verified_at || new Date()
+    });
+
+    // Whoever knew the old password is signed out everywhere
+    const sessions = await Session.revokeAllForPlayer(player.id, 'password_changed');
+    disconnectSessions(req.app.get('io'), sessions, 'password_changed');
+
+    res.json({
+      message: 'Password has been reset, please login with your new password'
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reset password'
     });
   }
 });
 
-// POST /api/auth/logout - Logout a player
+// POST /api/auth/logout - Logout a player and end the current session
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    await req.session.revoke('logout');
+    disconnectSessions(req.app.get('io'), [req.session], 'logout');
+
     // Update player offline status
     await req.player.update({ is_online: false });
 
@@ -255,6 +754,83 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/auth/sessions - List the player's active sessions (one per device)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForPlayer(req.player.id);
+
+    res.json({
+      sessions: sessions.map(session => session.toSessionPayload(req.session.id))
+    });
+
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId - Revoke one session and disconnect its sockets
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.sessionId, player_id: req.player.id }
+    });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+    disconnectSessions(req.app.get('io'), [session], 'revoked');
+
+    res.json({
+      message: 'Session revoked',
+      session_id: session.id,
+      current: session.id === req.session.id
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - Revoke all sessions (?keep_current=true spares this one)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true';
+
+    const sessions = await Session.revokeAllForPlayer(
+      req.player.id,
+      'revoked_all',
+      keepCurrent ? req.session.id : null
+    );
+    disconnectSessions(req.app.get('io'), sessions, 'revoked_all');
+
+    res.json({
+      message: `${sessions.length} session(s) revoked`,
+      revoked: sessions.map(session => session.id),
+      kept_current: keepCurrent
+    });
+
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke sessions'
+    });
+  }
+});
+
 // GET /api/auth/profile - Get current player profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -330,6 +906,8 @@ router.get('/verify', authenticateToken, (req, res) => {
       id: req.player.id,
       username: req.player.username,
       display_name: req.player.display_name,
+      email_verified: req.player.isEmailVerified(),
+      two_factor_enabled: req.player.isTwoFactorEnabled(),
       is_online: req.player.is_online,
       country_id: req.player.country_id,
       role: req.player.role
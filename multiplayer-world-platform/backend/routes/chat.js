@@ -0,0 +1,161 @@
+const express = require('express');
+const Joi = require('joi');
+const { ChatMessage, Player } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { deleteMessage } = require('../services/chat');
+const { mutePlayer, unmutePlayer } = require('../services/moderation');
+
+const router = express.Router();
+
+// Validation schemas
+const historyQuerySchema = Joi.object({
+  before: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const muteSchema = Joi.object({
+  duration_minutes: Joi.number().integer().min(1).max(60 * 24 * 30).required(),
+  reason: Joi.string().max(500).optional()
+});
+
+// GET /api/chat/:channel - Get chat history, newest page first (use ?before=<message id> for older pages)
+router.get('/:channel', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = historyQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const target = await ChatMessage.resolveChannel(req.player, req.params.channel, { read: true });
+    if (!target.allowed) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: target.reason
+      });
+    }
+
+    const messages = await ChatMessage.getHistory(target.channel, value);
+
+    res.json({
+      channel: target.channel,
+      messages: messages.map(message => message.toChatPayload(message.sender)),
+      // Cursor for the next (older) page
+      next_before: messages.length === value.limit ? messages[0].id : null
+    });
+
+  } catch (error) {
+    console.error('Chat history fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch chat history'
+    });
+  }
+});
+
+// DELETE /api/chat/messages/:id - Delete a chat message (moderator only)
+router.delete('/messages/:id', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const chatMessage = await ChatMessage.findByPk(req.params.id);
+
+    if (!chatMessage || chatMessage.isDeleted()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat message not found'
+      });
+    }
+
+    await deleteMessage(req.app.get('io'), chatMessage, req.player);
+
+    res.json({
+      message: 'Chat message deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Chat message delete error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete chat message'
+    });
+  }
+});
+
+// POST /api/chat/mutes/:playerId - Mute a player in chat (moderator only)
+router.post('/mutes/:playerId', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = muteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const player = await Player.findByPk(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player not found'
+      });
+    }
+
+    if (['moderator', 'admin'].includes(player.role) && req.player.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only admins can mute moderators'
+      });
+    }
+
+    await mutePlayer(req.app.get('io'), player, {
+      moderator: req.player,
+      durationMinutes: value.duration_minutes,
+      reason: value.reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Player muted successfully',
+      muted_until: player.chat_muted_until
+    });
+
+  } catch (error) {
+    console.error('Chat mute error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to mute player'
+    });
+  }
+});
+
+// DELETE /api/chat/mutes/:playerId - Unmute a player (moderator only)
+router.delete('/mutes/:playerId', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const player = await Player.findByPk(req.params.playerId);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player not found'
+      });
+    }
+
+    await unmutePlayer(req.app.get('io'), player, {
+      moderator: req.player,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      message: 'Player unmuted successfully'
+    });
+
+  } catch (error) {
+    console.error('Chat unmute error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to unmute player'
+    });
+  }
+});
+
+module.exports = router;
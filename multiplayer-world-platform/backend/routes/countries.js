@@ -1,16 +1,108 @@
 const express = require('express');
 const Joi = require('joi');
-const { Country, Player, CountryHistory } = require('../models');
-const { authenticateToken, requireCountryOwner, optionalAuth } = require('../middleware/auth');
+const { Country, Player, CountryHistory, CountryMembership, CountryInvite, CountryJoinRequest, CountryBan, ResourceLedger } = require('../models');
+const { authenticateToken, requireCountryOwner, requireCountryMember, requireCountryPermission, requireCountryTwoFactor, optionalAuth } = require('../middleware/auth');
+const { announceJoined, announceRemoved, announceOwnerChanged } = require('../services/countryRooms');
+const { getPresence } = require('../sockets/socketHandler');
 
 const router = express.Router();
 
 // Validation schemas
 const joinCountrySchema = Joi.object({
   spawn_lat: Joi.number().min(-90).max(90).optional(),
-  spawn_lng: Joi.number().min(-180).max(180).optional()
+  spawn_lng: Joi.number().min(-180).max(180).optional(),
+  invite_code: Joi.string().max(32).optional(),
+  message: Joi.string().max(500).optional()
 });
 
+const createInviteSchema = Joi.object({
+  expires_in_hours: Joi.number().integer().min(1).max(24 * 30).default(24),
+  max_uses: Joi.number().integer().min(1).max(1000).optional()
+});
+
+const kickSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+const countryBanSchema = Joi.object({
+  reason: Joi.string().max(500).optional(),
+  duration_hours: Joi.number().integer().min(1).max(24 * 365).optional()
+});
+
+const transferOwnershipSchema = Joi.object({
+  player_id: Joi.string().uuid().required()
+});
+
+const rankChangeSchema = Joi.object({
+  rank: Joi.string().valid(...CountryMembership.RANKS).optional()
+});
+
+const permissionsSchema = Joi.object({
+  // true grants, false revokes, null falls back to what the rank allows
+  permissions: Joi.object(
+    Object.fromEntries(CountryMembership.PERMISSIONS.map(permission => [permission, Joi.boolean().allow(null)]))
+  ).min(1).required()
+});
+
+const treasuryTransferSchema = Joi.object({
+  amount: Joi.number().integer().min(1).required(),
+  note: Joi.string().max(200).optional()
+});
+
+const treasuryAllocateSchema = Joi.object({
+  player_id: Joi.string().uuid().required(),
+  amount: Joi.number().integer().min(1).required(),
+  note: Joi.string().max(200).optional()
+});
+
+const treasuryAllowancesSchema = Joi.object(
+  Object.fromEntries(CountryMembership.RANKS.map(rank => [rank, Joi.number().integer().min(0).optional()]))
+).min(1);
+
+const ledgerQuerySchema = Joi.object({
+  player_id: Joi.string().uuid().optional(),
+  actor_id: Joi.string().uuid().optional(),
+  entry_type: Joi.string().valid(...ResourceLedger.ENTRY_TYPES).optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const boundariesQuerySchema = Joi.object({
+  bbox: Joi.string()
+    .pattern(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'bbox must be minLng,minLat,maxLng,maxLat'
+    }),
+  zoom: Joi.number().integer().min(0).max(22).optional()
+});
+
+// Simplify to roughly one pixel of a 256px tile at the requested zoom
+const getSimplifyTolerance = (zoom) => {
+  if (zoom === undefined) {
+    return 0;
+  }
+  return 360 / (256 * Math.pow(2, zoom));
+};
+
+const parseBbox = (bbox) => {
+  if (!bbox) {
+    return null;
+  }
+  const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(parseFloat);
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Answer 304 when the client already holds this version of the borders
+const checkEtag = (req, res, version) => {
+  const etag = `W/"${version}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+  return req.headers['if-none-match'] === etag;
+};
+
 // GET /api/countries - Get all countries with their status
 router.get('/', optionalAuth, async (req, res) => {
   try {
@@ -70,6 +162,88 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// GET /api/countries/boundaries - Get boundaries of all countries as a FeatureCollection
+router.get('/boundaries', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = boundariesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const bbox = parseBbox(value.bbox);
+    if (bbox && (bbox.minLng >= bbox.maxLng || bbox.minLat >= bbox.maxLat)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'bbox minimum must be below its maximum'
+      });
+    }
+
+    const version = await Country.getBoundariesVersion({ bbox });
+    if (checkEtag(req, res, `boundaries-${version}-${value.bbox || 'world'}-${value.zoom ?? 'full'}`)) {
+      return res.status(304).end();
+    }
+
+    const features = await Country.getBoundaryFeatures({
+      bbox,
+      tolerance: getSimplifyTolerance(value.zoom)
+    });
+
+    res.json({
+      type: 'FeatureCollection',
+      features
+    });
+
+  } catch (error) {
+    console.error('Bulk boundaries fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country boundaries'
+    });
+  }
+});
+
+// GET /api/countries/invites/:code - Look up an invite link before joining
+router.get('/invites/:code', optionalAuth, async (req, res) => {
+  try {
+    const invite = await CountryInvite.findOne({
+      where: { code: req.params.code },
+      include: [
+        {
+          model: Country,
+          as: 'country',
+          attributes: ['id', 'name', 'color', 'soldier_count', 'max_soldiers', 'join_policy']
+        }
+      ]
+    });
+
+    if (!invite || !invite.isUsable()) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Invite is invalid or has expired'
+      });
+    }
+
+    res.json({
+      invite: {
+        code: invite.code,
+        expires_at: invite.expires_at,
+        uses_left: invite.max_uses === null ? null : invite.max_uses - invite.uses
+      },
+      country: invite.country
+    });
+
+  } catch (error) {
+    console.error('Invite fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch invite'
+    });
+  }
+});
+
 // GET /api/countries/:id - Get specific country details
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
@@ -179,44 +353,70 @@ router.post('/:id/join', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if country can accept new soldiers
-    if (!country.canAcceptNewSoldier()) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Country has reached maximum soldier capacity'
+    const admission = await country.checkAdmission(req.player, value.invite_code);
+
+    if (admission.outcome === 'denied') {
+      const forbidden = ['banned', 'invite_required', 'invalid_invite', 'email_unverified'].includes(admission.code);
+      return res.status(forbidden ? 403 : 400).json({
+        error: forbidden ? 'Access Denied' : 'Bad Request',
+        message: admission.reason
+      });
+    }
+
+    const io = req.app.get('io');
+
+    // Approval required: queue the request for the country's officers
+    if (admission.outcome === 'request') {
+      const existing = await CountryJoinRequest.findPending(country.id, req.player.id);
+      if (existing) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: 'You already have a pending request to join this country'
+        });
+      }
+
+      const joinRequest = await CountryJoinRequest.create({
+        country_id: country.id,
+        player_id: req.player.id,
+        message: value.message || null
+      });
+
+      if (io) {
+        io.to(`country_${country.id}`).emit('country:join_requested', {
+          request_id: joinRequest.id,
+          player: {
+            id: req.player.id,
+            username: req.player.username,
+            display_name: req.player.display_name
+          },
+          message: joinRequest.message,
+          timestamp: new Date()
+        });
+      }
+
+      return res.status(202).json({
+        message: 'Join request submitted, waiting for approval',
+        join_request: joinRequest
       });
     }
 
     // If country is unclaimed, player becomes the owner
-    let becameOwner = false;
-    if (!country.is_claimed) {
-      await country.claimCountry(req.player.id);
-      becameOwner = true;
-      
-      // Record history
-      await CountryHistory.recordClaimed(country.id, req.player.id);
-      
-      // Update player stats
-      await req.player.increment('countries_owned');
-    } else {
-      // Just add as soldier
-      await country.addSoldier();
-      
-      // Record history
-      await CountryHistory.recordSoldierJoined(country.id, req.player.id);
-    }
-
-    // Update player's country and position
-    const updateData = { country_id: country.id };
-    
-    if (spawn_lat !== undefined && spawn_lng !== undefined) {
-      updateData.current_position = {
-        type: 'Point',
-        coordinates: [spawn_lng, spawn_lat]
-      };
+    const { becameOwner, reason } = await country.admit(req.player, admission, {
+      position: spawn_lat !== undefined && spawn_lng !== undefined
+        ? { type: 'Point', coordinates: [spawn_lng, spawn_lat] }
+        : null
+    });
+
+    if (becameOwner === null) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: reason
+      });
+    }
+
+    if (io) {
+      await announceJoined(io, getPresence(), country, req.player, { becameOwner });
     }
-    
-    await req.player.update(updateData);
 
     // Reload country with updated data
     const updatedCountry = await Country.findByPk(country.id, {
@@ -265,30 +465,24 @@ router.post('/:id/leave', authenticateToken, async (req, res) => {
       });
     }
 
-    const wasOwner = country.owner_id === req.player.id;
-
-    // Remove soldier from country
-    await country.removeSoldier();
-
-    // Update player
-    await req.player.update({ 
-      country_id: null,
-      current_position: null 
-    });
-
-    // Record history
-    await CountryHistory.recordSoldierLeft(country.id, req.player.id);
+    const { wasOwner, unclaimed, successor } = await country.leave(req.player);
 
-    // If was owner and country became unclaimed, update player stats
-    if (wasOwner && !country.is_claimed) {
-      await req.player.decrement('countries_owned');
-      await CountryHistory.recordUnclaimed(country.id, req.player.id);
+    // Soldiers remain, so one of them took over
+    const io = req.app.get('io');
+    if (successor && io) {
+      announceOwnerChanged(io, {
+        country,
+        previousOwnerId: req.player.id,
+        newOwner: successor,
+        reason: 'owner_left'
+      });
     }
 
     res.json({
       message: 'Left country successfully',
       was_owner: wasOwner,
-      country_unclaimed: wasOwner && !country.is_claimed
+      country_unclaimed: unclaimed,
+      new_owner_id: successor ? successor.id : null
     });
 
   } catch (error) {
@@ -300,6 +494,73 @@ router.post('/:id/leave', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/countries/:id/transfer-ownership - Hand the country to one of its soldiers (owner only)
+router.post('/:id/transfer-ownership', authenticateToken, requireCountryOwner, async (req, res) => {
+  try {
+    const { error, value } = transferOwnershipSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.player_id === req.player.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You already own this country'
+      });
+    }
+
+    const newOwner = await Player.findByPk(value.player_id, {
+      attributes: ['id', 'username', 'display_name', 'country_id', 'is_banned']
+    });
+
+    if (!newOwner || newOwner.country_id !== req.country.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Ownership can only be transferred to a soldier of this country'
+      });
+    }
+
+    if (newOwner.is_banned) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Ownership cannot be transferred to a banned player'
+      });
+    }
+
+    await req.country.transferOwnership(newOwner.id, { reason: 'transfer', changedBy: req.player.id });
+
+    const io = req.app.get('io');
+    if (io) {
+      announceOwnerChanged(io, {
+        country: req.country,
+        previousOwnerId: req.player.id,
+        newOwner,
+        reason: 'transfer'
+      });
+    }
+
+    res.json({
+      message: 'Country ownership transferred successfully',
+      country_id: req.country.id,
+      new_owner: {
+        id: newOwner.id,
+        username: newOwner.username,
+        display_name: newOwner.display_name
+      }
+    });
+
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to transfer country ownership'
+    });
+  }
+});
+
 // GET /api/countries/:id/soldiers - Get country soldiers
 router.get('/:id/soldiers', optionalAuth, async (req, res) => {
   try {
@@ -320,6 +581,13 @@ router.get('/:id/soldiers', optionalAuth, async (req, res) => {
         'id', 'username', 'display_name', 'avatar_url',
         'is_online', 'last_active', 'resources', 'movement_speed'
       ],
+      include: [
+        {
+          model: CountryMembership,
+          as: 'membership',
+          attributes: ['rank', 'permissions']
+        }
+      ],
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [
@@ -347,90 +615,1082 @@ router.get('/:id/soldiers', optionalAuth, async (req, res) => {
   }
 });
 
-// GET /api/countries/:id/history - Get country history
-router.get('/:id/history', optionalAuth, async (req, res) => {
+// Loads the membership of :playerId in the owner's country, answering 404 if there is none
+const loadMemberForOwner = async (req, res) => {
+  const member = await Player.findOne({
+    where: { id: req.params.playerId, country_id: req.country.id },
+    attributes: ['id', 'username', 'display_name', 'country_id']
+  });
+
+  if (!member) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Player is not a soldier of this country'
+    });
+    return null;
+  }
+
+  if (member.id === req.country.owner_id) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'The owner has no rank to change'
+    });
+    return null;
+  }
+
+  return { member, membership: await CountryMembership.findForPlayer(member) };
+};
+
+const changeRank = (direction) => async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
+    const { error, value } = rankChangeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
 
-    const country = await Country.findByPk(req.params.id);
-    if (!country) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Country not found'
+    const loaded = await loadMemberForOwner(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { member, membership } = loaded;
+    const oldRank = membership.rank;
+    const newRank = value.rank || membership.shiftRank(direction);
+    const order = CountryMembership.RANKS;
+
+    // An explicit rank still has to move in the direction of the endpoint
+    if (direction > 0 ? order.indexOf(newRank) >= order.indexOf(oldRank) : order.indexOf(newRank) <= order.indexOf(oldRank)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Cannot ${direction > 0 ? 'promote' : 'demote'} a ${oldRank} to ${newRank}`
       });
     }
 
-    const history = await CountryHistory.getCountryTimeline(req.params.id, parseInt(limit));
+    await membership.update({
+      rank: newRank,
+      rank_changed_by: req.player.id,
+      rank_changed_at: new Date()
+    });
+
+    await CountryHistory.recordRankChanged(req.country.id, req.player.id, member.id, oldRank, newRank);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`country_${req.country.id}`).emit('country:member_rank_changed', {
+        player: {
+          id: member.id,
+          username: member.username,
+          display_name: member.display_name
+        },
+        old_rank: oldRank,
+        ...membership.toMemberPayload(),
+        timestamp: new Date()
+      });
+    }
 
     res.json({
-      history
+      message: `Soldier ${direction > 0 ? 'promoted' : 'demoted'} successfully`,
+      membership: membership.toMemberPayload()
     });
 
   } catch (error) {
-    console.error('Country history fetch error:', error);
+    console.error('Rank change error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to fetch country history'
+      message: 'Failed to change soldier rank'
     });
   }
-});
+};
 
-// GET /api/countries/:id/boundaries - Get country boundaries (GeoJSON)
-router.get('/:id/boundaries', optionalAuth, async (req, res) => {
+// POST /api/countries/:id/members/:playerId/promote - Promote a soldier one rank, or to body.rank (owner only)
+router.post('/:id/members/:playerId/promote', authenticateToken, requireCountryOwner, changeRank(1));
+
+// POST /api/countries/:id/members/:playerId/demote - Demote a soldier one rank, or to body.rank (owner only)
+router.post('/:id/members/:playerId/demote', authenticateToken, requireCountryOwner, changeRank(-1));
+
+// PUT /api/countries/:id/members/:playerId/permissions - Grant or revoke single permissions (owner only)
+router.put('/:id/members/:playerId/permissions', authenticateToken, requireCountryOwner, async (req, res) => {
   try {
-    const country = await Country.findByPk(req.params.id, {
-      attributes: ['id', 'name', 'current_boundaries', 'original_boundaries', 'color']
+    const { error, value } = permissionsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const loaded = await loadMemberForOwner(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { member, membership } = loaded;
+    const permissions = { ...membership.permissions };
+
+    for (const [permission, granted] of Object.entries(value.permissions)) {
+      if (granted === null) {
+        delete permissions[permission];
+      } else {
+        permissions[permission] = granted;
+      }
+    }
+
+    await membership.update({ permissions });
+
+    await CountryHistory.recordRankChanged(req.country.id, req.player.id, member.id, membership.rank, membership.rank, {
+      permissions
     });
 
-    if (!country) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Country not found'
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`country_${req.country.id}`).emit('country:member_rank_changed', {
+        player: {
+          id: member.id,
+          username: member.username,
+          display_name: member.display_name
+        },
+        old_rank: membership.rank,
+        ...membership.toMemberPayload(),
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: 'Soldier permissions updated successfully',
+      membership: membership.toMemberPayload()
+    });
+
+  } catch (error) {
+    console.error('Permissions update error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update soldier permissions'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/invites - Create an invite link (invite permission)
+router.post('/:countryId/invites', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
+  try {
+    const { error, value } = createInviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
       });
     }
 
-    // In a real implementation, this would convert PostGIS geometry to GeoJSON
-    // For now, return placeholder GeoJSON
-    const geoJson = {
-      type: 'Feature',
-      properties: {
-        id: country.id,
-        name: country.name,
-        color: country.color
+    const invite = await CountryInvite.create({
+      country_id: req.country.id,
+      created_by: req.player.id,
+      expires_at: new Date(Date.now() + value.expires_in_hours * 60 * 60 * 1000),
+      max_uses: value.max_uses || null
+    });
+
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: invite.toInvitePayload()
+    });
+
+  } catch (error) {
+    console.error('Invite create error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create invite'
+    });
+  }
+});
+
+// GET /api/countries/:countryId/invites - List usable invite links (invite permission)
+router.get('/:countryId/invites', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
+  try {
+    const invites = await CountryInvite.findAll({
+      where: {
+        country_id: req.country.id,
+        revoked_at: null,
+        expires_at: { [require('sequelize').Op.gt]: new Date() }
       },
-      geometry: {
-        type: 'Polygon',
-        coordinates: [[
-          // Placeholder coordinates - would be actual country boundaries
-          [0, 0], [1, 0], [1, 1], [0, 1], [0, 0]
-        ]]
-      }
-    };
+      order: [['created_at', 'DESC']]
+    });
 
     res.json({
-      boundaries: geoJson
+      invites: invites.filter(invite => invite.isUsable()).map(invite => invite.toInvitePayload())
     });
 
   } catch (error) {
-    console.error('Boundaries fetch error:', error);
+    console.error('Invites fetch error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to fetch country boundaries'
+      message: 'Failed to fetch invites'
     });
   }
 });
 
-// PUT /api/countries/:id/settings - Update country settings (owner only)
-router.put('/:id/settings', authenticateToken, requireCountryOwner, async (req, res) => {
+// DELETE /api/countries/:countryId/invites/:inviteId - Revoke an invite link (invite permission)
+router.delete('/:countryId/invites/:inviteId', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
   try {
-    const { max_soldiers, defense_strength } = req.body;
-    
-    const updateData = {};
-    
-    if (max_soldiers !== undefined) {
-      const maxAllowed = parseInt(process.env.MAX_PLAYERS_PER_COUNTRY) || 50;
-      if (max_soldiers < 1 || max_soldiers > maxAllowed) {
-        return res.status(400).json({
+    const invite = await CountryInvite.findOne({
+      where: { id: req.params.inviteId, country_id: req.country.id }
+    });
+
+    if (!invite || invite.revoked_at) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Invite not found'
+      });
+    }
+
+    await invite.update({ revoked_at: new Date() });
+
+    res.json({
+      message: 'Invite revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Invite revoke error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke invite'
+    });
+  }
+});
+
+// GET /api/countries/:countryId/join-requests - Pending join requests (invite permission)
+router.get('/:countryId/join-requests', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
+  try {
+    const requests = await CountryJoinRequest.findAll({
+      where: { country_id: req.country.id, status: 'pending' },
+      include: [
+        {
+          model: Player,
+          as: 'player',
+          attributes: ['id', 'username', 'display_name', 'avatar_url', 'wars_won', 'last_active']
+        }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({ join_requests: requests });
+
+  } catch (error) {
+    console.error('Join requests fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch join requests'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/join-requests/:requestId/approve - Let a player in (invite permission)
+router.post('/:countryId/join-requests/:requestId/approve', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
+  try {
+    const joinRequest = await CountryJoinRequest.findOne({
+      where: { id: req.params.requestId, country_id: req.country.id, status: 'pending' },
+      include: [{ model: Player, as: 'player' }]
+    });
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Join request not found'
+      });
+    }
+
+    const applicant = joinRequest.player;
+
+    // The applicant may have joined somewhere else while waiting
+    if (applicant.country_id) {
+      await joinRequest.update({ status: 'cancelled', reviewed_at: new Date() });
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Player has already joined a country'
+      });
+    }
+
+    const admission = await req.country.checkAdmission(applicant);
+    if (admission.outcome === 'denied' && admission.code !== 'invite_required') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: admission.reason
+      });
+    }
+
+    await joinRequest.review('approved', req.player.id);
+    await req.country.enlist(applicant, { metadata: { join_request_id: joinRequest.id, approved_by: req.player.id } });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`player_${applicant.id}`).emit('country:join_request_reviewed', {
+        request_id: joinRequest.id,
+        country_id: req.country.id,
+        country_name: req.country.name,
+        status: 'approved',
+        timestamp: new Date()
+      });
+
+      await announceJoined(io, getPresence(), req.country, applicant, { reason: 'join_approved' });
+    }
+
+    res.json({
+      message: 'Join request approved',
+      join_request: joinRequest
+    });
+
+  } catch (error) {
+    console.error('Join request approve error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to approve join request'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/join-requests/:requestId/reject - Turn a player away (invite permission)
+router.post('/:countryId/join-requests/:requestId/reject', authenticateToken, requireCountryMember, requireCountryPermission('invite'), async (req, res) => {
+  try {
+    const joinRequest = await CountryJoinRequest.findOne({
+      where: { id: req.params.requestId, country_id: req.country.id, status: 'pending' }
+    });
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Join request not found'
+      });
+    }
+
+    await joinRequest.review('rejected', req.player.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`player_${joinRequest.player_id}`).emit('country:join_request_reviewed', {
+        request_id: joinRequest.id,
+        country_id: req.country.id,
+        country_name: req.country.name,
+        status: 'rejected',
+        timestamp: new Date()
+      });
+    }
+
+    res.json({
+      message: 'Join request rejected',
+      join_request: joinRequest
+    });
+
+  } catch (error) {
+    console.error('Join request reject error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reject join request'
+    });
+  }
+});
+
+// DELETE /api/countries/:id/join-request - Withdraw your own pending join request
+router.delete('/:id/join-request', authenticateToken, async (req, res) => {
+  try {
+    const joinRequest = await CountryJoinRequest.findPending(req.params.id, req.player.id);
+
+    if (!joinRequest) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'No pending join request for this country'
+      });
+    }
+
+    await joinRequest.update({ status: 'cancelled', reviewed_at: new Date() });
+
+    res.json({
+      message: 'Join request withdrawn'
+    });
+
+  } catch (error) {
+    console.error('Join request cancel error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to withdraw join request'
+    });
+  }
+});
+
+// Loads :playerId as a soldier the acting player outranks, answering with an error otherwise
+const loadSoldierToRemove = async (req, res) => {
+  const target = await Player.findOne({
+    where: { id: req.params.playerId, country_id: req.country.id }
+  });
+
+  if (!target) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Player is not a soldier of this country'
+    });
+    return null;
+  }
+
+  if (target.id === req.country.owner_id || target.id === req.player.id) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: target.id === req.player.id ? 'Use leave to quit the country yourself' : 'The owner cannot be removed'
+    });
+    return null;
+  }
+
+  // Below the owner, only a higher rank may remove someone
+  if (req.country.owner_id !== req.player.id) {
+    const ranks = CountryMembership.RANKS;
+    const targetMembership = await CountryMembership.findForPlayer(target);
+
+    if (ranks.indexOf(req.membership.rank) >= ranks.indexOf(targetMembership.rank)) {
+      res.status(403).json({
+        error: 'Access Denied',
+        message: 'You can only remove soldiers of a lower rank'
+      });
+      return null;
+    }
+  }
+
+  return target;
+};
+
+// POST /api/countries/:countryId/members/:playerId/kick - Remove a soldier (kick permission)
+router.post('/:countryId/members/:playerId/kick', authenticateToken, requireCountryMember, requireCountryPermission('kick'), async (req, res) => {
+  try {
+    const { error, value } = kickSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const target = await loadSoldierToRemove(req, res);
+    if (!target) {
+      return;
+    }
+
+    await req.country.discharge(target, { reason: 'kicked', removed_by: req.player.id, note: value.reason || null });
+
+    const io = req.app.get('io');
+    if (io) {
+      await announceRemoved(io, getPresence(), req.country.id, target, { reason: 'kicked', removedBy: req.player });
+    }
+
+    res.json({
+      message: 'Soldier kicked successfully'
+    });
+
+  } catch (error) {
+    console.error('Kick soldier error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to kick soldier'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/members/:playerId/ban - Remove a soldier and keep them out (kick permission)
+router.post('/:countryId/members/:playerId/ban', authenticateToken, requireCountryMember, requireCountryPermission('kick'), async (req, res) => {
+  try {
+    const { error, value } = countryBanSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const target = await loadSoldierToRemove(req, res);
+    if (!target) {
+      return;
+    }
+
+    const expiresAt = value.duration_hours
+      ? new Date(Date.now() + value.duration_hours * 60 * 60 * 1000)
+      : null;
+
+    // A new ban replaces any earlier one, expired or not
+    await CountryBan.destroy({ where: { country_id: req.country.id, player_id: target.id } });
+    await CountryBan.create({
+      country_id: req.country.id,
+      player_id: target.id,
+      banned_by: req.player.id,
+      reason: value.reason || null,
+      expires_at: expiresAt
+    });
+
+    await req.country.discharge(target, { reason: 'banned', removed_by: req.player.id, note: value.reason || null });
+
+    const io = req.app.get('io');
+    if (io) {
+      await announceRemoved(io, getPresence(), req.country.id, target, { reason: 'banned', removedBy: req.player });
+    }
+
+    res.json({
+      message: 'Soldier banned successfully',
+      expires_at: expiresAt
+    });
+
+  } catch (error) {
+    console.error('Ban soldier error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to ban soldier'
+    });
+  }
+});
+
+// GET /api/countries/:countryId/bans - Players banned from the country (kick permission)
+router.get('/:countryId/bans', authenticateToken, requireCountryMember, requireCountryPermission('kick'), async (req, res) => {
+  try {
+    const bans = await CountryBan.findAll({
+      where: {
+        country_id: req.country.id,
+        [require('sequelize').Op.or]: [
+          { expires_at: null },
+          { expires_at: { [require('sequelize').Op.gt]: new Date() } }
+        ]
+      },
+      include: [
+        { model: Player, as: 'player', attributes: ['id', 'username', 'display_name'] },
+        { model: Player, as: 'banner', attributes: ['id', 'username', 'display_name'] }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ bans });
+
+  } catch (error) {
+    console.error('Country bans fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch bans'
+    });
+  }
+});
+
+// DELETE /api/countries/:countryId/bans/:playerId - Lift a ban (kick permission)
+router.delete('/:countryId/bans/:playerId', authenticateToken, requireCountryMember, requireCountryPermission('kick'), async (req, res) => {
+  try {
+    const removed = await CountryBan.destroy({
+      where: { country_id: req.country.id, player_id: req.params.playerId }
+    });
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player is not banned from this country'
+      });
+    }
+
+    res.json({
+      message: 'Ban lifted successfully'
+    });
+
+  } catch (error) {
+    console.error('Country unban error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to lift ban'
+    });
+  }
+});
+
+// GET /api/countries/:id/economy - Stockpile, income and upkeep breakdown (members only)
+router.get('/:id/economy', authenticateToken, async (req, res) => {
+  try {
+    let country = await Country.findByPk(req.params.id);
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const isMember = req.player.country_id === country.id || country.owner_id === req.player.id;
+    if (!isMember && !['moderator', 'admin'].includes(req.player.role)) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only members of this country can view its economy'
+      });
+    }
+
+    // Countries claimed since the last refresh have not been measured yet
+    if (!country.economy_profile && country.is_claimed) {
+      await Country.refreshEconomyProfiles({ countryId: country.id });
+      country = await country.reload();
+    }
+
+    const economy = country.getEconomy();
+    const stockpile = country.getStockpile();
+
+    // Minutes until each shrinking stockpile runs out at the current rate
+    const minutesUntilEmpty = {};
+    for (const [type, amount] of Object.entries(economy.net)) {
+      minutesUntilEmpty[type] = amount < 0 ? Math.floor(stockpile[type] / -amount) : null;
+    }
+
+    res.json({
+      country_id: country.id,
+      period: 'minute',
+      stockpile,
+      income: economy.income,
+      upkeep: economy.upkeep,
+      net: economy.net,
+      sources: economy.sources,
+      multipliers: economy.multipliers,
+      factors: {
+        area_km2: country.area_km2,
+        population: country.population,
+        terrain_type: country.terrain_type,
+        soldier_count: country.soldier_count,
+        terrain_features: country.economy_profile
+      },
+      shortages: Object.keys(minutesUntilEmpty).filter(type => stockpile[type] === 0 && economy.net[type] <= 0),
+      minutes_until_empty: minutesUntilEmpty
+    });
+
+  } catch (error) {
+    console.error('Economy fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country economy'
+    });
+  }
+});
+
+// Tells the country its treasury moved; members' own balances travel with the entry
+const announceTreasuryChange = (req, entry) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`country_${entry.country_id}`).emit('country:treasury_updated', {
+      country_id: entry.country_id,
+      treasury: entry.country_balance,
+      entry: entry.toEntryPayload(),
+      actor: req.player.username,
+      timestamp: new Date()
+    });
+  }
+};
+
+// GET /api/countries/:countryId/treasury - Get the treasury balance and allowances (members only)
+router.get('/:countryId/treasury', authenticateToken, requireCountryMember, async (req, res) => {
+  try {
+    const membership = await CountryMembership.findForPlayer(req.player);
+    const isOwner = req.country.owner_id === req.player.id;
+
+    res.json({
+      country_id: req.country.id,
+      treasury: req.country.resources,
+      allowances: req.country.getTreasuryAllowances(),
+      allowance_window_hours: parseInt(process.env.TREASURY_ALLOWANCE_WINDOW_HOURS) || 24,
+      can_spend: isOwner || Boolean(membership && membership.hasPermission('spend_resources')),
+      remaining_allowance: await req.country.getRemainingAllowance(req.player, { membership }),
+      player_resources: req.player.resources
+    });
+
+  } catch (error) {
+    console.error('Treasury fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch treasury'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/treasury/donate - Give own resources to the treasury (members only)
+router.post('/:countryId/treasury/donate', authenticateToken, requireCountryMember, async (req, res) => {
+  try {
+    const { error, value } = treasuryTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await req.country.transferTreasury(req.player, 'donation', value.amount, { note: value.note });
+    if (!result.entry) {
+      return res.status(400).json({
+        error: 'Insufficient Resources',
+        message: result.reason
+      });
+    }
+
+    announceTreasuryChange(req, result.entry);
+
+    res.json({
+      message: 'Donation received',
+      treasury: result.entry.country_balance,
+      player_resources: result.entry.player_balance,
+      entry: result.entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Treasury donation error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to donate to the treasury'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/treasury/withdraw - Take gold from the treasury (spend_resources permission, within allowance)
+router.post('/:countryId/treasury/withdraw', authenticateToken, requireCountryMember, requireCountryPermission('spend_resources'), requireCountryTwoFactor, async (req, res) => {
+  try {
+    const { error, value } = treasuryTransferSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await req.country.transferTreasury(req.player, 'withdrawal', -value.amount, {
+      note: value.note,
+      membership: req.membership
+    });
+
+    if (!result.entry) {
+      return res.status(result.code === 'allowance_exceeded' ? 403 : 400).json({
+        error: result.code === 'allowance_exceeded' ? 'Access Denied' : 'Insufficient Resources',
+        message: result.reason
+      });
+    }
+
+    announceTreasuryChange(req, result.entry);
+
+    res.json({
+      message: 'Withdrawal successful',
+      treasury: result.entry.country_balance,
+      player_resources: result.entry.player_balance,
+      entry: result.entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Treasury withdrawal error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to withdraw from the treasury'
+    });
+  }
+});
+
+// POST /api/countries/:countryId/treasury/allocate - Pay treasury gold to a member (spend_resources permission, within allowance)
+router.post('/:countryId/treasury/allocate', authenticateToken, requireCountryMember, requireCountryPermission('spend_resources'), requireCountryTwoFactor, async (req, res) => {
+  try {
+    const { error, value } = treasuryAllocateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const recipient = await Player.findByPk(value.player_id);
+    if (!recipient || recipient.country_id !== req.country.id) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Player is not a member of this country'
+      });
+    }
+
+    const result = await req.country.transferTreasury(recipient, 'allocation', -value.amount, {
+      actor: req.player,
+      note: value.note,
+      membership: req.membership
+    });
+
+    if (!result.entry) {
+      return res.status(result.code === 'allowance_exceeded' ? 403 : 400).json({
+        error: result.code === 'allowance_exceeded' ? 'Access Denied' : 'Insufficient Resources',
+        message: result.reason
+      });
+    }
+
+    announceTreasuryChange(req, result.entry);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`player_${recipient.id}`).emit('player:resources_allocated', {
+        country_id: req.country.id,
+        amount: value.amount,
+        allocated_by: req.player.username,
+        resources: result.entry.player_balance,
+        note: value.note || null
+      });
+    }
+
+    res.json({
+      message: 'Resources allocated',
+      treasury: result.entry.country_balance,
+      recipient: {
+        id: recipient.id,
+        username: recipient.username,
+        resources: result.entry.player_balance
+      },
+      entry: result.entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Treasury allocation error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to allocate resources'
+    });
+  }
+});
+
+// PUT /api/countries/:id/treasury/allowances - Set how much gold each rank may take (owner only)
+router.put('/:id/treasury/allowances', authenticateToken, requireCountryOwner, async (req, res) => {
+  try {
+    const { error, value } = treasuryAllowancesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await req.country.update({
+      treasury_allowances: { ...(req.country.treasury_allowances || {}), ...value }
+    });
+
+    res.json({
+      message: 'Treasury allowances updated',
+      allowances: req.country.getTreasuryAllowances()
+    });
+
+  } catch (error) {
+    console.error('Treasury allowances update error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update treasury allowances'
+    });
+  }
+});
+
+// GET /api/countries/:id/ledger - Audit the treasury's resource ledger (owner, spend_resources, moderators and admins)
+router.get('/:id/ledger', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = ledgerQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.id, {
+      attributes: ['id', 'owner_id', 'resources']
+    });
+
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const canAudit = ['moderator', 'admin'].includes(req.player.role)
+      || await CountryMembership.hasPermission(country, req.player, 'spend_resources');
+
+    if (!canAudit) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only members who may spend the treasury can audit it'
+      });
+    }
+
+    const { rows, count } = await ResourceLedger.findEntries({
+      countryId: country.id,
+      playerId: value.player_id,
+      actorId: value.actor_id,
+      entryType: value.entry_type,
+      since: value.since,
+      until: value.until,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      country_id: country.id,
+      treasury: country.resources,
+      entries: rows.map(entry => ({
+        ...entry.toEntryPayload(),
+        player: entry.player,
+        actor: entry.actor
+      })),
+      total: count,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+  } catch (error) {
+    console.error('Ledger fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch ledger'
+    });
+  }
+});
+
+// GET /api/countries/:id/history - Get country history
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const country = await Country.findByPk(req.params.id);
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const history = await CountryHistory.getCountryTimeline(req.params.id, parseInt(limit));
+
+    res.json({
+      history
+    });
+
+  } catch (error) {
+    console.error('Country history fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country history'
+    });
+  }
+});
+
+// GET /api/countries/:id/neighbors - Get countries sharing a border
+router.get('/:id/neighbors', optionalAuth, async (req, res) => {
+  try {
+    const country = await Country.findByPk(req.params.id, {
+      attributes: ['id', 'name']
+    });
+
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const neighbors = await country.getNeighbors();
+
+    res.json({
+      country_id: country.id,
+      neighbors
+    });
+
+  } catch (error) {
+    console.error('Neighbors fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch neighboring countries'
+    });
+  }
+});
+
+// GET /api/countries/:id/boundaries - Get country boundaries (GeoJSON)
+router.get('/:id/boundaries', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = boundariesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.id, {
+      attributes: ['id']
+    });
+
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const version = await Country.getBoundariesVersion({ countryId: country.id });
+    if (checkEtag(req, res, `boundaries-${country.id}-${version}-${value.zoom ?? 'full'}`)) {
+      return res.status(304).end();
+    }
+
+    const [feature] = await Country.getBoundaryFeatures({
+      countryId: country.id,
+      tolerance: getSimplifyTolerance(value.zoom)
+    });
+
+    res.json({
+      boundaries: feature || null
+    });
+
+  } catch (error) {
+    console.error('Boundaries fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country boundaries'
+    });
+  }
+});
+
+// GET /api/countries/:id/supply - Get supplied and cut-off regions and the supply of each front
+router.get('/:id/supply', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = boundariesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const country = await Country.findByPk(req.params.id, {
+      attributes: ['id', 'capital_position']
+    });
+
+    if (!country) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Country not found'
+      });
+    }
+
+    const network = await country.getSupplyNetwork({
+      tolerance: getSimplifyTolerance(value.zoom)
+    });
+
+    res.json({
+      ...network,
+      cut_off_supply: Country.getCutOffSupply()
+    });
+
+  } catch (error) {
+    console.error('Supply fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country supply'
+    });
+  }
+});
+
+// PUT /api/countries/:id/settings - Update country settings (owner only)
+router.put('/:id/settings', authenticateToken, requireCountryOwner, async (req, res) => {
+  try {
+    const { max_soldiers, defense_strength, join_policy, two_factor_required } = req.body;
+    
+    const updateData = {};
+    
+    if (max_soldiers !== undefined) {
+      const maxAllowed = parseInt(process.env.MAX_PLAYERS_PER_COUNTRY) || 50;
+      if (max_soldiers < 1 || max_soldiers > maxAllowed) {
+        return res.status(400).json({
           error: 'Bad Request',
           message: `Max soldiers must be between 1 and ${maxAllowed}`
         });
@@ -448,6 +1708,44 @@ router.put('/:id/settings', authenticateToken, requireCountryOwner, async (req,
       updateData.defense_strength = defense_strength;
     }
 
+    if (join_policy !== undefined) {
+      if (!['open', 'invite', 'approval'].includes(join_policy)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Join policy must be open, invite or approval'
+        });
+      }
+      updateData.join_policy = join_policy;
+    }
+
+    if (two_factor_required !== undefined && two_factor_required !== req.country.two_factor_required) {
+      if (typeof two_factor_required !== 'boolean') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'two_factor_required must be true or false'
+        });
+      }
+
+      // The owner must be able to pass the check they turn on
+      if (two_factor_required && !req.player.isTwoFactorEnabled()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Enable two-factor authentication on your account before requiring it'
+        });
+      }
+
+      // Otherwise a stolen password would be enough to lift the requirement
+      if (!two_factor_required && !await req.player.verifyTwoFactor(req.headers['x-two-factor-code'])) {
+        return res.status(403).json({
+          error: 'Access Denied',
+          code: 'two_factor_required',
+          message: 'A valid two-factor authentication code is required to turn this off'
+        });
+      }
+
+      updateData.two_factor_required = two_factor_required;
+    }
+
     await req.country.update(updateData);
 
     res.json({
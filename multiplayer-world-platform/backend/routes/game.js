@@ -1,7 +1,7 @@
 const express = require('express');
 const Joi = require('joi');
-const { War, Country, BorderPush, CountryHistory } = require('../models');
-const { authenticateToken, requireCountryOwner, requireCountryMember, validateCoordinates } = require('../middleware/auth');
+const { War, Country, BorderPush, CountryHistory, TerrainFeature, Treaty } = require('../models');
+const { authenticateToken, requireCountryOwner, requireCountryMember, requireCountryPermission, requireCountryTwoFactor, validateCoordinates } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -19,8 +19,44 @@ const borderPushSchema = Joi.object({
   direction_lng: Joi.number().min(-1).max(1).required()
 });
 
+const territoryTransferSchema = Joi.object({
+  from_country_id: Joi.string().uuid().required(),
+  to_country_id: Joi.string().uuid().required(),
+  territory: Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+    coordinates: Joi.array().required()
+  }).required()
+});
+
+const proposeTreatySchema = Joi.object({
+  target_country_id: Joi.string().uuid().required(),
+  treaty_type: Joi.string().valid('alliance', 'non_aggression', 'ceasefire', 'peace').required(),
+  war_id: Joi.string().uuid().when('treaty_type', {
+    is: Joi.valid('ceasefire', 'peace'),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  duration_hours: Joi.number().integer().min(1).max(24 * 90).optional(),
+  territory_transfers: Joi.array().items(territoryTransferSchema).max(10).when('treaty_type', {
+    is: 'peace',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  message: Joi.string().max(500).optional()
+});
+
+// The country the player owns, or null if they are not an owner
+const getOwnedCountry = async (player) => {
+  if (!player.country_id) {
+    return null;
+  }
+
+  const country = await Country.findByPk(player.country_id);
+  return country && country.owner_id === player.id ? country : null;
+};
+
 // POST /api/game/declare-war - Declare war on another country (owner only)
-router.post('/declare-war', authenticateToken, async (req, res) => {
+router.post('/declare-war', authenticateToken, requireCountryTwoFactor, async (req, res) => {
   try {
     // Validate request
     const { error, value } = declareWarSchema.validate(req.body);
@@ -85,7 +121,7 @@ router.post('/declare-war', authenticateToken, async (req, res) => {
             defender_country_id: sourceCountry.id
           }
         ],
-        status: 'active'
+        status: ['active', 'ceasefire']
       }
     });
 
@@ -118,8 +154,29 @@ router.post('/declare-war', authenticateToken, async (req, res) => {
       }
     }
 
-    // TODO: Check if countries are neighbors (would use PostGIS)
-    // For now, allow war between any countries
+    // Countries must share a border
+    const warCheck = await sourceCountry.canDeclareWarOn(targetCountry.id);
+    if (!warCheck.canDeclare) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: warCheck.reason
+      });
+    }
+
+    // Allies cannot be attacked; pacts and peace treaties can, at a price
+    const treaties = await Treaty.findActiveBetween(sourceCountry.id, targetCountry.id);
+    if (treaties.some(treaty => treaty.treaty_type === 'alliance')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Cannot declare war on an ally, break the alliance first'
+      });
+    }
+
+    const brokenTreaties = [];
+    for (const treaty of treaties) {
+      const { penalty } = await treaty.breakTreaty(sourceCountry.id, req.player.id);
+      brokenTreaties.push({ id: treaty.id, treaty_type: treaty.treaty_type, penalty });
+    }
 
     // Create war
     const war = await War.create({
@@ -155,7 +212,8 @@ router.post('/declare-war', authenticateToken, async (req, res) => {
           name: targetCountry.name
         },
         declared_at: war.declared_at,
-        reason: war.reason
+        reason: war.reason,
+        broken_treaties: brokenTreaties
       });
     }
 
@@ -169,7 +227,8 @@ router.post('/declare-war', authenticateToken, async (req, res) => {
         declared_at: war.declared_at,
         reason: war.reason,
         status: war.status
-      }
+      },
+      broken_treaties: brokenTreaties
     });
 
   } catch (error) {
@@ -181,8 +240,8 @@ router.post('/declare-war', authenticateToken, async (req, res) => {
   }
 });
 
-// POST /api/game/border-push - Initiate a border push (requires active war)
-router.post('/border-push', authenticateToken, requireCountryMember, validateCoordinates, async (req, res) => {
+// POST /api/game/border-push - Initiate a border push (requires active war and the start_push permission)
+router.post('/border-push', authenticateToken, requireCountryMember, requireCountryPermission('start_push'), validateCoordinates, async (req, res) => {
   try {
     // Validate request
     const { error, value } = borderPushSchema.validate(req.body);
@@ -248,10 +307,25 @@ router.post('/border-push', authenticateToken, requireCountryMember, validateCoo
     }
 
     // TODO: Validate position is near border (would use PostGIS)
-    // TODO: Get terrain modifier based on position
 
-    // Create border push
-    const borderPush = await BorderPush.create({
+    // Sample terrain at the push position, falling back to the defender's national terrain
+    const targetCountry = await Country.findByPk(target_country_id, {
+      attributes: ['id', 'terrain_modifier']
+    });
+    const terrain = await TerrainFeature.getModifierAt(
+      lat,
+      lng,
+      targetCountry ? targetCountry.terrain_modifier : 1.0
+    );
+    const terrainModifier = Math.max(0.1, Math.min(5.0, terrain.modifier));
+
+    // Fronts cut off from the capital push with reduced strength
+    const sourceCountry = await Country.findByPk(req.player.country_id);
+    const network = await sourceCountry.getSupplyNetwork({ points: [{ id: 'new', lng, lat }] });
+    const [front] = network.fronts;
+
+    // Build the push now so the charge can reference it; it is saved once paid for
+    const borderPush = BorderPush.build({
       war_id: war.id,
       player_id: req.player.id,
       source_country_id: req.player.country_id,
@@ -264,13 +338,28 @@ router.post('/border-push', authenticateToken, requireCountryMember, validateCoo
         type: 'Point',
         coordinates: [direction_lng, direction_lat]
       },
-      push_strength: 1.0, // Base strength
-      terrain_modifier: 1.0, // Would be calculated based on terrain
+      push_strength: Math.max(0.1, front.supply), // Base strength scaled by supply
+      supply: front.supply,
+      terrain_modifier: terrainModifier,
       resources_consumed: resourceCost
     });
 
-    // Consume resources
-    await req.player.consumeResources(resourceCost);
+    // Consume resources; the check above may be stale by now
+    const paid = await req.player.consumeResources(resourceCost, {
+      entryType: 'push_cost',
+      referenceType: 'border_push',
+      referenceId: borderPush.id,
+      metadata: { war_id: war.id }
+    });
+
+    if (!paid) {
+      return res.status(400).json({
+        error: 'Insufficient Resources',
+        message: `Not enough resources for border push. Required: ${resourceCost}`
+      });
+    }
+
+    await borderPush.save();
 
     // Broadcast border push
     const io = req.app.get('io');
@@ -280,6 +369,7 @@ router.post('/border-push', authenticateToken, requireCountryMember, validateCoo
         player: req.player.username,
         position: { lat, lng },
         direction: { lat: direction_lat, lng: direction_lng },
+        supply: borderPush.supply,
         war_id: war.id
       });
 
@@ -299,6 +389,10 @@ router.post('/border-push', authenticateToken, requireCountryMember, validateCoo
         direction: { lat: direction_lat, lng: direction_lng },
         push_strength: borderPush.push_strength,
         push_speed: borderPush.push_speed,
+        terrain_modifier: borderPush.terrain_modifier,
+        terrain_features: terrain.feature_types,
+        supply: borderPush.supply,
+        supplied: front.supplied,
         war_id: war.id
       }
     });
@@ -393,11 +487,16 @@ router.post('/border-push/:id/defend', authenticateToken, requireCountryMember,
       });
     }
 
-    // Check if player is in the defending country
-    if (req.player.country_id !== borderPush.target_country_id) {
+    // Soldiers of the defending country and of its allies may defend
+    const defendingOwnCountry = req.player.country_id === borderPush.target_country_id;
+    const alliedDefense = !defendingOwnCountry &&
+      req.player.country_id !== borderPush.source_country_id &&
+      await Treaty.areAllied(req.player.country_id, borderPush.target_country_id);
+
+    if (!defendingOwnCountry && !alliedDefense) {
       return res.status(403).json({
         error: 'Access Denied',
-        message: 'You can only defend against pushes targeting your country'
+        message: 'You can only defend against pushes targeting your country or its allies'
       });
     }
 
@@ -410,6 +509,7 @@ router.post('/border-push/:id/defend', authenticateToken, requireCountryMember,
       io.to(`country_${borderPush.target_country_id}`).emit('border_push:defense_added', {
         push_id: borderPush.id,
         defender: req.player.username,
+        allied_country_id: alliedDefense ? req.player.country_id : null,
         total_defenders: borderPush.defending_soldiers,
         new_resistance: borderPush.resistance_strength,
         new_speed: borderPush.push_speed
@@ -417,7 +517,7 @@ router.post('/border-push/:id/defend', authenticateToken, requireCountryMember,
     }
 
     res.json({
-      message: 'Joined defense successfully',
+      message: alliedDefense ? 'Joined allied defense successfully' : 'Joined defense successfully',
       defending_soldiers: borderPush.defending_soldiers,
       resistance_strength: borderPush.resistance_strength,
       push_speed: borderPush.push_speed
@@ -444,7 +544,7 @@ router.post('/end-war/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    if (war.status !== 'active') {
+    if (war.status !== 'active' && war.status !== 'ceasefire') {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'War is not active'
@@ -458,23 +558,8 @@ router.post('/end-war/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // End the war
-    await war.endWar(req.player.id);
-
-    // End all active border pushes for this war
-    await BorderPush.update(
-      { status: 'cancelled' },
-      { 
-        where: { 
-          war_id: war.id, 
-          status: 'active' 
-        } 
-      }
-    );
-
-    // Record history
-    await CountryHistory.recordWarEnded(war.aggressor_country_id, war.id, null);
-    await CountryHistory.recordWarEnded(war.defender_country_id, war.id, null);
+    // End the war, its active border pushes, and record history
+    await war.conclude(null, 'manual', req.player.id);
 
     // Broadcast war end
     const io = req.app.get('io');
@@ -482,6 +567,9 @@ router.post('/end-war/:id', authenticateToken, async (req, res) => {
       io.emit('war:ended', {
         war_id: war.id,
         ended_by: req.player.username,
+        winner_country_id: null,
+        reason: 'manual',
+        territory_exchanged: war.territory_exchanged,
         duration_minutes: war.getDuration()
       });
     }
@@ -597,4 +685,364 @@ router.get('/border-pushes', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/game/diplomacy - Get treaties of the player's country
+router.get('/diplomacy', authenticateToken, requireCountryMember, async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const treaties = await Treaty.findForCountry(req.player.country_id, {
+      status,
+      limit: Math.min(parseInt(limit) || 50, 100)
+    });
+
+    res.json({ treaties });
+
+  } catch (error) {
+    console.error('Treaties fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch treaties'
+    });
+  }
+});
+
+// POST /api/game/diplomacy/propose - Propose a treaty to another country (owner only)
+router.post('/diplomacy/propose', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = proposeTreatySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { target_country_id, treaty_type, war_id, duration_hours, territory_transfers, message } = value;
+
+    const sourceCountry = await getOwnedCountry(req.player);
+    if (!sourceCountry) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only country owners can propose treaties'
+      });
+    }
+
+    const targetCountry = await Country.findByPk(target_country_id);
+    if (!targetCountry) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Target country not found'
+      });
+    }
+
+    if (!targetCountry.is_claimed || targetCountry.id === sourceCountry.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Treaties can only be made with other claimed countries'
+      });
+    }
+
+    const parties = [sourceCountry.id, targetCountry.id];
+
+    if (war_id) {
+      // Ceasefires and peace treaties belong to a war between the two parties
+      const war = await War.findByPk(war_id);
+      const warParties = war ? [war.aggressor_country_id, war.defender_country_id] : [];
+
+      if (!war || !parties.every(id => warParties.includes(id))) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'The war must be between your country and the target country'
+        });
+      }
+
+      const allowedStatuses = treaty_type === 'ceasefire' ? ['active'] : ['active', 'ceasefire'];
+      if (!allowedStatuses.includes(war.status)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Cannot propose a ${treaty_type} for a war that is ${war.status}`
+        });
+      }
+    } else {
+      // Alliances and pacts are made in peacetime
+      const war = await War.findOne({
+        where: {
+          aggressor_country_id: parties,
+          defender_country_id: parties,
+          status: ['active', 'ceasefire']
+        }
+      });
+
+      if (war) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Countries at war must agree a ceasefire or peace first'
+        });
+      }
+    }
+
+    const invalidTransfer = (territory_transfers || []).find(transfer =>
+      !parties.includes(transfer.from_country_id) ||
+      !parties.includes(transfer.to_country_id) ||
+      transfer.from_country_id === transfer.to_country_id
+    );
+    if (invalidTransfer) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Territory can only be transferred between the two parties'
+      });
+    }
+
+    // One open proposal or signed treaty of each kind at a time
+    const existing = await Treaty.findOne({
+      where: {
+        treaty_type,
+        proposer_country_id: parties,
+        recipient_country_id: parties,
+        status: ['proposed', 'active']
+      }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `A ${treaty_type.replace('_', '-')} treaty is already ${existing.status} between these countries`
+      });
+    }
+
+    const treaty = await Treaty.create({
+      treaty_type,
+      proposer_country_id: sourceCountry.id,
+      recipient_country_id: targetCountry.id,
+      proposed_by: req.player.id,
+      war_id: war_id || null,
+      duration_hours: duration_hours || null,
+      terms: territory_transfers ? { territory_transfers } : {},
+      message: message || null
+    });
+
+    await Treaty.recordForBoth(treaty, 'treaty_proposed', req.player.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`country_${targetCountry.id}`).emit('diplomacy:treaty_proposed', {
+        treaty_id: treaty.id,
+        treaty_type,
+        proposer: {
+          id: sourceCountry.id,
+          name: sourceCountry.name,
+          owner: req.player.username
+        },
+        war_id: treaty.war_id,
+        duration_hours: treaty.duration_hours,
+        terms: treaty.terms,
+        message: treaty.message
+      });
+    }
+
+    res.status(201).json({
+      message: 'Treaty proposed successfully',
+      treaty
+    });
+
+  } catch (error) {
+    console.error('Treaty proposal error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to propose treaty'
+    });
+  }
+});
+
+// Loads the treaty and the player's owned country for the response endpoints below
+const loadTreatyForOwner = async (req, res) => {
+  const treaty = await Treaty.findByPk(req.params.id);
+  if (!treaty) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Treaty not found'
+    });
+    return null;
+  }
+
+  const country = await getOwnedCountry(req.player);
+  if (!country || !treaty.involves(country.id)) {
+    res.status(403).json({
+      error: 'Access Denied',
+      message: 'Only owners of the countries in this treaty can do that'
+    });
+    return null;
+  }
+
+  return { treaty, country };
+};
+
+// POST /api/game/diplomacy/:id/accept - Accept a proposed treaty (recipient owner only)
+router.post('/diplomacy/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadTreatyForOwner(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { treaty, country } = loaded;
+
+    if (treaty.recipient_country_id !== country.id) {
+      return res.status(403).json({
+        error: 'Access Denied',
+        message: 'Only the receiving country can accept a treaty'
+      });
+    }
+
+    if (treaty.status !== 'proposed') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Treaty is ${treaty.status}`
+      });
+    }
+
+    const { transfers, code, reason } = await treaty.accept(req.player.id);
+    if (!transfers) {
+      return res.status(code === 'war_over' ? 409 : 400).json({
+        error: code === 'war_over' ? 'Conflict' : 'Bad Request',
+        message: reason
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('diplomacy:treaty_signed', {
+        treaty_id: treaty.id,
+        treaty_type: treaty.treaty_type,
+        countries: [treaty.proposer_country_id, treaty.recipient_country_id],
+        war_id: treaty.war_id,
+        expires_at: treaty.expires_at
+      });
+
+      if (treaty.treaty_type === 'peace') {
+        io.emit('war:ended', {
+          war_id: treaty.war_id,
+          ended_by: req.player.username,
+          reason: 'peace'
+        });
+      }
+
+      // Let every client redraw the borders moved by the peace terms
+      for (const transfer of transfers.filter(item => item.result.territory_km2 > 0)) {
+        io.emit('border:update', {
+          treaty_id: treaty.id,
+          war_id: treaty.war_id,
+          territory_km2: transfer.result.territory_km2,
+          countries: [
+            { id: transfer.to_country_id, boundaries: transfer.result.to.new_boundaries },
+            { id: transfer.from_country_id, boundaries: transfer.result.from.new_boundaries }
+          ],
+          timestamp: new Date()
+        });
+      }
+    }
+
+    res.json({
+      message: 'Treaty signed successfully',
+      treaty,
+      territory_transferred_km2: transfers.reduce((total, transfer) => total + transfer.result.territory_km2, 0)
+    });
+
+  } catch (error) {
+    console.error('Treaty accept error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to accept treaty'
+    });
+  }
+});
+
+// POST /api/game/diplomacy/:id/reject - Reject or withdraw a proposed treaty (owner only)
+router.post('/diplomacy/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadTreatyForOwner(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { treaty, country } = loaded;
+
+    if (treaty.status !== 'proposed') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Treaty is ${treaty.status}`
+      });
+    }
+
+    await treaty.reject(req.player.id, country.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`country_${treaty.getOtherCountryId(country.id)}`).emit('diplomacy:treaty_rejected', {
+        treaty_id: treaty.id,
+        treaty_type: treaty.treaty_type,
+        status: treaty.status,
+        by_country_id: country.id
+      });
+    }
+
+    res.json({
+      message: treaty.status === 'cancelled' ? 'Treaty proposal withdrawn' : 'Treaty rejected',
+      treaty
+    });
+
+  } catch (error) {
+    console.error('Treaty reject error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reject treaty'
+    });
+  }
+});
+
+// POST /api/game/diplomacy/:id/break - Break an active treaty (owner only)
+router.post('/diplomacy/:id/break', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadTreatyForOwner(req, res);
+    if (!loaded) {
+      return;
+    }
+
+    const { treaty, country } = loaded;
+
+    if (treaty.status !== 'active') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Treaty is ${treaty.status}`
+      });
+    }
+
+    const { penalty } = await treaty.breakTreaty(country.id, req.player.id);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.emit('diplomacy:treaty_broken', {
+        treaty_id: treaty.id,
+        treaty_type: treaty.treaty_type,
+        countries: [treaty.proposer_country_id, treaty.recipient_country_id],
+        broken_by_country_id: country.id,
+        war_id: treaty.war_id
+      });
+    }
+
+    res.json({
+      message: 'Treaty broken',
+      penalty,
+      treaty
+    });
+
+  } catch (error) {
+    console.error('Treaty break error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to break treaty'
+    });
+  }
+});
+
+module.exports = router;
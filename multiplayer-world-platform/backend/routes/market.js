@@ -0,0 +1,236 @@
+const express = require('express');
+const Joi = require('joi');
+const { MarketOrder, MarketTrade } = require('../models');
+const { authenticateToken, requireCountryMember, requireCountryPermission, requireCountryTwoFactor, optionalAuth } = require('../middleware/auth');
+const { announceTrades, announceOrderClosed } = require('../services/market');
+
+const router = express.Router();
+
+// Validation schemas
+const placeOrderSchema = Joi.object({
+  side: Joi.string().valid('buy', 'sell').required(),
+  resource_type: Joi.string().valid(...MarketOrder.RESOURCES).required(),
+  quantity: Joi.number().integer().min(1).max(1000000).required(),
+  price_per_unit: Joi.number().integer().min(1).max(1000000).required(),
+  expires_in_hours: Joi.number().integer().min(1).max(24 * 14).optional()
+});
+
+const orderBookQuerySchema = Joi.object({
+  resource_type: Joi.string().valid(...MarketOrder.RESOURCES).optional(),
+  depth: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const ownOrdersQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'filled', 'cancelled', 'expired').optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const tradesQuerySchema = Joi.object({
+  resource_type: Joi.string().valid(...MarketOrder.RESOURCES).optional(),
+  country_id: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// GET /api/market/orders - Get the order book as price levels, one book per resource
+router.get('/orders', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = orderBookQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const resources = value.resource_type ? [value.resource_type] : MarketOrder.RESOURCES;
+    const books = [];
+    for (const resourceType of resources) {
+      books.push(await MarketOrder.getOrderBook(resourceType, { depth: value.depth }));
+    }
+
+    res.json({
+      currency: 'gold',
+      books
+    });
+
+  } catch (error) {
+    console.error('Order book fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch order book'
+    });
+  }
+});
+
+// GET /api/market/orders/mine - Get the orders of the player's country (members only)
+router.get('/orders/mine', authenticateToken, requireCountryMember, async (req, res) => {
+  try {
+    const { error, value } = ownOrdersQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const where = { country_id: req.country.id };
+    if (value.status) {
+      where.status = value.status;
+    }
+
+    const orders = await MarketOrder.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: value.limit
+    });
+
+    res.json({
+      country_id: req.country.id,
+      orders: orders.map(order => order.toOrderPayload())
+    });
+
+  } catch (error) {
+    console.error('Country orders fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch country orders'
+    });
+  }
+});
+
+// POST /api/market/orders - Place a buy or sell order for the player's country (spend_resources permission, within allowance)
+router.post('/orders', authenticateToken, requireCountryMember, requireCountryPermission('spend_resources'), requireCountryTwoFactor, async (req, res) => {
+  try {
+    const { error, value } = placeOrderSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (!req.country.is_claimed || req.country.isAnnexed()) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only independent countries can trade'
+      });
+    }
+
+    const ttlHours = value.expires_in_hours || parseInt(process.env.MARKET_ORDER_TTL_HOURS) || 72;
+
+    const result = await MarketOrder.place(req.country.id, req.player, {
+      ...value,
+      expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    }, { membership: req.membership });
+
+    if (!result.order) {
+      if (result.code === 'allowance_exceeded') {
+        return res.status(403).json({
+          error: 'Access Denied',
+          message: result.reason
+        });
+      }
+
+      return res.status(400).json({
+        error: result.code === 'insufficient_resources' ? 'Insufficient Resources' : 'Bad Request',
+        message: result.reason
+      });
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      announceTrades(io, result.trades);
+    }
+
+    res.status(201).json({
+      message: result.order.status === 'filled' ? 'Order filled' : 'Order placed',
+      order: result.order.toOrderPayload(),
+      trades: result.trades.map(trade => trade.toTradePayload())
+    });
+
+  } catch (error) {
+    console.error('Order placement error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to place order'
+    });
+  }
+});
+
+// DELETE /api/market/orders/:orderId - Cancel an open order and release its escrow (spend_resources permission)
+router.delete('/orders/:orderId', authenticateToken, requireCountryMember, requireCountryPermission('spend_resources'), async (req, res) => {
+  try {
+    const order = await MarketOrder.findOne({
+      where: { id: req.params.orderId, country_id: req.country.id }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'open') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Order is no longer open'
+      });
+    }
+
+    await order.close('cancelled', { playerId: req.player.id });
+
+    const io = req.app.get('io');
+    if (io && order.status === 'cancelled') {
+      announceOrderClosed(io, order);
+    }
+
+    res.json({
+      message: order.status === 'cancelled' ? 'Order cancelled' : 'Order was filled before it could be cancelled',
+      order: order.toOrderPayload()
+    });
+
+  } catch (error) {
+    console.error('Order cancel error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel order'
+    });
+  }
+});
+
+// GET /api/market/trades - Get recent trades, optionally for one resource or country
+router.get('/trades', optionalAuth, async (req, res) => {
+  try {
+    const { error, value } = tradesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const trades = await MarketTrade.findRecent({
+      resourceType: value.resource_type,
+      countryId: value.country_id,
+      limit: value.limit
+    });
+
+    res.json({
+      trades: trades.map(trade => ({
+        ...trade.toTradePayload(),
+        buyer_country: trade.buyerCountry,
+        seller_country: trade.sellerCountry
+      }))
+    });
+
+  } catch (error) {
+    console.error('Trades fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch trades'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const Joi = require('joi');
-const { Player, PlayerMovement, Country } = require('../models');
+const { Player, PlayerMovement, Country, ResourceLedger } = require('../models');
 const { authenticateToken, checkMovementCooldown, validateCoordinates } = require('../middleware/auth');
 
 const router = express.Router();
@@ -9,61 +9,51 @@ const router = express.Router();
 const moveSchema = Joi.object({
   lat: Joi.number().min(-90).max(90).required(),
   lng: Joi.number().min(-180).max(180).required(),
-  movement_type: Joi.string().valid('walk', 'run', 'teleport').default('walk')
+  movement_type: Joi.string().valid(...PlayerMovement.PLAYER_MOVEMENT_TYPES).default('walk')
+});
+
+const ledgerQuerySchema = Joi.object({
+  entry_type: Joi.string().valid(...ResourceLedger.ENTRY_TYPES).optional(),
+  since: Joi.date().iso().optional(),
+  until: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
 // POST /api/players/move - Update player position
 router.post('/move', authenticateToken, checkMovementCooldown, validateCoordinates, async (req, res) => {
   try {
-    const { movement_type = 'walk' } = req.body;
-    const { lat, lng } = req.coordinates;
-
-    // Check if player belongs to a country
-    if (!req.player.country_id) {
+    const { error, value } = moveSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
-        error: 'Bad Request',
-        message: 'You must join a country before moving'
+        error: 'Validation Error',
+        message: error.details[0].message
       });
     }
 
-    // Get current position
-    const oldPosition = req.player.current_position;
-    const oldLat = oldPosition ? oldPosition.coordinates[1] : null;
-    const oldLng = oldPosition ? oldPosition.coordinates[0] : null;
+    const { movement_type } = value;
+    const { lat, lng } = req.coordinates;
 
-    // Calculate resource cost
-    const baseCost = movement_type === 'run' ? 2 : movement_type === 'teleport' ? 10 : 1;
-    
-    // Check if player has enough resources
-    if (req.player.resources < baseCost) {
+    const { movement: movementRecord, code, reason } = await PlayerMovement.move(req.player, {
+      lat,
+      lng,
+      movementType: movement_type
+    });
+
+    if (code === 'invalid_movement') {
       return res.status(400).json({
-        error: 'Insufficient Resources',
-        message: `Not enough resources for ${movement_type}. Required: ${baseCost}, Available: ${req.player.resources}`
+        error: 'Invalid Movement',
+        message: reason,
+        movement_id: movementRecord.id
       });
     }
 
-    // TODO: Validate movement is within country boundaries
-    // This would use PostGIS functions to check if the new position is within the country polygon
-
-    // Update player position
-    await req.player.updatePosition(lat, lng);
-    
-    // Consume resources
-    await req.player.consumeResources(baseCost);
-
-    // Record movement in history
-    const movementRecord = await PlayerMovement.create({
-      player_id: req.player.id,
-      from_position: oldPosition,
-      to_position: {
-        type: 'Point',
-        coordinates: [lng, lat]
-      },
-      country_id: req.player.country_id,
-      movement_type,
-      resources_consumed: baseCost,
-      timestamp: new Date()
-    });
+    if (code) {
+      return res.status(400).json({
+        error: code === 'insufficient_resources' ? 'Insufficient Resources' : 'Bad Request',
+        message: reason
+      });
+    }
 
     // Broadcast movement to other players via WebSocket
     const io = req.app.get('io');
@@ -80,8 +70,10 @@ router.post('/move', authenticateToken, checkMovementCooldown, validateCoordinat
     res.json({
       message: 'Movement successful',
       position: { lat, lng },
-      resources_remaining: req.player.resources - baseCost,
+      resources_remaining: req.player.resources,
       movement_type,
+      distance_meters: movementRecord.distance_meters,
+      terrain_modifier: movementRecord.terrain_modifier,
       movement_id: movementRecord.id
     });
 
@@ -191,6 +183,46 @@ router.get('/movement-history', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/players/ledger - Get every movement of the player's own resources
+router.get('/ledger', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = ledgerQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { rows, count } = await ResourceLedger.findEntries({
+      playerId: req.player.id,
+      entryType: value.entry_type,
+      since: value.since,
+      until: value.until,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      resources: req.player.resources,
+      entries: rows.map(entry => ({
+        ...entry.toEntryPayload(),
+        actor: entry.actor
+      })),
+      total: count,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+  } catch (error) {
+    console.error('Player ledger error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch resource ledger'
+    });
+  }
+});
+
 // GET /api/players/:id - Get public player info
 router.get('/:id', async (req, res) => {
   try {
@@ -0,0 +1,478 @@
+const express = require('express');
+const Joi = require('joi');
+const { Player, ChatMessage, Report, AdminAuditLog } = require('../models');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { banPlayer, mutePlayer, checkModerationTarget } = require('../services/moderation');
+const { deleteMessage } = require('../services/chat');
+
+const router = express.Router();
+
+// Validation schemas
+const reportSchema = Joi.object({
+  target_type: Joi.string().valid('player', 'chat_message', 'country').required(),
+  target_id: Joi.string().uuid().required(),
+  category: Joi.string().valid('cheating', 'abusive_chat', 'griefing', 'spam', 'other').required(),
+  description: Joi.string().max(1000).optional()
+});
+
+const queueQuerySchema = Joi.object({
+  status: Joi.string().valid('open', 'investigating', 'actioned', 'dismissed').optional(),
+  target_type: Joi.string().valid('player', 'chat_message', 'country').optional(),
+  category: Joi.string().valid('cheating', 'abusive_chat', 'griefing', 'spam', 'other').optional(),
+  assigned_to: Joi.string().uuid().optional(),
+  reported_player_id: Joi.string().uuid().optional(),
+  newest_first: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const statusSchema = Joi.object({
+  status: Joi.string().valid('open', 'investigating').required(),
+  note: Joi.string().max(1000).optional()
+});
+
+const resolveSchema = Joi.object({
+  status: Joi.string().valid('actioned', 'dismissed').required(),
+  note: Joi.string().max(1000).optional(),
+  actions: Joi.object({
+    ban: Joi.object({
+      reason: Joi.string().max(500).required(),
+      duration_hours: Joi.number().integer().min(1).max(24 * 365).optional()
+    }).optional(),
+    mute: Joi.object({
+      duration_minutes: Joi.number().integer().min(1).max(60 * 24 * 30).required(),
+      reason: Joi.string().max(500).optional()
+    }).optional(),
+    delete_message: Joi.boolean().optional()
+  }).default({}),
+  close_duplicates: Joi.boolean().default(false)
+});
+
+const toModeratorPayload = (report) => ({
+  ...report.toReporterPayload(),
+  reporter: report.reporter || undefined,
+  reported_player_id: report.reported_player_id,
+  reported_player: report.reportedPlayer || undefined,
+  evidence: report.evidence,
+  assigned_to: report.assigned_to,
+  assignee: report.assignee || undefined,
+  resolved_by: report.resolved_by,
+  resolution_note: report.resolution_note,
+  actions: report.actions,
+  updated_at: report.updated_at
+});
+
+const announceReportUpdated = (io, report, moderator) => {
+  io.to('moderators').emit('report:updated', {
+    report_id: report.id,
+    status: report.status,
+    assigned_to: report.assigned_to,
+    updated_by: moderator.username,
+    timestamp: new Date()
+  });
+};
+
+// Tells reporters their report was dealt with, without the moderator's notes
+const announceReportResolved = (io, report) => {
+  io.to(`player_${report.reporter_id}`).emit('report:resolved', {
+    report_id: report.id,
+    target_type: report.target_type,
+    status: report.status,
+    timestamp: new Date()
+  });
+};
+
+// POST /api/reports - Report a player, chat message or country
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { error, value } = reportSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.target_type === 'player' && value.target_id === req.player.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const duplicate = await Report.findActiveDuplicate(req.player.id, value.target_type, value.target_id);
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'You already have an open report about this',
+        report: duplicate.toReporterPayload()
+      });
+    }
+
+    const maxOpenReports = parseInt(process.env.REPORT_MAX_OPEN_PER_PLAYER) || 10;
+    if (await Report.countActiveBy(req.player.id) >= maxOpenReports) {
+      return res.status(429).json({
+        error: 'Rate Limited',
+        message: `You can have at most ${maxOpenReports} open reports at a time`
+      });
+    }
+
+    const target = await Report.resolveTarget(req.player, value.target_type, value.target_id);
+    if (target.error) {
+      return res.status(target.error.status).json({
+        error: 'Not Found',
+        message: target.error.message
+      });
+    }
+
+    if (target.reportedPlayerId === req.player.id) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const report = await Report.create({
+      reporter_id: req.player.id,
+      target_type: value.target_type,
+      target_id: value.target_id,
+      reported_player_id: target.reportedPlayerId,
+      category: value.category,
+      description: value.description || null,
+      evidence: target.evidence
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to('moderators').emit('report:created', {
+        report_id: report.id,
+        target_type: report.target_type,
+        category: report.category,
+        reporter: req.player.username,
+        timestamp: new Date()
+      });
+    }
+
+    res.status(201).json({
+      message: 'Report submitted successfully',
+      report: report.toReporterPayload()
+    });
+
+  } catch (error) {
+    console.error('Report create error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to submit report'
+    });
+  }
+});
+
+// GET /api/reports/mine - List the reports you have filed
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const reports = await Report.findAll({
+      where: { reporter_id: req.player.id },
+      order: [['created_at', 'DESC']],
+      limit: 50
+    });
+
+    res.json({
+      reports: reports.map(report => report.toReporterPayload())
+    });
+
+  } catch (error) {
+    console.error('Own reports fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch reports'
+    });
+  }
+});
+
+// GET /api/reports - The moderation queue; open and investigating reports unless ?status is given (moderator only)
+router.get('/', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = queueQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { rows, count } = await Report.findQueue({
+      status: value.status,
+      targetType: value.target_type,
+      category: value.category,
+      assignedTo: value.assigned_to,
+      reportedPlayerId: value.reported_player_id,
+      newestFirst: value.newest_first,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      reports: rows.map(toModeratorPayload),
+      total: count,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+  } catch (error) {
+    console.error('Report queue fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch report queue'
+    });
+  }
+});
+
+// GET /api/reports/:reportId - Report details with the other reports about the same target (moderator only)
+router.get('/:reportId', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const playerAttributes = ['id', 'username', 'display_name'];
+    const report = await Report.findByPk(req.params.reportId, {
+      include: [
+        { model: Player, as: 'reporter', attributes: playerAttributes },
+        { model: Player, as: 'reportedPlayer', attributes: [...playerAttributes, 'role', 'is_banned', 'ban_expires', 'chat_muted_until'] },
+        { model: Player, as: 'assignee', attributes: playerAttributes },
+        { model: Player, as: 'resolver', attributes: playerAttributes }
+      ]
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Report not found'
+      });
+    }
+
+    const related = await Report.findAll({
+      where: { target_type: report.target_type, target_id: report.target_id },
+      include: [{ model: Player, as: 'reporter', attributes: playerAttributes }],
+      order: [['created_at', 'DESC']],
+      limit: 50
+    });
+
+    res.json({
+      report: { ...toModeratorPayload(report), resolver: report.resolver || undefined },
+      related_reports: related
+        .filter(other => other.id !== report.id)
+        .map(toModeratorPayload)
+    });
+
+  } catch (error) {
+    console.error('Report fetch error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch report'
+    });
+  }
+});
+
+// PUT /api/reports/:reportId/status - Pick up a report or hand it back to the queue (moderator only)
+router.put('/:reportId/status', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = statusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const report = await Report.findByPk(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.canTransitionTo(value.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Report cannot move from ${report.status} to ${value.status}`
+      });
+    }
+
+    await report.update({
+      status: value.status,
+      // Investigating reports belong to whoever picked them up
+      assigned_to: value.status === 'investigating' ? req.player.id : null,
+      resolution_note: value.note || report.resolution_note
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      announceReportUpdated(io, report, req.player);
+    }
+
+    res.json({
+      message: 'Report status updated successfully',
+      report: toModeratorPayload(report)
+    });
+
+  } catch (error) {
+    console.error('Report status update error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update report status'
+    });
+  }
+});
+
+// POST /api/reports/:reportId/resolve - Action or dismiss a report, optionally banning, muting or
+// deleting the reported message (moderator only)
+router.post('/:reportId/resolve', authenticateToken, requireRole(['moderator', 'admin']), async (req, res) => {
+  try {
+    const { error, value } = resolveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const report = await Report.findByPk(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Report not found'
+      });
+    }
+
+    if (!report.canTransitionTo(value.status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Report cannot move from ${report.status} to ${value.status}`
+      });
+    }
+
+    const { ban, mute, delete_message: deleteReportedMessage } = value.actions;
+    const punishes = !!(ban || mute);
+
+    if ((punishes || deleteReportedMessage) && value.status !== 'actioned') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Only actioned reports can ban, mute or delete messages'
+      });
+    }
+
+    let reportedPlayer = null;
+    if (punishes) {
+      reportedPlayer = report.reported_player_id && await Player.findByPk(report.reported_player_id);
+      if (!reportedPlayer) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'This report has no player to ban or mute'
+        });
+      }
+
+      const denied = checkModerationTarget(req.player, reportedPlayer);
+      if (denied) {
+        return res.status(403).json({
+          error: 'Access Denied',
+          message: denied
+        });
+      }
+    }
+
+    let chatMessage = null;
+    if (deleteReportedMessage) {
+      if (report.target_type !== 'chat_message') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Only reports about chat messages can delete a message'
+        });
+      }
+      chatMessage = await ChatMessage.findByPk(report.target_id);
+    }
+
+    const io = req.app.get('io');
+    const actions = [];
+    const moderation = { moderator: req.player, ipAddress: req.ip };
+
+    if (ban) {
+      const entry = await banPlayer(io, reportedPlayer, {
+        ...moderation,
+        reason: ban.reason,
+        durationHours: ban.duration_hours
+      });
+      actions.push({ type: 'ban', player_id: reportedPlayer.id, ban_expires: reportedPlayer.ban_expires, audit_entry_id: entry.id });
+    }
+
+    if (mute) {
+      const entry = await mutePlayer(io, reportedPlayer, {
+        ...moderation,
+        durationMinutes: mute.duration_minutes,
+        reason: mute.reason
+      });
+      actions.push({ type: 'mute', player_id: reportedPlayer.id, muted_until: reportedPlayer.chat_muted_until, audit_entry_id: entry.id });
+    }
+
+    // Already deleted messages count as done; the evidence snapshot keeps the text
+    if (chatMessage && !chatMessage.isDeleted()) {
+      await deleteMessage(io, chatMessage, req.player);
+      actions.push({ type: 'delete_message', chat_message_id: chatMessage.id });
+    }
+
+    const resolution = {
+      status: value.status,
+      resolved_by: req.player.id,
+      resolved_at: new Date(),
+      resolution_note: value.note || report.resolution_note
+    };
+    await report.update({ ...resolution, actions });
+
+    // Other reporters of the same target get the same answer, without repeating the actions
+    let duplicates = [];
+    if (value.close_duplicates) {
+      duplicates = await Report.findAll({
+        where: {
+          target_type: report.target_type,
+          target_id: report.target_id,
+          status: Report.ACTIVE_STATUSES
+        }
+      });
+      for (const duplicate of duplicates) {
+        await duplicate.update({ ...resolution, actions: [{ type: 'closed_as_duplicate', report_id: report.id }] });
+      }
+    }
+
+    const entry = await AdminAuditLog.record(req.player.id, 'report_resolved', { type: 'report', id: report.id }, {
+      reason: value.note,
+      changes: {
+        status: report.status,
+        target_type: report.target_type,
+        target_id: report.target_id,
+        actions,
+        closed_duplicates: duplicates.map(duplicate => duplicate.id)
+      },
+      ipAddress: req.ip
+    });
+
+    if (io) {
+      for (const resolved of [report, ...duplicates]) {
+        announceReportResolved(io, resolved);
+        announceReportUpdated(io, resolved, req.player);
+      }
+    }
+
+    res.json({
+      message: 'Report resolved successfully',
+      report: toModeratorPayload(report),
+      closed_duplicates: duplicates.map(duplicate => duplicate.id),
+      audit_entry: entry.toEntryPayload()
+    });
+
+  } catch (error) {
+    console.error('Report resolve error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to resolve report'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { sequelize } = require('../models');
+const tileCache = require('../services/tileCache');
+
+const router = express.Router();
+
+const MVT_EXTENT = 4096;
+const MVT_BUFFER = 64;
+
+// Layers: countries (borders), players (soldier positions), contested (active push fronts).
+// Tiles are public and shared through the cache, so the players layer carries only the
+// soldier's country, never who the soldier is.
+const TILE_QUERY = `
+  WITH bounds AS (
+    SELECT ST_TileEnvelope(:z, :x, :y) AS geom,
+           ST_Transform(ST_TileEnvelope(:z, :x, :y), 4326) AS geom_4326
+  ),
+  countries_layer AS (
+    SELECT ST_AsMVTGeom(ST_Transform(c.current_boundaries, 3857), bounds.geom, :extent, :buffer, true) AS geom,
+           c.id, c.name, c.iso_code, c.color, c.owner_id, c.is_claimed, c.is_at_war
+    FROM countries c, bounds
+    WHERE c.current_boundaries && bounds.geom_4326
+      AND NOT ST_IsEmpty(c.current_boundaries)
+  ),
+  players_layer AS (
+    SELECT ST_AsMVTGeom(ST_Transform(p.current_position, 3857), bounds.geom, :extent, :buffer, true) AS geom,
+           p.country_id, c.color, c.owner_id, c.is_at_war
+    FROM players p
+    JOIN countries c ON c.id = p.country_id, bounds
+    WHERE :z >= :playerMinZoom
+      AND p.is_online = true
+      AND p.current_position && bounds.geom_4326
+  ),
+  contested_layer AS (
+    SELECT ST_AsMVTGeom(ST_Transform(bp.push_position, 3857), bounds.geom, :extent, :buffer, true) AS geom,
+           bp.id, bp.war_id, bp.source_country_id, bp.target_country_id,
+           s.color, s.owner_id, true AS is_at_war,
+           bp.push_strength, bp.resistance_strength, bp.distance_pushed
+    FROM border_pushes bp
+    JOIN countries s ON s.id = bp.source_country_id, bounds
+    WHERE bp.status = 'active'
+      AND bp.push_position && bounds.geom_4326
+  )
+  SELECT
+    (SELECT ST_AsMVT(countries_layer.*, 'countries', :extent, 'geom') FROM countries_layer) ||
+    (SELECT ST_AsMVT(players_layer.*, 'players', :extent, 'geom') FROM players_layer) ||
+    (SELECT ST_AsMVT(contested_layer.*, 'contested', :extent, 'geom') FROM contested_layer) AS tile
+`;
+
+const parseTileCoordinates = (params) => {
+  const z = parseInt(params.z);
+  const x = parseInt(params.x);
+  const y = parseInt(params.y);
+  const maxZoom = parseInt(process.env.MAX_ZOOM_LEVEL) || 18;
+
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > maxZoom) {
+    return null;
+  }
+
+  const tileCount = Math.pow(2, z);
+  if (x < 0 || x >= tileCount || y < 0 || y >= tileCount) {
+    return null;
+  }
+
+  return { z, x, y };
+};
+
+// GET /api/tiles/:z/:x/:y.mvt - Get a Mapbox vector tile
+router.get('/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    const coordinates = parseTileCoordinates(req.params);
+    if (!coordinates) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid tile coordinates'
+      });
+    }
+
+    const { z, x, y } = coordinates;
+    let tile = tileCache.get(z, x, y);
+
+    if (!tile) {
+      const [row] = await sequelize.query(TILE_QUERY, {
+        replacements: {
+          z,
+          x,
+          y,
+          extent: MVT_EXTENT,
+          buffer: MVT_BUFFER,
+          playerMinZoom: parseInt(process.env.TILE_PLAYER_MIN_ZOOM) || 6
+        },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      tile = row && row.tile ? row.tile : Buffer.alloc(0);
+      tileCache.set(z, x, y, tile);
+    }
+
+    if (tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.set('Cache-Control', 'no-cache');
+    res.send(tile);
+
+  } catch (error) {
+    console.error('Tile render error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to render tile'
+    });
+  }
+});
+
+module.exports = router;
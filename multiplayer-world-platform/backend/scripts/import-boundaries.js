@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const { detectFormat, readFeatures } = require('./lib/geoSources');
+
+// Simplification tolerance in degrees for each level of detail
+const DETAIL_LEVELS = {
+  full: 0,
+  high: 0.001,
+  medium: 0.01,
+  low: 0.05
+};
+
+// Property names used by Natural Earth exports and OSM tags, in order of preference
+const NAME_FIELDS = ['NAME', 'ADMIN', 'NAME_EN', 'name:en', 'name'];
+const ISO_FIELDS = ['ISO_A3', 'ADM0_A3', 'iso_a3', 'adm0_a3', 'ISO3166-1:alpha3'];
+const POPULATION_FIELDS = ['POP_EST', 'pop_est', 'population'];
+const CAPITAL_ISO_FIELDS = ['ADM0_A3', 'adm0_a3', 'ISO_A3', 'iso_a3', 'ISO3166-1:alpha3'];
+
+const USAGE = `Usage: node scripts/import-boundaries.js --file <path> [options]
+
+Imports country boundaries from a local GeoJSON, Shapefile or OSM PBF extract.
+Shapefiles and PBF extracts are converted with ogr2ogr (GDAL), which must be on PATH.
+
+Options:
+  --file <path>           Boundary file (.geojson, .json, .shp, .osm.pbf, .pbf)
+  --format <format>       geojson, shapefile or pbf (detected from the extension)
+  --detail <level>        full, high, medium or low (default: medium)
+  --capitals <path>       Populated places file used to position capitals
+  --iso-map <path>        JSON object mapping source codes or names to ISO alpha-3
+  --iso-field <name>      Property holding the ISO alpha-3 code
+  --name-field <name>     Property holding the country name
+  --population-field <n>  Property holding the population estimate
+  --reset-current         Also overwrite current_boundaries of countries changed by wars
+  --dry-run               List what would be imported without touching the database
+  --help                  Show this message
+`;
+
+const parseArgs = (argv) => {
+  const options = {
+    detail: 'medium',
+    resetCurrent: false,
+    dryRun: false
+  };
+
+  const valueFlags = {
+    '--file': 'file',
+    '--format': 'format',
+    '--detail': 'detail',
+    '--capitals': 'capitals',
+    '--iso-map': 'isoMap',
+    '--iso-field': 'isoField',
+    '--name-field': 'nameField',
+    '--population-field': 'populationField'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--reset-current') {
+      options.resetCurrent = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const pickField = (properties, fields) => {
+  for (const field of fields) {
+    const value = properties[field];
+    if (value !== undefined && value !== null && value !== '' && value !== '-99') {
+      return value;
+    }
+  }
+
+  return null;
+};
+
+const resolveIsoCode = (properties, isoMap, isoFields) => {
+  const rawCode = pickField(properties, isoFields);
+  const name = pickField(properties, NAME_FIELDS);
+
+  // Explicit mappings win over whatever the source file says
+  const mapped = (rawCode && isoMap[rawCode]) || (name && isoMap[name]) || rawCode;
+
+  if (!mapped || !/^[A-Za-z]{3}$/.test(mapped)) {
+    return null;
+  }
+
+  return mapped.toUpperCase();
+};
+
+const loadCapitals = async (file) => {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new Error(`Cannot detect format of capitals file: ${file}`);
+  }
+
+  const capitals = new Map();
+  const features = await readFeatures(file, format, { layer: 'points' });
+
+  for (const feature of features) {
+    const properties = feature.properties || {};
+    const featureClass = String(properties.FEATURECLA || properties.featurecla || properties.capital || '');
+    const isCapital = /admin-0 capital/i.test(featureClass) || featureClass === 'yes' || featureClass === '2';
+
+    if (!isCapital || !feature.geometry || feature.geometry.type !== 'Point') {
+      continue;
+    }
+
+    const isoCode = pickField(properties, CAPITAL_ISO_FIELDS);
+    if (isoCode && !capitals.has(isoCode.toUpperCase())) {
+      capitals.set(isoCode.toUpperCase(), feature.geometry.coordinates);
+    }
+  }
+
+  return capitals;
+};
+
+// Repair, simplify and measure a boundary inside PostGIS
+const prepareGeometry = async (sequelize, geometry, tolerance) => {
+  const [row] = await sequelize.query(
+    `SELECT ST_AsGeoJSON(geom) AS geojson,
+            ST_AsGeoJSON(ST_PointOnSurface(geom)) AS point_on_surface,
+            ST_Area(geom::geography) / 1000000 AS area_km2
+     FROM (
+       SELECT ST_Multi(ST_CollectionExtract(ST_MakeValid(
+         ST_SimplifyPreserveTopology(
+           ST_SetSRID(ST_GeomFromGeoJSON(:geometry), 4326),
+           :tolerance
+         )
+       ), 3)) AS geom
+     ) AS prepared`,
+    {
+      replacements: { geometry: JSON.stringify(geometry), tolerance },
+      type: sequelize.QueryTypes.SELECT
+    }
+  );
+
+  return {
+    boundaries: JSON.parse(row.geojson),
+    pointOnSurface: JSON.parse(row.point_on_surface),
+    areaKm2: parseFloat(row.area_km2)
+  };
+};
+
+const importCountry = async (db, feature, context) => {
+  const { Country, Sequelize } = db;
+  const { options, isoMap, capitals, tolerance } = context;
+  const properties = feature.properties || {};
+
+  const isoFields = options.isoField ? [options.isoField] : ISO_FIELDS;
+  const isoCode = resolveIsoCode(properties, isoMap, isoFields);
+  const name = pickField(properties, options.nameField ? [options.nameField] : NAME_FIELDS);
+
+  if (!isoCode || !name || !feature.geometry) {
+    return { status: 'skipped', name: name || '(unnamed)', reason: 'missing ISO code, name or geometry' };
+  }
+
+  const population = parseInt(
+    pickField(properties, options.populationField ? [options.populationField] : POPULATION_FIELDS)
+  ) || 0;
+
+  const prepared = await prepareGeometry(db.sequelize, feature.geometry, tolerance);
+  if (!prepared.areaKm2) {
+    return { status: 'skipped', name, reason: 'empty geometry after simplification' };
+  }
+
+  const capital = capitals.get(isoCode);
+  const capitalPosition = capital
+    ? { type: 'Point', coordinates: capital }
+    : prepared.pointOnSurface;
+
+  const existing = await Country.findOne({
+    where: {
+      [Sequelize.Op.or]: [{ iso_code: isoCode }, { name }]
+    }
+  });
+
+  if (!existing) {
+    await Country.create({
+      name,
+      iso_code: isoCode,
+      original_boundaries: prepared.boundaries,
+      current_boundaries: prepared.boundaries,
+      capital_position: capitalPosition,
+      area_km2: prepared.areaKm2,
+      original_area_km2: prepared.areaKm2,
+      population
+    });
+
+    return { status: 'created', name, isoCode };
+  }
+
+  const updates = {
+    name,
+    iso_code: isoCode,
+    original_boundaries: prepared.boundaries,
+    original_area_km2: prepared.areaKm2,
+    capital_position: capitalPosition,
+    population
+  };
+
+  // Leave borders moved by wars alone on a live world unless asked otherwise
+  const untouched = !existing.territory_gained && !existing.territory_lost;
+  if (untouched || options.resetCurrent) {
+    updates.current_boundaries = prepared.boundaries;
+    updates.area_km2 = prepared.areaKm2;
+  }
+
+  await existing.update(updates);
+
+  return { status: 'updated', name, isoCode, currentReplaced: !!updates.current_boundaries };
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const format = options.format || detectFormat(options.file);
+  if (!['geojson', 'shapefile', 'pbf'].includes(format)) {
+    console.error(`❌ Unsupported or undetectable format for ${options.file}`);
+    process.exit(1);
+  }
+
+  if (!(options.detail in DETAIL_LEVELS)) {
+    console.error(`❌ Unknown detail level "${options.detail}", expected one of: ${Object.keys(DETAIL_LEVELS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const isoMap = options.isoMap ? JSON.parse(fs.readFileSync(options.isoMap, 'utf8')) : {};
+  const capitals = options.capitals ? await loadCapitals(options.capitals) : new Map();
+  // Only national borders from OSM extracts
+  const features = await readFeatures(options.file, format, format === 'pbf' ? {
+    layer: 'multipolygons',
+    where: "boundary = 'administrative' AND admin_level = '2'"
+  } : {});
+
+  console.log(`📂 Read ${features.length} features from ${options.file} (${format})`);
+  if (options.capitals) {
+    console.log(`🏛️  Loaded ${capitals.size} capitals from ${options.capitals}`);
+  }
+
+  if (options.dryRun) {
+    const isoFields = options.isoField ? [options.isoField] : ISO_FIELDS;
+    for (const feature of features) {
+      const properties = feature.properties || {};
+      const isoCode = resolveIsoCode(properties, isoMap, isoFields);
+      const name = pickField(properties, options.nameField ? [options.nameField] : NAME_FIELDS);
+      console.log(`  ${isoCode || '???'}  ${name || '(unnamed)'}${capitals.has(isoCode) ? '  [capital]' : ''}`);
+    }
+    return;
+  }
+
+  // Loaded lazily so a dry run never opens a database connection
+  const db = require('../models');
+  const context = {
+    options,
+    isoMap,
+    capitals,
+    tolerance: DETAIL_LEVELS[options.detail]
+  };
+
+  const summary = { created: 0, updated: 0, skipped: 0 };
+
+  try {
+    await db.sequelize.authenticate();
+
+    for (const feature of features) {
+      try {
+        const result = await importCountry(db, feature, context);
+        summary[result.status] += 1;
+
+        if (result.status === 'skipped') {
+          console.warn(`⚠️  Skipped ${result.name}: ${result.reason}`);
+        }
+      } catch (error) {
+        summary.skipped += 1;
+        console.error(`❌ Failed to import feature:`, error.message);
+      }
+    }
+
+    console.log(`✅ Import finished: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`);
+  } finally {
+    await db.sequelize.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Boundary import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const path = require('path');
+const { detectFormat, readFeatures } = require('./lib/geoSources');
+
+const FEATURE_TYPES = ['river', 'mountain', 'city', 'forest', 'desert', 'wetland'];
+const NAME_FIELDS = ['name', 'NAME', 'name:en', 'NAME_EN'];
+const BATCH_SIZE = 500;
+
+const USAGE = `Usage: node scripts/import-terrain.js --file <path> --type <type> [options]
+
+Imports one kind of terrain (rivers, mountains, cities, ...) from a local GeoJSON,
+Shapefile or OSM PBF extract into the terrain_features table. Re-running with the
+same file replaces the features previously imported from it.
+
+Options:
+  --file <path>        Terrain file (.geojson, .json, .shp, .osm.pbf, .pbf)
+  --type <type>        ${FEATURE_TYPES.join(', ')}
+  --format <format>    geojson, shapefile or pbf (detected from the extension)
+  --modifier <n>       Difficulty multiplier (default depends on --type)
+  --buffer <meters>    Distance around each feature that still counts
+  --layer <name>       OSM layer to read: points, lines or multipolygons
+  --where <sql>        ogr2ogr attribute filter, e.g. "waterway = 'river'"
+  --name-field <name>  Property holding the feature name
+  --help               Show this message
+`;
+
+const parseArgs = (argv) => {
+  const options = {};
+
+  const valueFlags = {
+    '--file': 'file',
+    '--type': 'type',
+    '--format': 'format',
+    '--modifier': 'modifier',
+    '--buffer': 'buffer',
+    '--layer': 'layer',
+    '--where': 'where',
+    '--name-field': 'nameField'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (valueFlags[arg]) {
+      if (argv[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueFlags[arg]] = argv[++i];
+    } else if (arg === '--help') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const pickName = (properties, fields) => {
+  for (const field of fields) {
+    if (properties[field]) {
+      return String(properties[field]).slice(0, 255);
+    }
+  }
+  return null;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help || !options.file || !options.type) {
+    console.log(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  if (!FEATURE_TYPES.includes(options.type)) {
+    console.error(`❌ Unknown terrain type "${options.type}", expected one of: ${FEATURE_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const format = options.format || detectFormat(options.file);
+  if (!['geojson', 'shapefile', 'pbf'].includes(format)) {
+    console.error(`❌ Unsupported or undetectable format for ${options.file}`);
+    process.exit(1);
+  }
+
+  if (format === 'pbf' && !options.layer) {
+    console.error('❌ OSM PBF extracts need --layer (points, lines or multipolygons)');
+    process.exit(1);
+  }
+
+  const features = (await readFeatures(options.file, format, {
+    layer: options.layer,
+    where: options.where
+  })).filter(feature => feature.geometry);
+
+  console.log(`📂 Read ${features.length} ${options.type} features from ${options.file} (${format})`);
+
+  const db = require('../models');
+  const { TerrainFeature, sequelize } = db;
+
+  const defaults = TerrainFeature.DEFAULTS[options.type];
+  const modifier = options.modifier !== undefined ? parseFloat(options.modifier) : defaults.modifier;
+  const bufferMeters = options.buffer !== undefined ? parseFloat(options.buffer) : defaults.buffer_meters;
+  const source = path.basename(options.file);
+  const nameFields = options.nameField ? [options.nameField] : NAME_FIELDS;
+
+  try {
+    await sequelize.authenticate();
+
+    await sequelize.transaction(async (transaction) => {
+      // Replace what this file imported last time so the import is repeatable
+      const removed = await TerrainFeature.destroy({
+        where: { source, feature_type: options.type },
+        transaction
+      });
+
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} features from a previous import of ${source}`);
+      }
+
+      for (let i = 0; i < features.length; i += BATCH_SIZE) {
+        const batch = features.slice(i, i + BATCH_SIZE).map(feature => ({
+          feature_type: options.type,
+          name: pickName(feature.properties || {}, nameFields),
+          geometry: feature.geometry,
+          modifier,
+          buffer_meters: bufferMeters,
+          source
+        }));
+
+        await TerrainFeature.bulkCreate(batch, { transaction });
+      }
+    });
+
+    console.log(`✅ Imported ${features.length} ${options.type} features (modifier ${modifier}, buffer ${bufferMeters} m)`);
+  } finally {
+    await sequelize.close();
+  }
+};
+
+main().catch((error) => {
+  console.error('❌ Terrain import failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const detectFormat = (file) => {
+  const lower = file.toLowerCase();
+
+  if (lower.endsWith('.pbf')) return 'pbf';
+  if (lower.endsWith('.shp')) return 'shapefile';
+  if (lower.endsWith('.geojson') || lower.endsWith('.json')) return 'geojson';
+
+  return null;
+};
+
+// ogr2ogr stores OSM tags it has no column for as an hstore-style string
+const parseOtherTags = (otherTags) => {
+  const tags = {};
+
+  if (!otherTags) {
+    return tags;
+  }
+
+  const pattern = /"((?:[^"\\]|\\.)*)"=>"((?:[^"\\]|\\.)*)"/g;
+  let match;
+  while ((match = pattern.exec(otherTags)) !== null) {
+    tags[match[1]] = match[2].replace(/\\"/g, '"');
+  }
+
+  return tags;
+};
+
+// Convert a Shapefile or OSM PBF extract to GeoJSON with GDAL
+const convertWithOgr = async (file, format, options = {}) => {
+  const output = path.join(os.tmpdir(), `geo-source-${process.pid}-${Date.now()}.geojson`);
+  const args = ['-f', 'GeoJSON', '-t_srs', 'EPSG:4326', output, file];
+
+  // OSM extracts hold several layers (points, lines, multipolygons, ...)
+  if (format === 'pbf' && options.layer) {
+    args.push(options.layer);
+  }
+
+  if (options.where) {
+    args.push('-where', options.where);
+  }
+
+  try {
+    await execFileAsync('ogr2ogr', args, { maxBuffer: 10 * 1024 * 1024 });
+    return JSON.parse(fs.readFileSync(output, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('ogr2ogr was not found; install GDAL to import Shapefile or PBF data');
+    }
+    throw error;
+  } finally {
+    fs.rmSync(output, { force: true });
+  }
+};
+
+const readFeatures = async (file, format, options = {}) => {
+  const collection = format === 'geojson'
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : await convertWithOgr(file, format, options);
+
+  const features = collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+  return features.map(feature => ({
+    ...feature,
+    properties: {
+      ...parseOtherTags(feature.properties && feature.properties.other_tags),
+      ...feature.properties
+    }
+  }));
+};
+
+module.exports = {
+  detectFormat,
+  parseOtherTags,
+  readFeatures
+};
@@ -13,9 +13,15 @@ const authRoutes = require('./routes/auth');
 const countryRoutes = require('./routes/countries');
 const playerRoutes = require('./routes/players');
 const gameRoutes = require('./routes/game');
+const tileRoutes = require('./routes/tiles');
+const chatRoutes = require('./routes/chat');
+const marketRoutes = require('./routes/market');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
 
 // Import socket handlers
-const socketHandler = require('./sockets/socketHandler');
+const { socketHandler, shutdownSocketHandler, getTickEngine } = require('./sockets/socketHandler');
+const { instanceId } = require('./services/redis');
 
 // Import database
 const { sequelize } = require('./models');
@@ -70,7 +76,9 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    instance_id: instanceId,
+    game_tick: getTickEngine() ? getTickEngine().getMetrics() : null
   });
 });
 
@@ -79,9 +87,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/countries', countryRoutes);
 app.use('/api/players', playerRoutes);
 app.use('/api/game', gameRoutes);
+app.use('/api/tiles', tileRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/market', marketRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
 
-// Socket.IO connection handling
-socketHandler(io);
+// Make io available to routes through req.app.get('io')
+app.set('io', io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -132,6 +145,9 @@ async function startServer() {
       console.log('✅ Database models synchronized');
     }
     
+    // Socket.IO connection handling (connects Redis first when configured)
+    await socketHandler(io);
+    
     // Start the server
     server.listen(PORT, HOST, () => {
       console.log(`🚀 Server running on http://${HOST}:${PORT}`);
@@ -153,6 +169,7 @@ process.on('SIGTERM', async () => {
     console.log('🔌 HTTP server closed');
     
     try {
+      await shutdownSocketHandler();
       await sequelize.close();
       console.log('🔌 Database connection closed');
       process.exit(0);
@@ -170,6 +187,7 @@ process.on('SIGINT', async () => {
     console.log('🔌 HTTP server closed');
     
     try {
+      await shutdownSocketHandler();
       await sequelize.close();
       console.log('🔌 Database connection closed');
       process.exit(0);
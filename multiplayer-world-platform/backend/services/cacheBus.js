@@ -0,0 +1,81 @@
+// Invalidations for the per-process caches (map tiles, the adjacency graph), shared between
+// backend instances. Only the leader moves borders, so without this the other instances
+// would keep serving stale tiles and neighbors until their entries expired.
+//
+// A cache drops its own entries and publishes the invalidation; every other instance on the
+// same Redis runs the handler registered for it. Without Redis publishing does nothing.
+const { instanceId } = require('./redis');
+
+const CHANNEL = 'cache:invalidate';
+
+const createCacheBus = (origin) => {
+  const handlers = new Map();
+  let publisher = null;
+  let subscriber = null;
+
+  const on = (type, handler) => {
+    handlers.set(type, handler);
+  };
+
+  const publish = (type, payload = {}) => {
+    if (!publisher) {
+      return;
+    }
+
+    publisher.publish(CHANNEL, JSON.stringify({ type, payload, origin }))
+      .catch(error => console.error('Cache invalidation publish error:', error));
+  };
+
+  const handleMessage = (message) => {
+    let invalidation;
+    try {
+      invalidation = JSON.parse(message);
+    } catch (error) {
+      return;
+    }
+
+    // Our own invalidations were applied before they were published
+    if (invalidation.origin === origin) {
+      return;
+    }
+
+    const handler = handlers.get(invalidation.type);
+    if (handler) {
+      handler(invalidation.payload || {});
+    }
+  };
+
+  // pubClient and subClient are the pair from connectRedis; the subscriber may already
+  // carry the Socket.IO adapter's subscriptions
+  const connect = async ({ pubClient, subClient }) => {
+    await subClient.subscribe(CHANNEL, handleMessage);
+    publisher = pubClient;
+    subscriber = subClient;
+  };
+
+  const disconnect = async () => {
+    publisher = null;
+
+    if (subscriber) {
+      const client = subscriber;
+      subscriber = null;
+      await client.unsubscribe(CHANNEL, handleMessage);
+    }
+  };
+
+  return {
+    on,
+    publish,
+    connect,
+    disconnect,
+    handleMessage
+  };
+};
+
+// Bus shared by the caches of this process
+const cacheBus = createCacheBus(instanceId);
+
+module.exports = {
+  createCacheBus,
+  cacheBus
+};
@@ -0,0 +1,147 @@
+const { RateLimiterMemory, RateLimiterRedis } = require('rate-limiter-flexible');
+const { ChatMessage, Player } = require('../models');
+const { getRedisClient } = require('./redis');
+
+// Words masked out of chat messages; extend with CHAT_BANNED_WORDS (comma separated)
+const DEFAULT_BANNED_WORDS = ['fuck', 'shit', 'cunt', 'nigger', 'faggot', 'retard'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildFilter = () => {
+  const extraWords = (process.env.CHAT_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+
+  const words = [...new Set([...DEFAULT_BANNED_WORDS, ...extraWords])];
+
+  // Whole words plus common suffixes, so "shitty" is caught but "Scunthorpe" is not
+  return new RegExp(`\\b(${words.map(escapeRegExp).join('|')})(s|es|ed|er|ers|ing|ty|y)?\\b`, 'gi');
+};
+
+let filterPattern = null;
+
+const filterMessage = (text) => {
+  if (!filterPattern) {
+    filterPattern = buildFilter();
+  }
+
+  let filtered = false;
+  const message = text.replace(filterPattern, (match) => {
+    filtered = true;
+    return '*'.repeat(match.length);
+  });
+
+  return { message, filtered };
+};
+
+let rateLimiter = null;
+
+// Shared between instances through Redis when it is configured
+const getRateLimiter = () => {
+  if (!rateLimiter) {
+    const limits = {
+      keyPrefix: 'chat',
+      points: parseInt(process.env.CHAT_RATE_LIMIT_MESSAGES) || 5,
+      duration: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_SECONDS) || 10
+    };
+
+    const client = getRedisClient();
+    rateLimiter = client
+      ? new RateLimiterRedis({ storeClient: client, useRedisPackage: true, ...limits })
+      : new RateLimiterMemory(limits);
+  }
+
+  return rateLimiter;
+};
+
+// Returns null when the player may send, otherwise the number of ms to wait
+const consumeRateLimit = async (playerId) => {
+  try {
+    await getRateLimiter().consume(playerId);
+    return null;
+  } catch (rejection) {
+    if (rejection instanceof Error) {
+      throw rejection;
+    }
+    return rejection.msBeforeNext;
+  }
+};
+
+const emitToChannel = (io, chatMessage, event, payload) => {
+  const rooms = chatMessage.getRooms();
+
+  if (rooms) {
+    io.to(rooms).emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+};
+
+// Validates, filters, stores and broadcasts a chat message.
+// Resolves to { sent: true, payload } or { sent: false, reason }.
+const sendMessage = async (io, player, { channel, message }) => {
+  const text = typeof message === 'string' ? message.trim() : '';
+
+  if (text.length === 0) {
+    return { sent: false, reason: 'Message cannot be empty' };
+  }
+
+  if (text.length > 500) {
+    return { sent: false, reason: 'Message too long' };
+  }
+
+  // Mutes can be applied while the player is connected, so check the stored state
+  const muteState = await Player.findByPk(player.id, { attributes: ['id', 'chat_muted_until'] });
+  if (muteState.isChatMuted()) {
+    return { sent: false, reason: `You are muted until ${muteState.chat_muted_until.toISOString()}` };
+  }
+
+  const waitMs = await consumeRateLimit(player.id);
+  if (waitMs !== null) {
+    return { sent: false, reason: `You are sending messages too quickly, try again in ${Math.ceil(waitMs / 1000)}s` };
+  }
+
+  const target = await ChatMessage.resolveChannel(player, channel);
+  if (!target.allowed) {
+    return { sent: false, reason: target.reason };
+  }
+
+  const { message: filteredText, filtered } = filterMessage(text);
+
+  const chatMessage = await ChatMessage.create({
+    channel: target.channel,
+    channel_type: target.channel_type,
+    sender_id: player.id,
+    country_id: target.country_id || null,
+    war_id: target.war_id || null,
+    recipient_id: target.recipient_id || null,
+    message: filteredText,
+    is_filtered: filtered
+  });
+
+  const payload = chatMessage.toChatPayload(player);
+  emitToChannel(io, chatMessage, 'chat:message', payload);
+
+  return { sent: true, payload };
+};
+
+const deleteMessage = async (io, chatMessage, moderator) => {
+  await chatMessage.update({
+    deleted_at: new Date(),
+    deleted_by: moderator.id
+  });
+
+  emitToChannel(io, chatMessage, 'chat:message_deleted', {
+    id: chatMessage.id,
+    channel: chatMessage.channel,
+    deleted_by: moderator.username,
+    timestamp: new Date()
+  });
+};
+
+module.exports = {
+  filterMessage,
+  sendMessage,
+  deleteMessage
+};
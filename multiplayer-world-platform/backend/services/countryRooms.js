@@ -0,0 +1,118 @@
+// Keeps connected sockets in step when the server, rather than the player's own
+// socket, moves someone into or out of a country (joins over REST, approvals,
+// kicks, annexation), and announces those changes to the country.
+
+let clustered = false;
+
+// Rejoin country rooms and refresh the cached player of this instance's sockets
+const applyLocally = async (io, { player_id, from_country_id, to_country_id }) => {
+  const sockets = await io.local.in(`player_${player_id}`).fetchSockets();
+
+  for (const socket of sockets) {
+    if (from_country_id) {
+      socket.leave(`country_${from_country_id}`);
+    }
+    if (to_country_id) {
+      socket.join(`country_${to_country_id}`);
+    }
+    if (socket.player) {
+      socket.player.country_id = to_country_id || null;
+    }
+  }
+};
+
+// Other instances hold sockets of the same players once the Redis adapter is in use
+const enableClusterSync = (io) => {
+  clustered = true;
+
+  io.on('player:country_changed', (change) => {
+    applyLocally(io, change).catch(error => console.error('Country room sync error:', error));
+  });
+};
+
+// change: { player_id, from_country_id, to_country_id } (either country may be null)
+const movePlayer = async (io, presence, change) => {
+  if (await presence.isOnline(change.player_id)) {
+    if (change.from_country_id) {
+      await presence.leaveCountry(change.from_country_id, change.player_id);
+    }
+    if (change.to_country_id) {
+      await presence.joinCountry(change.to_country_id, change.player_id);
+    }
+  }
+
+  await applyLocally(io, change);
+
+  if (clustered) {
+    io.serverSideEmit('player:country_changed', change);
+  }
+
+  io.to(`player_${change.player_id}`).emit('player:country_changed', {
+    from_country_id: change.from_country_id,
+    country_id: change.to_country_id,
+    reason: change.reason || null,
+    timestamp: new Date()
+  });
+};
+
+const toPlayerSummary = (player) => ({
+  id: player.id,
+  username: player.username,
+  display_name: player.display_name
+});
+
+// A player was let into a country outside of their own socket, e.g. through the REST API or an approval
+const announceJoined = async (io, presence, country, player, options = {}) => {
+  await movePlayer(io, presence, {
+    player_id: player.id,
+    from_country_id: null,
+    to_country_id: country.id,
+    reason: options.reason || 'joined'
+  });
+
+  io.to(`country_${country.id}`).except(`player_${player.id}`).emit('player:joined_country', {
+    player: toPlayerSummary(player),
+    became_owner: Boolean(options.becameOwner),
+    timestamp: new Date()
+  });
+};
+
+// A player was removed from a country by someone else (kick or ban)
+const announceRemoved = async (io, presence, countryId, player, options = {}) => {
+  await movePlayer(io, presence, {
+    player_id: player.id,
+    from_country_id: countryId,
+    to_country_id: null,
+    reason: options.reason
+  });
+
+  io.to(`country_${countryId}`).emit('player:left_country', {
+    player: toPlayerSummary(player),
+    was_owner: false,
+    reason: options.reason,
+    removed_by: options.removedBy ? toPlayerSummary(options.removedBy) : null,
+    timestamp: new Date()
+  });
+};
+
+// Everyone sees the owner on the map, so the change goes to all clients
+const announceOwnerChanged = (io, { country, previousOwnerId, newOwner, reason }) => {
+  const payload = {
+    country_id: country.id,
+    country_name: country.name,
+    previous_owner_id: previousOwnerId,
+    new_owner: newOwner ? toPlayerSummary(newOwner) : null,
+    reason,
+    timestamp: new Date()
+  };
+
+  io.emit('country:owner_changed', payload);
+};
+
+module.exports = {
+  enableClusterSync,
+  movePlayer,
+  announceJoined,
+  announceRemoved,
+  announceOwnerChanged
+};
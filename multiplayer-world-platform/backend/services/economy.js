@@ -0,0 +1,126 @@
+// Country economy: what a country's land, people and soldiers produce and cost.
+// All amounts are per economy tick (one minute of game time).
+
+const RESOURCE_TYPES = ['food', 'materials', 'manpower', 'gold'];
+
+// Country column holding each resource; gold predates the others and lives in resources
+const STOCKPILE_COLUMNS = { food: 'food', materials: 'materials', manpower: 'manpower', gold: 'resources' };
+
+// Every claimed country produces this much from its capital alone
+const BASE_INCOME = { food: 5, materials: 3, manpower: 2, gold: 3 };
+
+// Income per 10,000 km² of controlled land
+const AREA_INCOME = { food: 2, materials: 1.5, manpower: 0, gold: 1 };
+
+// Income per million inhabitants
+const POPULATION_INCOME = { food: 0, materials: 0, manpower: 2, gold: 1 };
+
+// How each country terrain type bends production
+const TERRAIN_MULTIPLIERS = {
+  plains: { food: 1.5, materials: 1.0, manpower: 1.0, gold: 1.0 },
+  mountains: { food: 0.5, materials: 1.8, manpower: 0.8, gold: 1.2 },
+  desert: { food: 0.3, materials: 1.2, manpower: 0.6, gold: 1.4 },
+  forest: { food: 1.0, materials: 1.5, manpower: 0.9, gold: 0.8 },
+  coastal: { food: 1.3, materials: 0.9, manpower: 1.1, gold: 1.5 },
+  islands: { food: 1.1, materials: 0.7, manpower: 0.9, gold: 1.6 }
+};
+
+// Change in output per share of the country covered by a terrain feature (0..1)
+const FEATURE_SHARE_EFFECTS = {
+  forest_km2: { materials: 0.5 },
+  mountain_km2: { materials: 0.8, food: -0.5 },
+  desert_km2: { food: -0.7, gold: 0.3 },
+  wetland_km2: { food: 0.2, materials: -0.2 }
+};
+
+const getUpkeepPerSoldier = () => ({
+  food: parseFloat(process.env.ECONOMY_UPKEEP_FOOD_PER_SOLDIER) || 1,
+  materials: 0,
+  manpower: 0,
+  gold: parseFloat(process.env.ECONOMY_UPKEEP_GOLD_PER_SOLDIER) || 0.2
+});
+
+const emptyAmounts = () => Object.fromEntries(RESOURCE_TYPES.map(type => [type, 0]));
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Breaks a country's income and upkeep down into their sources. Takes a Country (or a
+// plain row with the same fields) and returns rounded per-tick amounts for each resource.
+const calculateEconomy = (country) => {
+  const area = parseFloat(country.area_km2) || 0;
+  const population = parseInt(country.population) || 0;
+  const profile = country.economy_profile || {};
+  const terrain = TERRAIN_MULTIPLIERS[country.terrain_type] || TERRAIN_MULTIPLIERS.plains;
+  const generationRate = parseFloat(country.resource_generation_rate) || 1;
+  const soldiers = country.soldier_count || 0;
+  const upkeepPerSoldier = getUpkeepPerSoldier();
+
+  const sources = {
+    base: { ...BASE_INCOME },
+    area: emptyAmounts(),
+    population: emptyAmounts(),
+    features: emptyAmounts()
+  };
+
+  for (const type of RESOURCE_TYPES) {
+    sources.area[type] = (area / 10000) * AREA_INCOME[type];
+    sources.population[type] = (population / 1000000) * POPULATION_INCOME[type];
+  }
+
+  // Rivers water farmland and cities trade and recruit, however big the country is
+  sources.features.food += (parseFloat(profile.river_km) || 0) * 0.05;
+  sources.features.gold += (parseInt(profile.cities) || 0) * 2;
+  sources.features.manpower += (parseInt(profile.cities) || 0) * 1;
+
+  const featureMultipliers = Object.fromEntries(RESOURCE_TYPES.map(type => [type, 1]));
+  if (area > 0) {
+    for (const [feature, effects] of Object.entries(FEATURE_SHARE_EFFECTS)) {
+      const share = Math.min((parseFloat(profile[feature]) || 0) / area, 1);
+      for (const [type, effect] of Object.entries(effects)) {
+        featureMultipliers[type] += share * effect;
+      }
+    }
+  }
+
+  const income = emptyAmounts();
+  const upkeep = emptyAmounts();
+  const net = emptyAmounts();
+
+  for (const type of RESOURCE_TYPES) {
+    const gross = sources.base[type] + sources.area[type] + sources.population[type] + sources.features[type];
+    income[type] = round(gross * terrain[type] * Math.max(featureMultipliers[type], 0.1) * generationRate);
+    upkeep[type] = round(soldiers * upkeepPerSoldier[type]);
+    net[type] = round(income[type] - upkeep[type]);
+  }
+
+  for (const source of Object.values(sources)) {
+    for (const type of RESOURCE_TYPES) {
+      source[type] = round(source[type]);
+    }
+  }
+
+  return {
+    income,
+    upkeep,
+    net,
+    sources,
+    multipliers: {
+      terrain,
+      features: Object.fromEntries(RESOURCE_TYPES.map(type => [type, round(featureMultipliers[type])])),
+      generation_rate: generationRate
+    }
+  };
+};
+
+// Amount actually added to the stockpile this tick; stockpiles only hold whole units
+const tickAmounts = (economy) => Object.fromEntries(
+  RESOURCE_TYPES.map(type => [type, Math.round(economy.net[type])])
+);
+
+module.exports = {
+  RESOURCE_TYPES,
+  STOCKPILE_COLUMNS,
+  calculateEconomy,
+  tickAmounts,
+  getUpkeepPerSoldier
+};
@@ -0,0 +1,323 @@
+const { Country, War, BorderPush, Treaty, MarketOrder } = require('../models');
+const { movePlayer, announceOwnerChanged } = require('./countryRooms');
+const { announceOrderClosed } = require('./market');
+
+// Phases of a game tick, in the order they run. everyTicks is derived from the
+// tick rate so each phase keeps its real-time cadence whatever GAME_TICK_MS is.
+// Each phase reads the time from the tick context, never from the wall clock, so a
+// deterministic engine stepped by hand plays out the same way every time.
+const everyMs = (ms, tickRateMs) => Math.max(1, Math.round(ms / tickRateMs));
+
+const generateResources = (io, presence) => async ({ now }) => {
+  const generated = await Country.generateResourcesForClaimed();
+  const activeCountryIds = await presence.getActiveCountryIds();
+
+  // Notify country members of resource generation
+  for (const row of generated) {
+    if (activeCountryIds.has(row.id)) {
+      io.to(`country_${row.id}`).emit('country:resources_generated', {
+        country_id: row.id,
+        resources: row.resources,
+        stockpile: row.stockpile,
+        generated: row.generated,
+        timestamp: now
+      });
+    }
+  }
+};
+
+// Borders move during wars, so what lies inside them is measured again from time to time
+const refreshEconomyProfiles = () => async ({ now }) => {
+  await Country.refreshEconomyProfiles({ now });
+};
+
+const resolvePushes = (io) => async ({ now }) => {
+  const maxDistance = parseFloat(process.env.BORDER_PUSH_MAX_DISTANCE_METERS) || 10000;
+  const activePushes = await BorderPush.findActivePushes();
+
+  for (const push of activePushes) {
+    try {
+      await push.updateProgress(now);
+
+      // Finished pushes hand over whatever is left of their front
+      const finished = push.distance_pushed >= maxDistance;
+      const transfer = await push.resolveTerritory({ force: finished });
+
+      // Let every client redraw the borders that moved
+      if (transfer && transfer.territory_km2 > 0) {
+        io.emit('border:update', {
+          push_id: push.id,
+          war_id: push.war_id,
+          territory_km2: transfer.territory_km2,
+          countries: [
+            { id: push.source_country_id, boundaries: transfer.to.new_boundaries },
+            { id: push.target_country_id, boundaries: transfer.from.new_boundaries }
+          ],
+          timestamp: now
+        });
+      }
+
+      if (finished) {
+        await push.stopPush(push.territory_gained > 0 ? 'successful' : 'failed', now);
+
+        io.to(`country_${push.source_country_id}`).emit('border_push:completed', {
+          push_id: push.id,
+          result: push.status,
+          territory_gained: push.territory_gained
+        });
+
+        io.to(`country_${push.target_country_id}`).emit('border_push:lost', {
+          push_id: push.id,
+          territory_lost: push.territory_gained
+        });
+      } else {
+        // Send progress update
+        const updateData = {
+          push_id: push.id,
+          progress: push.calculateCurrentProgress(now),
+          timestamp: now
+        };
+
+        io.to(`country_${push.source_country_id}`).emit('border_push:progress', updateData);
+        io.to(`country_${push.target_country_id}`).emit('border_push:progress', updateData);
+      }
+    } catch (error) {
+      // One broken push should not hold up the rest of the front
+      console.error(`Border push ${push.id} update error:`, error);
+    }
+  }
+};
+
+// Last supply picture sent for each country, so the map only redraws when it changes
+const lastSupply = new Map();
+
+const toSupplyPayload = (network, now) => ({
+  country_id: network.country_id,
+  capital_held: network.capital_held,
+  supplied_km2: network.supplied_km2,
+  cut_off_km2: network.cut_off_km2,
+  regions: network.regions,
+  fronts: network.fronts,
+  timestamp: now
+});
+
+// Fronts lose strength while enemy gains cut them off from their capital
+const resolveSupply = (io) => async ({ now }) => {
+  const countries = await Country.findAll({
+    where: { is_claimed: true, is_at_war: true },
+    attributes: ['id', 'capital_position']
+  });
+
+  const atWar = new Set(countries.map(country => country.id));
+  for (const countryId of lastSupply.keys()) {
+    if (!atWar.has(countryId)) {
+      lastSupply.delete(countryId);
+    }
+  }
+
+  for (const country of countries) {
+    try {
+      // Simplified to roughly zoom 7 since the regions go out to every client
+      const network = await country.getSupplyNetwork({ tolerance: 0.01 });
+
+      const pushes = network.fronts.length > 0
+        ? await BorderPush.findAll({ where: { id: network.fronts.map(front => front.push_id), status: 'active' } })
+        : [];
+
+      for (const push of pushes) {
+        const front = network.fronts.find(candidate => candidate.push_id === push.id);
+        if (await push.applySupply(front.supply, now)) {
+          io.to(`country_${country.id}`).emit('border_push:supply_changed', {
+            push_id: push.id,
+            supply: push.supply,
+            supplied: front.supplied,
+            push_strength: push.push_strength,
+            push_speed: push.push_speed
+          });
+        }
+      }
+
+      const signature = network.regions.features
+        .map(region => `${region.properties.part}:${region.properties.supplied}:${region.properties.area_km2.toFixed(1)}`)
+        .join('|');
+
+      if (lastSupply.get(country.id) !== signature) {
+        lastSupply.set(country.id, signature);
+        io.emit('country:supply_update', toSupplyPayload(network, now));
+      }
+    } catch (error) {
+      console.error(`Country ${country.id} supply error:`, error);
+    }
+  }
+};
+
+// Outcomes that leave the loser with nothing to hold on to
+const ANNEXING_REASONS = ['capital_captured', 'total_defeat'];
+
+const announceWarEnded = (io, war, winner, reason) => {
+  io.emit('war:ended', {
+    war_id: war.id,
+    ended_by: null,
+    winner_country_id: winner ? winner.id : null,
+    winner_country_name: winner ? winner.name : null,
+    reason,
+    territory_exchanged: war.territory_exchanged,
+    duration_minutes: war.getDuration()
+  });
+};
+
+const annexCountry = async (io, presence, war, loser, victor, now) => {
+  const annexation = await Country.annex(loser.id, victor.id, { warId: war.id });
+
+  for (const endedWar of annexation.ended_wars) {
+    announceWarEnded(io, endedWar, null, 'annexed');
+  }
+
+  for (const playerId of annexation.reassigned_soldiers) {
+    await movePlayer(io, presence, { player_id: playerId, from_country_id: loser.id, to_country_id: victor.id, reason: 'annexed' });
+  }
+
+  for (const playerId of annexation.freed_soldiers) {
+    await movePlayer(io, presence, { player_id: playerId, from_country_id: loser.id, to_country_id: null, reason: 'annexed' });
+  }
+
+  if (annexation.transfer && annexation.territory_km2 > 0) {
+    io.emit('border:update', {
+      war_id: war.id,
+      territory_km2: annexation.territory_km2,
+      countries: [
+        { id: victor.id, boundaries: annexation.transfer.to.new_boundaries },
+        { id: loser.id, boundaries: annexation.transfer.from.new_boundaries }
+      ],
+      timestamp: now
+    });
+  }
+
+  io.emit('country:annexed', {
+    country_id: loser.id,
+    country_name: loser.name,
+    annexed_by_country_id: victor.id,
+    annexed_by_country_name: victor.name,
+    war_id: war.id,
+    territory_km2: annexation.territory_km2,
+    new_owner_id: annexation.new_owner_id,
+    reassigned_soldiers: annexation.reassigned_soldiers.length,
+    freed_soldiers: annexation.freed_soldiers.length,
+    timestamp: now
+  });
+};
+
+const resolveWars = (io, presence) => async ({ now }) => {
+  // Lapsed ceasefires put their wars back into the list below
+  const expired = await Treaty.expireDue(now);
+
+  for (const treaty of expired) {
+    io.to([`country_${treaty.proposer_country_id}`, `country_${treaty.recipient_country_id}`]).emit('diplomacy:treaty_expired', {
+      treaty_id: treaty.id,
+      treaty_type: treaty.treaty_type,
+      war_id: treaty.war_id
+    });
+  }
+
+  const activeWars = await War.findAll({
+    where: { status: ['active', 'ceasefire'] },
+    include: [
+      { model: Country, as: 'aggressorCountry', attributes: ['id', 'name', 'is_claimed'] },
+      { model: Country, as: 'defenderCountry', attributes: ['id', 'name', 'is_claimed'] }
+    ]
+  });
+
+  for (const war of activeWars) {
+    try {
+      let outcome = null;
+
+      const abandoned = !war.aggressorCountry.is_claimed || !war.defenderCountry.is_claimed;
+
+      if (abandoned && War.victoryConditions().includes('abandoned')) {
+        // A war against a country nobody owns any more has no one left to fight it, ceasefire or not
+        outcome = { winnerCountryId: null, reason: 'abandoned' };
+      } else if (war.status === 'active') {
+        // Victory conditions are suspended while a ceasefire holds
+        outcome = await war.checkVictoryConditions(now);
+      }
+
+      if (!outcome) {
+        continue;
+      }
+
+      await war.conclude(outcome.winnerCountryId, outcome.reason, null, now);
+
+      const winner = [war.aggressorCountry, war.defenderCountry]
+        .find(country => country.id === outcome.winnerCountryId);
+
+      announceWarEnded(io, war, winner, outcome.reason);
+
+      if (winner && ANNEXING_REASONS.includes(outcome.reason) && process.env.ANNEX_ON_DEFEAT !== 'false') {
+        const loser = winner === war.aggressorCountry ? war.defenderCountry : war.aggressorCountry;
+        await annexCountry(io, presence, war, loser, winner, now);
+      }
+    } catch (error) {
+      console.error(`War ${war.id} resolution error:`, error);
+    }
+  }
+};
+
+// Countries whose owner is banned, inactive or gone pass to a successor
+const replaceOwners = (io) => async ({ now }) => {
+  const due = await Country.findOwnersToReplace(now);
+
+  for (const row of due) {
+    try {
+      const country = await Country.findByPk(row.id);
+      // An owner who walked away leaves the country to anyone still in it
+      const successor = await country.succeedOwner(row.reason, { requireActive: row.reason !== 'owner_left' });
+
+      if (successor) {
+        announceOwnerChanged(io, {
+          country,
+          previousOwnerId: row.owner_id,
+          newOwner: successor,
+          reason: row.reason
+        });
+      }
+    } catch (error) {
+      console.error(`Country ${row.id} succession error:`, error);
+    }
+  }
+};
+
+// Orders left on the book past their expiry hand their escrow back
+const expireMarketOrders = (io) => async ({ now }) => {
+  const expired = await MarketOrder.expireDue(now);
+
+  for (const order of expired) {
+    if (order.status === 'expired') {
+      announceOrderClosed(io, order);
+    }
+  }
+};
+
+const broadcastStats = (io, presence) => async ({ now }) => {
+  // Players connected through instances that died are still listed until swept
+  await presence.sweepStaleInstances();
+
+  io.emit('server:stats', {
+    ...await presence.getStats(),
+    timestamp: now
+  });
+};
+
+const createGamePhases = (io, presence, tickRateMs) => [
+  { name: 'economy_profiles', everyTicks: everyMs(60000, tickRateMs), run: refreshEconomyProfiles() },
+  { name: 'resources', everyTicks: everyMs(60000, tickRateMs), run: generateResources(io, presence) },
+  { name: 'pushes', everyTicks: everyMs(5000, tickRateMs), run: resolvePushes(io) },
+  { name: 'supply', everyTicks: everyMs(15000, tickRateMs), run: resolveSupply(io) },
+  { name: 'wars', everyTicks: everyMs(5000, tickRateMs), run: resolveWars(io, presence) },
+  { name: 'market', everyTicks: everyMs(60000, tickRateMs), run: expireMarketOrders(io) },
+  { name: 'succession', everyTicks: everyMs(600000, tickRateMs), run: replaceOwners(io) },
+  { name: 'stats', everyTicks: everyMs(30000, tickRateMs), run: broadcastStats(io, presence) }
+];
+
+module.exports = {
+  createGamePhases
+};
@@ -0,0 +1,104 @@
+// Elects one backend instance to run the game tick, using a Redis lock that the
+// leader keeps renewing. If the leader dies the lock expires and another instance
+// takes over on its next attempt. Without Redis the single instance always leads.
+
+// Extend or release the lock only if this instance still holds it
+const RENEW_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+const RELEASE_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+const createLeaderElection = (options) => {
+  const {
+    client,
+    instanceId,
+    key = 'game:tick:leader',
+    onElected = () => {},
+    onDemoted = () => {}
+  } = options;
+  const ttlMs = options.ttlMs || parseInt(process.env.LEADER_LOCK_TTL_MS) || 15000;
+
+  let leader = false;
+  let timer = null;
+
+  const setLeader = async (isLeader) => {
+    if (isLeader === leader) {
+      return;
+    }
+
+    leader = isLeader;
+
+    if (isLeader) {
+      console.log(`👑 Instance ${instanceId} is now the game tick leader`);
+      await onElected();
+    } else {
+      console.log(`⚠️  Instance ${instanceId} lost game tick leadership`);
+      await onDemoted();
+    }
+  };
+
+  const attempt = async () => {
+    try {
+      if (leader) {
+        const renewed = await client.eval(RENEW_SCRIPT, {
+          keys: [key],
+          arguments: [instanceId, ttlMs.toString()]
+        });
+        await setLeader(renewed === 1);
+      } else {
+        const acquired = await client.set(key, instanceId, { NX: true, PX: ttlMs });
+        await setLeader(acquired === 'OK');
+      }
+    } catch (error) {
+      console.error('Leader election error:', error);
+
+      // Without Redis we cannot prove we still hold the lock
+      await setLeader(false);
+    }
+  };
+
+  const start = async () => {
+    if (!client) {
+      await setLeader(true);
+      return;
+    }
+
+    await attempt();
+    // Renew well before the lock expires
+    timer = setInterval(attempt, Math.floor(ttlMs / 3));
+  };
+
+  const stop = async () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+
+    const wasLeader = leader;
+    await setLeader(false);
+
+    // Hand over right away instead of making the others wait for the lock to expire
+    if (client && wasLeader) {
+      await client.eval(RELEASE_SCRIPT, { keys: [key], arguments: [instanceId] });
+    }
+  };
+
+  return {
+    start,
+    stop,
+    isLeader: () => leader
+  };
+};
+
+module.exports = {
+  createLeaderElection
+};
@@ -0,0 +1,136 @@
+// Outgoing mail. MAIL_TRANSPORT picks where it goes: smtp, file (one .eml per message in
+// MAIL_FILE_DIR) or console, the default, which prints messages for local development.
+const fs = require('fs/promises');
+const path = require('path');
+
+const createSmtpTransport = () => {
+  // Only required when mail actually leaves the server
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+
+      const file = path.join(directory, `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.eml`);
+      const eml = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+
+      await fs.writeFile(file, eml);
+      return { file };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}", expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Replaces the transport, for delivery through anything with a send(message) method
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Multiplayer World Platform <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Link into the frontend carrying a mailed token
+const buildLink = (pathname, token) => {
+  const baseUrl = process.env.FRONTEND_URL || process.env.SOCKET_CORS_ORIGIN || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = (player, token) => {
+  const link = buildLink('/verify-email', token);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48;
+
+  return sendMail({
+    to: player.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${player.display_name || player.username},`,
+      '',
+      'Confirm your email address to start claiming countries:',
+      link,
+      '',
+      `The link expires in ${hours} hours. If you did not create an account, ignore this email.`
+    ].join('\n')
+  });
+};
+
+const sendPasswordResetEmail = (player, token) => {
+  const link = buildLink('/reset-password', token);
+  const minutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60;
+
+  return sendMail({
+    to: player.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${player.display_name || player.username},`,
+      '',
+      'Someone asked to reset the password of your account. Choose a new one here:',
+      link,
+      '',
+      `The link works once and expires in ${minutes} minutes. If it was not you, ignore this email;`,
+      'your password stays the same.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
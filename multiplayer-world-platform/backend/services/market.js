@@ -0,0 +1,31 @@
+// Socket notifications for the trade market. Matching itself happens in MarketOrder.place.
+
+// Each fill goes to both countries, and every trade to the public ticker
+const announceTrades = (io, trades) => {
+  for (const trade of trades) {
+    const payload = { ...trade.toTradePayload(), timestamp: new Date() };
+
+    io.to(`country_${trade.buyer_country_id}`).emit('market:order_filled', { ...payload, side: 'buy' });
+    io.to(`country_${trade.seller_country_id}`).emit('market:order_filled', { ...payload, side: 'sell' });
+
+    io.emit('market:trade', {
+      resource_type: trade.resource_type,
+      quantity: trade.quantity,
+      price_per_unit: trade.price_per_unit,
+      timestamp: payload.timestamp
+    });
+  }
+};
+
+// An order left the book without being filled (cancelled or expired)
+const announceOrderClosed = (io, order) => {
+  io.to(`country_${order.country_id}`).emit('market:order_closed', {
+    order: order.toOrderPayload(),
+    timestamp: new Date()
+  });
+};
+
+module.exports = {
+  announceTrades,
+  announceOrderClosed
+};
@@ -0,0 +1,117 @@
+// Account-level moderation shared by the admin API, chat moderation and the report queue.
+// Every action is written to the admin audit log.
+const { Session, AdminAuditLog } = require('../models');
+const { disconnectSessions } = require('./sessions');
+
+const banState = (player) => ({
+  is_banned: player.is_banned,
+  ban_reason: player.ban_reason,
+  ban_expires: player.ban_expires
+});
+
+// Bans a player, permanently unless durationHours is given, and drops every device they
+// are signed in on. Resolves to the audit log entry.
+const banPlayer = async (io, player, options) => {
+  const { moderator, reason = null, durationHours = null, ipAddress = null } = options;
+  const before = banState(player);
+
+  await player.update({
+    is_banned: true,
+    ban_reason: reason,
+    ban_expires: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null,
+    is_online: false
+  });
+
+  const sessions = await Session.revokeAllForPlayer(player.id, 'banned');
+  disconnectSessions(io, sessions, 'banned');
+
+  return await AdminAuditLog.record(moderator.id, 'player_banned', { type: 'player', id: player.id }, {
+    reason,
+    changes: { before, after: banState(player), revoked_sessions: sessions.length },
+    ipAddress
+  });
+};
+
+const unbanPlayer = async (player, options) => {
+  const { moderator, reason = null, ipAddress = null } = options;
+  const before = banState(player);
+
+  await player.update({
+    is_banned: false,
+    ban_reason: null,
+    ban_expires: null
+  });
+
+  return await AdminAuditLog.record(moderator.id, 'player_unbanned', { type: 'player', id: player.id }, {
+    reason,
+    changes: { before, after: banState(player) },
+    ipAddress
+  });
+};
+
+// Mutes a player in every chat channel for durationMinutes. Resolves to the audit log entry.
+const mutePlayer = async (io, player, options) => {
+  const { moderator, durationMinutes, reason = null, ipAddress = null } = options;
+  const before = { chat_muted_until: player.chat_muted_until, chat_mute_reason: player.chat_mute_reason };
+
+  const mutedUntil = new Date(Date.now() + durationMinutes * 60 * 1000);
+  await player.update({
+    chat_muted_until: mutedUntil,
+    chat_mute_reason: reason
+  });
+
+  if (io) {
+    io.to(`player_${player.id}`).emit('chat:muted', {
+      muted_until: mutedUntil,
+      reason
+    });
+  }
+
+  return await AdminAuditLog.record(moderator.id, 'player_muted', { type: 'player', id: player.id }, {
+    reason,
+    changes: { before, after: { chat_muted_until: mutedUntil, chat_mute_reason: reason } },
+    ipAddress
+  });
+};
+
+const unmutePlayer = async (io, player, options) => {
+  const { moderator, reason = null, ipAddress = null } = options;
+  const before = { chat_muted_until: player.chat_muted_until, chat_mute_reason: player.chat_mute_reason };
+
+  await player.update({
+    chat_muted_until: null,
+    chat_mute_reason: null
+  });
+
+  if (io) {
+    io.to(`player_${player.id}`).emit('chat:unmuted', {
+      timestamp: new Date()
+    });
+  }
+
+  return await AdminAuditLog.record(moderator.id, 'player_unmuted', { type: 'player', id: player.id }, {
+    reason,
+    changes: { before, after: { chat_muted_until: null, chat_mute_reason: null } },
+    ipAddress
+  });
+};
+
+// Moderators act on players; only admins act on other staff, and nobody on themselves.
+// Returns a reason the moderator may not act on the player, or null.
+const checkModerationTarget = (moderator, player) => {
+  if (moderator.id === player.id) {
+    return 'You cannot moderate your own account';
+  }
+  if (['moderator', 'admin'].includes(player.role) && moderator.role !== 'admin') {
+    return 'Only admins can moderate staff members';
+  }
+  return null;
+};
+
+module.exports = {
+  banPlayer,
+  unbanPlayer,
+  mutePlayer,
+  unmutePlayer,
+  checkModerationTarget
+};
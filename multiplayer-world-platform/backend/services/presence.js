@@ -0,0 +1,242 @@
+// Who is online and which country rooms have members, shared between backend
+// instances through Redis. Without Redis the same interface is backed by Maps.
+//
+// Redis keys:
+//   presence:connections              hash   player id -> { socket_id, instance_id, country_id, connected_at }
+//   presence:country:<id>             set    player ids online in the country
+//   presence:countries                set    country ids with at least one online player
+//   presence:instances                set    instance ids that have registered connections
+//   presence:instance:<id>            string heartbeat, expires when the instance dies
+//   presence:instance:<id>:players    set    player ids connected through the instance
+
+const CONNECTIONS_KEY = 'presence:connections';
+const COUNTRIES_KEY = 'presence:countries';
+const INSTANCES_KEY = 'presence:instances';
+
+const countryKey = (countryId) => `presence:country:${countryId}`;
+const heartbeatKey = (instanceId) => `presence:instance:${instanceId}`;
+const instancePlayersKey = (instanceId) => `presence:instance:${instanceId}:players`;
+
+const createMemoryPresence = () => {
+  const connections = new Map();
+  const countryRooms = new Map();
+
+  const leaveCountry = async (countryId, playerId) => {
+    if (countryRooms.has(countryId)) {
+      countryRooms.get(countryId).delete(playerId);
+      if (countryRooms.get(countryId).size === 0) {
+        countryRooms.delete(countryId);
+      }
+    }
+  };
+
+  return {
+    addConnection: async (player, socketId) => {
+      connections.set(player.id, {
+        socket_id: socketId,
+        country_id: player.country_id || null,
+        connected_at: new Date()
+      });
+    },
+
+    removeConnection: async (playerId, socketId) => {
+      const connection = connections.get(playerId);
+
+      // The player may already have reconnected on another socket
+      if (!connection || connection.socket_id !== socketId) {
+        return false;
+      }
+
+      connections.delete(playerId);
+      if (connection.country_id) {
+        await leaveCountry(connection.country_id, playerId);
+      }
+      return true;
+    },
+
+    joinCountry: async (countryId, playerId) => {
+      if (!countryRooms.has(countryId)) {
+        countryRooms.set(countryId, new Set());
+      }
+      countryRooms.get(countryId).add(playerId);
+
+      if (connections.has(playerId)) {
+        connections.get(playerId).country_id = countryId;
+      }
+    },
+
+    leaveCountry: async (countryId, playerId) => {
+      await leaveCountry(countryId, playerId);
+
+      if (connections.has(playerId)) {
+        connections.get(playerId).country_id = null;
+      }
+    },
+
+    isOnline: async (playerId) => connections.has(playerId),
+
+    getActiveCountryIds: async () => new Set(countryRooms.keys()),
+
+    getStats: async () => ({
+      online_players: connections.size,
+      active_countries: countryRooms.size
+    }),
+
+    heartbeat: async () => {},
+
+    sweepStaleInstances: async () => 0,
+
+    removeInstance: async () => {
+      connections.clear();
+      countryRooms.clear();
+    }
+  };
+};
+
+const createRedisPresence = (client, instanceId) => {
+  const heartbeatTtlMs = parseInt(process.env.PRESENCE_HEARTBEAT_TTL_MS) || 30000;
+
+  const leaveCountry = async (countryId, playerId) => {
+    await client.sRem(countryKey(countryId), playerId);
+
+    if (await client.sCard(countryKey(countryId)) === 0) {
+      await client.sRem(COUNTRIES_KEY, countryId);
+    }
+  };
+
+  const getConnection = async (playerId) => {
+    const raw = await client.hGet(CONNECTIONS_KEY, playerId);
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  const setCountry = async (playerId, countryId) => {
+    const connection = await getConnection(playerId);
+    if (connection) {
+      connection.country_id = countryId;
+      await client.hSet(CONNECTIONS_KEY, playerId, JSON.stringify(connection));
+    }
+  };
+
+  const removeInstance = async (deadInstanceId) => {
+    const playerIds = await client.sMembers(instancePlayersKey(deadInstanceId));
+
+    for (const playerId of playerIds) {
+      const connection = await getConnection(playerId);
+
+      // Only drop players whose latest connection went through the dead instance
+      if (connection && connection.instance_id === deadInstanceId) {
+        await client.hDel(CONNECTIONS_KEY, playerId);
+        if (connection.country_id) {
+          await leaveCountry(connection.country_id, playerId);
+        }
+      }
+    }
+
+    await client.multi()
+      .del(instancePlayersKey(deadInstanceId))
+      .del(heartbeatKey(deadInstanceId))
+      .sRem(INSTANCES_KEY, deadInstanceId)
+      .exec();
+
+    return playerIds.length;
+  };
+
+  return {
+    addConnection: async (player, socketId) => {
+      const connection = {
+        socket_id: socketId,
+        instance_id: instanceId,
+        country_id: player.country_id || null,
+        connected_at: new Date()
+      };
+
+      await client.multi()
+        .hSet(CONNECTIONS_KEY, player.id, JSON.stringify(connection))
+        .sAdd(instancePlayersKey(instanceId), player.id)
+        .sAdd(INSTANCES_KEY, instanceId)
+        .exec();
+    },
+
+    removeConnection: async (playerId, socketId) => {
+      const connection = await getConnection(playerId);
+
+      // The player may already have reconnected on another socket or instance
+      if (!connection || connection.socket_id !== socketId) {
+        await client.sRem(instancePlayersKey(instanceId), playerId);
+        return false;
+      }
+
+      await client.multi()
+        .hDel(CONNECTIONS_KEY, playerId)
+        .sRem(instancePlayersKey(instanceId), playerId)
+        .exec();
+
+      if (connection.country_id) {
+        await leaveCountry(connection.country_id, playerId);
+      }
+      return true;
+    },
+
+    joinCountry: async (countryId, playerId) => {
+      await client.multi()
+        .sAdd(countryKey(countryId), playerId)
+        .sAdd(COUNTRIES_KEY, countryId)
+        .exec();
+
+      await setCountry(playerId, countryId);
+    },
+
+    leaveCountry: async (countryId, playerId) => {
+      await leaveCountry(countryId, playerId);
+      await setCountry(playerId, null);
+    },
+
+    isOnline: async (playerId) => Boolean(await client.hExists(CONNECTIONS_KEY, playerId)),
+
+    getActiveCountryIds: async () => new Set(await client.sMembers(COUNTRIES_KEY)),
+
+    getStats: async () => {
+      const [onlinePlayers, activeCountries] = await Promise.all([
+        client.hLen(CONNECTIONS_KEY),
+        client.sCard(COUNTRIES_KEY)
+      ]);
+
+      return {
+        online_players: onlinePlayers,
+        active_countries: activeCountries
+      };
+    },
+
+    // Called regularly by every instance so the others can tell it is still alive
+    heartbeat: async () => {
+      await client.multi()
+        .set(heartbeatKey(instanceId), Date.now().toString(), { PX: heartbeatTtlMs })
+        .sAdd(INSTANCES_KEY, instanceId)
+        .exec();
+    },
+
+    // Drops the connections of instances that stopped sending heartbeats (crashed or killed)
+    sweepStaleInstances: async () => {
+      const instanceIds = await client.sMembers(INSTANCES_KEY);
+      let removed = 0;
+
+      for (const otherInstanceId of instanceIds) {
+        if (!(await client.exists(heartbeatKey(otherInstanceId)))) {
+          removed += await removeInstance(otherInstanceId);
+        }
+      }
+
+      return removed;
+    },
+
+    removeInstance: () => removeInstance(instanceId)
+  };
+};
+
+const createPresence = (client, instanceId) => {
+  return client ? createRedisPresence(client, instanceId) : createMemoryPresence();
+};
+
+module.exports = {
+  createPresence
+};
@@ -0,0 +1,57 @@
+const os = require('os');
+const { createClient } = require('redis');
+
+// Identifies this backend process in presence entries and the tick leader lock
+const instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+
+let clients = null;
+
+// Connects the command client plus the pub/sub pair the Socket.IO adapter needs.
+// Returns null when REDIS_URL is not set, in which case everything stays in-process.
+const connectRedis = async () => {
+  if (clients) {
+    return clients;
+  }
+
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  const client = createClient({ url: process.env.REDIS_URL });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  for (const redisClient of [client, pubClient, subClient]) {
+    redisClient.on('error', (error) => {
+      console.error('Redis client error:', error);
+    });
+  }
+
+  await Promise.all([client.connect(), pubClient.connect(), subClient.connect()]);
+  console.log('✅ Redis connection established successfully');
+
+  clients = { client, pubClient, subClient };
+  return clients;
+};
+
+const disconnectRedis = async () => {
+  if (!clients) {
+    return;
+  }
+
+  const { client, pubClient, subClient } = clients;
+  clients = null;
+
+  await Promise.all([client.quit(), pubClient.quit(), subClient.quit()]);
+  console.log('🔌 Redis connection closed');
+};
+
+// Command client for modules that share state through Redis, or null without it
+const getRedisClient = () => (clients ? clients.client : null);
+
+module.exports = {
+  instanceId,
+  connectRedis,
+  disconnectRedis,
+  getRedisClient
+};
@@ -0,0 +1,102 @@
+// Access and refresh tokens. Every login opens a Session (one per device); access tokens
+// are short-lived JWTs naming their session, refresh tokens are opaque and rotate on use.
+const jwt = require('jsonwebtoken');
+const { Session } = require('../models');
+
+const generateAccessToken = (playerId, sessionId) => {
+  return jwt.sign(
+    { playerId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+// Response body shared by register, login and refresh
+const toTokenPayload = (session, refreshToken) => {
+  const token = generateAccessToken(session.player_id, session.id);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    token_type: 'Bearer',
+    expires_in: exp - Math.floor(Date.now() / 1000),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at,
+    session_id: session.id
+  };
+};
+
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || null
+});
+
+const openSession = async (player, req) => {
+  const { session, refreshToken } = await Session.start(player, getClientInfo(req));
+  return toTokenPayload(session, refreshToken);
+};
+
+// Resolves to the session an access token belongs to, or null once it was revoked or
+// expired. Tokens issued before sessions existed carry no session and are refused.
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await Session.findByPk(decoded.sid);
+  if (!session || !session.isActive() || session.player_id !== decoded.playerId) {
+    return null;
+  }
+
+  // Keep "last used" meaningful without writing on every request
+  if (Date.now() - session.last_used_at.getTime() > 5 * 60 * 1000) {
+    await session.update({ last_used_at: new Date() });
+  }
+
+  return session;
+};
+
+// Short-lived proof that a player passed the password step of a login, exchanged for a
+// session once the second factor checks out. It carries no session, so it is no access token.
+const generateTwoFactorChallenge = (playerId) => {
+  return jwt.sign(
+    { playerId, purpose: 'two_factor_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
+};
+
+// Resolves a challenge token to its player id, or null when it is invalid or expired
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? decoded.playerId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Tells the sockets of revoked sessions why, then drops them (on every instance when
+// the Redis adapter is in use)
+const disconnectSessions = (io, sessions, reason) => {
+  if (!io) {
+    return;
+  }
+
+  for (const session of sessions) {
+    const room = `session_${session.id}`;
+    io.to(room).emit('auth:session_revoked', { session_id: session.id, reason });
+    io.in(room).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  generateAccessToken,
+  toTokenPayload,
+  getClientInfo,
+  openSession,
+  findActiveSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  disconnectSessions
+};
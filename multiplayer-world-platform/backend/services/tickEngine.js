@@ -0,0 +1,168 @@
+// Fixed-rate game loop running ordered phases, one tick at a time.
+//
+// Each phase is { name, everyTicks, run(context) } and runs on ticks divisible by
+// everyTicks. A tick never starts while the previous one is still running; ticks
+// that could not start on time are counted as skipped instead of piling up.
+// In deterministic mode no timers are used and callers advance the game with step().
+
+const createPhaseMetrics = () => ({
+  runs: 0,
+  errors: 0,
+  last_ms: 0,
+  avg_ms: 0,
+  max_ms: 0
+});
+
+const createTickEngine = (options = {}) => {
+  const tickRateMs = options.tickRateMs || parseInt(process.env.GAME_TICK_MS) || 1000;
+  const deterministic = !!options.deterministic;
+  const phases = options.phases || [];
+  const startTime = options.startTime || Date.now();
+  const logger = options.logger || console;
+
+  let tick = 0;
+  let running = false;
+  let tickInProgress = null;
+  let timer = null;
+  let nextTickAt = 0;
+
+  const metrics = {
+    tick_rate_ms: tickRateMs,
+    ticks: 0,
+    skipped_ticks: 0,
+    last_tick_ms: 0,
+    max_tick_ms: 0,
+    phases: {}
+  };
+
+  phases.forEach(phase => {
+    metrics.phases[phase.name] = createPhaseMetrics();
+  });
+
+  const runPhase = async (phase, context) => {
+    const phaseMetrics = metrics.phases[phase.name];
+    const started = process.hrtime.bigint();
+
+    try {
+      await phase.run(context);
+    } catch (error) {
+      phaseMetrics.errors += 1;
+      logger.error(`Tick phase "${phase.name}" failed:`, error);
+    } finally {
+      const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+      phaseMetrics.runs += 1;
+      phaseMetrics.last_ms = elapsedMs;
+      phaseMetrics.max_ms = Math.max(phaseMetrics.max_ms, elapsedMs);
+      phaseMetrics.avg_ms += (elapsedMs - phaseMetrics.avg_ms) / phaseMetrics.runs;
+    }
+  };
+
+  const runTick = async () => {
+    tick += 1;
+    const started = process.hrtime.bigint();
+
+    const context = {
+      tick,
+      tickRateMs,
+      // Deterministic runs use a virtual clock so results do not depend on wall time
+      now: deterministic ? new Date(startTime + tick * tickRateMs) : new Date()
+    };
+
+    for (const phase of phases) {
+      if (tick % (phase.everyTicks || 1) === 0) {
+        await runPhase(phase, context);
+      }
+    }
+
+    const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+    metrics.ticks = tick;
+    metrics.last_tick_ms = elapsedMs;
+    metrics.max_tick_ms = Math.max(metrics.max_tick_ms, elapsedMs);
+
+    return context;
+  };
+
+  const step = async () => {
+    if (tickInProgress) {
+      throw new Error('A tick is already in progress');
+    }
+
+    tickInProgress = runTick();
+    try {
+      return await tickInProgress;
+    } finally {
+      tickInProgress = null;
+    }
+  };
+
+  const scheduleNext = () => {
+    if (!running) {
+      return;
+    }
+
+    const now = Date.now();
+    nextTickAt += tickRateMs;
+
+    // Ticks missed because the last one ran long are skipped, not replayed
+    if (nextTickAt < now) {
+      const missed = Math.ceil((now - nextTickAt) / tickRateMs);
+      metrics.skipped_ticks += missed;
+      nextTickAt += missed * tickRateMs;
+    }
+
+    timer = setTimeout(onTimer, nextTickAt - now);
+  };
+
+  const onTimer = async () => {
+    timer = null;
+
+    try {
+      await step();
+    } catch (error) {
+      logger.error('Game tick failed:', error);
+    }
+
+    scheduleNext();
+  };
+
+  const start = () => {
+    if (deterministic) {
+      throw new Error('Deterministic tick engines are advanced with step()');
+    }
+
+    if (running) {
+      return;
+    }
+
+    running = true;
+    nextTickAt = Date.now();
+    scheduleNext();
+  };
+
+  const stop = async () => {
+    running = false;
+
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    // Let a tick that already started finish its writes
+    if (tickInProgress) {
+      await tickInProgress.catch(() => {});
+    }
+  };
+
+  return {
+    start,
+    stop,
+    step,
+    isRunning: () => running,
+    getTick: () => tick,
+    getMetrics: () => JSON.parse(JSON.stringify(metrics))
+  };
+};
+
+module.exports = {
+  createTickEngine
+};
@@ -0,0 +1,123 @@
+// In-memory cache of rendered vector tiles, keyed by z/x/y. Invalidations reach the
+// caches of the other instances through the cache bus.
+const { cacheBus } = require('./cacheBus');
+
+const tiles = new Map();
+
+const getMaxEntries = () => parseInt(process.env.TILE_CACHE_MAX_ENTRIES) || 5000;
+const getTtl = () => parseInt(process.env.TILE_CACHE_TTL_MS) || 15000;
+
+const tileKey = (z, x, y) => `${z}/${x}/${y}`;
+
+// Longitude/latitude bounds of a Web Mercator tile
+const tileBounds = (z, x, y) => {
+  const n = Math.pow(2, z);
+  const lngOf = (tileX) => (tileX / n) * 360 - 180;
+  const latOf = (tileY) => {
+    const radians = Math.atan(Math.sinh(Math.PI * (1 - (2 * tileY) / n)));
+    return (radians * 180) / Math.PI;
+  };
+
+  return {
+    minLng: lngOf(x),
+    maxLng: lngOf(x + 1),
+    minLat: latOf(y + 1),
+    maxLat: latOf(y)
+  };
+};
+
+const geometryBounds = (geometry) => {
+  const bounds = { minLng: Infinity, minLat: Infinity, maxLng: -Infinity, maxLat: -Infinity };
+
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      bounds.minLng = Math.min(bounds.minLng, coordinates[0]);
+      bounds.maxLng = Math.max(bounds.maxLng, coordinates[0]);
+      bounds.minLat = Math.min(bounds.minLat, coordinates[1]);
+      bounds.maxLat = Math.max(bounds.maxLat, coordinates[1]);
+      return;
+    }
+    coordinates.forEach(visit);
+  };
+
+  if (geometry && geometry.coordinates) {
+    visit(geometry.coordinates);
+  }
+
+  return Number.isFinite(bounds.minLng) ? bounds : null;
+};
+
+const intersects = (a, b) => {
+  return a.minLng <= b.maxLng && a.maxLng >= b.minLng &&
+    a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+};
+
+const get = (z, x, y) => {
+  const key = tileKey(z, x, y);
+  const entry = tiles.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  if (Date.now() - entry.createdAt > getTtl()) {
+    tiles.delete(key);
+    return null;
+  }
+
+  // Re-insert so the Map keeps least recently used tiles first
+  tiles.delete(key);
+  tiles.set(key, entry);
+  return entry.tile;
+};
+
+const set = (z, x, y, tile) => {
+  const key = tileKey(z, x, y);
+  tiles.delete(key);
+  tiles.set(key, { tile, createdAt: Date.now(), bounds: tileBounds(z, x, y) });
+
+  while (tiles.size > getMaxEntries()) {
+    tiles.delete(tiles.keys().next().value);
+  }
+};
+
+const invalidateBounds = (bounds) => {
+  let removed = 0;
+  for (const [key, entry] of tiles) {
+    if (intersects(entry.bounds, bounds)) {
+      tiles.delete(key);
+      removed += 1;
+    }
+  }
+
+  return removed;
+};
+
+// Drop every cached tile overlapping a changed geometry (GeoJSON), here and on every other instance
+const invalidateGeometry = (geometry) => {
+  const bounds = geometryBounds(geometry);
+  if (!bounds) {
+    return 0;
+  }
+
+  cacheBus.publish('tiles', { bounds });
+  return invalidateBounds(bounds);
+};
+
+cacheBus.on('tiles', ({ bounds }) => {
+  if (bounds) {
+    invalidateBounds(bounds);
+  }
+});
+
+const clear = () => {
+  tiles.clear();
+};
+
+module.exports = {
+  get,
+  set,
+  invalidateGeometry,
+  clear,
+  tileBounds
+};
@@ -1,9 +1,21 @@
 const jwt = require('jsonwebtoken');
-const { Player, Country, BorderPush } = require('../models');
-
-// Store active connections
-const activeConnections = new Map();
-const countryRooms = new Map();
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { Player, Country, BorderPush, PlayerMovement } = require('../models');
+const { createTickEngine } = require('../services/tickEngine');
+const { createGamePhases } = require('../services/gamePhases');
+const { sendMessage } = require('../services/chat');
+const { createPresence } = require('../services/presence');
+const { createLeaderElection } = require('../services/leaderElection');
+const { enableClusterSync, announceOwnerChanged } = require('../services/countryRooms');
+const { instanceId, connectRedis, disconnectRedis } = require('../services/redis');
+const { cacheBus } = require('../services/cacheBus');
+const { findActiveSession } = require('../services/sessions');
+
+// Online players and country rooms, shared with other instances when Redis is configured
+let presence = createPresence(null);
+let leaderElection = null;
+let heartbeatTimer = null;
+let tickEngine = null;
 
 // Middleware to authenticate socket connections
 const authenticateSocket = async (socket, next) => {
@@ -15,6 +27,11 @@ const authenticateSocket = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return next(new Error('Authentication error: Session has expired or been revoked'));
+    }
+
     const player = await Player.findByPk(decoded.playerId, {
       include: [
         {
@@ -35,6 +52,7 @@ const authenticateSocket = async (socket, next) => {
     }
 
     socket.player = player;
+    socket.sessionId = session.id;
     next();
   } catch (error) {
     next(new Error('Authentication error: Invalid token'));
@@ -46,27 +64,33 @@ const handleConnection = (io) => {
   return (socket) => {
     console.log(`Player ${socket.player.username} connected (${socket.id})`);
     
-    // Store connection
-    activeConnections.set(socket.player.id, {
-      socketId: socket.id,
-      player: socket.player,
-      connectedAt: new Date()
-    });
+    // Store connection and country room membership; later handlers wait for this
+    const registered = (async () => {
+      await presence.addConnection(socket.player, socket.id);
+      if (socket.player.country_id) {
+        await presence.joinCountry(socket.player.country_id, socket.player.id);
+      }
+    })().catch(error => console.error('Presence registration error:', error));
 
     // Update player online status
     socket.player.update({ is_online: true, last_active: new Date() });
 
+    // Personal room for direct messages and notifications
+    socket.join(`player_${socket.player.id}`);
+
+    // Session room, so revoking a session can drop the sockets opened with it
+    socket.join(`session_${socket.sessionId}`);
+
+    // Staff room for the report queue
+    if (['moderator', 'admin'].includes(socket.player.role)) {
+      socket.join('moderators');
+    }
+
     // Join country room if player belongs to one
     if (socket.player.country_id) {
       const roomName = `country_${socket.player.country_id}`;
       socket.join(roomName);
       
-      // Track country room membership
-      if (!countryRooms.has(socket.player.country_id)) {
-        countryRooms.set(socket.player.country_id, new Set());
-      }
-      countryRooms.get(socket.player.country_id).add(socket.player.id);
-
       // Notify other players in the country
       socket.to(roomName).emit('player:joined_country', {
         player: {
@@ -81,7 +105,7 @@ const handleConnection = (io) => {
     }
 
     // Send initial game state
-    socket.emit('connection:established', {
+    registered.then(() => presence.getStats()).then((stats) => socket.emit('connection:established', {
       player: {
         id: socket.player.id,
         username: socket.player.username,
@@ -93,8 +117,8 @@ const handleConnection = (io) => {
         is_online: true
       },
       server_time: new Date(),
-      online_players: activeConnections.size
-    });
+      online_players: stats.online_players
+    })).catch(error => console.error('Connection setup error:', error));
 
     // Handle player movement
     socket.on('player:move', async (data) => {
@@ -114,8 +138,26 @@ const handleConnection = (io) => {
           return;
         }
 
-        // Update position (basic validation - in production would check boundaries)
-        await socket.player.updatePosition(lat, lng);
+        // Same checks and charge as POST /api/players/move
+        const { code, reason } = await PlayerMovement.move(socket.player, {
+          lat,
+          lng,
+          movementType: movement_type
+        });
+
+        if (code === 'invalid_movement') {
+          socket.emit('player:move_rejected', {
+            position: { lat, lng },
+            reason,
+            timestamp: new Date()
+          });
+          return;
+        }
+
+        if (code) {
+          socket.emit('error', { message: reason });
+          return;
+        }
 
         // Broadcast to country room
         if (socket.player.country_id) {
@@ -131,6 +173,7 @@ const handleConnection = (io) => {
         // Confirm movement to client
         socket.emit('player:move_confirmed', {
           position: { lat, lng },
+          resources_remaining: socket.player.resources,
           timestamp: new Date()
         });
 
@@ -143,7 +186,7 @@ const handleConnection = (io) => {
     // Handle country joining
     socket.on('country:join', async (data) => {
       try {
-        const { country_id } = data;
+        const { country_id, invite_code } = data;
 
         if (socket.player.country_id) {
           socket.emit('error', { message: 'Already in a country' });
@@ -156,31 +199,31 @@ const handleConnection = (io) => {
           return;
         }
 
-        if (!country.canAcceptNewSoldier()) {
-          socket.emit('error', { message: 'Country is full' });
+        const admission = await country.checkAdmission(socket.player, invite_code);
+        if (admission.outcome === 'denied') {
+          socket.emit('error', { message: admission.reason });
           return;
         }
 
-        // Join country
-        let becameOwner = false;
-        if (!country.is_claimed) {
-          await country.claimCountry(socket.player.id);
-          becameOwner = true;
-        } else {
-          await country.addSoldier();
+        // Requests carry a message and need a review, so they go through the REST API
+        if (admission.outcome === 'request') {
+          socket.emit('error', { message: 'This country reviews new soldiers, send a join request instead' });
+          return;
         }
 
-        await socket.player.update({ country_id: country.id });
+        // Join country
+        const { becameOwner, reason } = await country.admit(socket.player, admission);
+        if (becameOwner === null) {
+          socket.emit('error', { message: reason });
+          return;
+        }
 
         // Join socket room
         const roomName = `country_${country.id}`;
         socket.join(roomName);
 
         // Track room membership
-        if (!countryRooms.has(country.id)) {
-          countryRooms.set(country.id, new Set());
-        }
-        countryRooms.get(country.id).add(socket.player.id);
+        await presence.joinCountry(country.id, socket.player.id);
 
         // Broadcast to country
         socket.to(roomName).emit('player:joined_country', {
@@ -216,25 +259,23 @@ const handleConnection = (io) => {
 
         const countryId = socket.player.country_id;
         const country = await Country.findByPk(countryId);
-        const wasOwner = country.owner_id === socket.player.id;
-
-        // Leave country
-        await country.removeSoldier();
-        await socket.player.update({ 
-          country_id: null,
-          current_position: null 
-        });
+        const { wasOwner, successor } = await country.leave(socket.player);
+
+        // Soldiers remain, so one of them took over
+        if (successor) {
+          announceOwnerChanged(io, {
+            country,
+            previousOwnerId: socket.player.id,
+            newOwner: successor,
+            reason: 'owner_left'
+          });
+        }
 
         // Leave socket room
         socket.leave(`country_${countryId}`);
 
         // Update room tracking
-        if (countryRooms.has(countryId)) {
-          countryRooms.get(countryId).delete(socket.player.id);
-          if (countryRooms.get(countryId).size === 0) {
-            countryRooms.delete(countryId);
-          }
-        }
+        await presence.leaveCountry(countryId, socket.player.id);
 
         // Broadcast to former country
         socket.to(`country_${countryId}`).emit('player:left_country', {
@@ -292,35 +333,13 @@ const handleConnection = (io) => {
     socket.on('chat:message', async (data) => {
       try {
         const { message, type = 'country' } = data;
+        // Older clients only send a type of country or global
+        const channel = data.channel || type;
 
-        if (!message || message.trim().length === 0) {
-          socket.emit('error', { message: 'Message cannot be empty' });
-          return;
-        }
-
-        if (message.length > 500) {
-          socket.emit('error', { message: 'Message too long' });
-          return;
-        }
-
-        const chatData = {
-          id: Date.now() + Math.random(),
-          player: {
-            id: socket.player.id,
-            username: socket.player.username,
-            display_name: socket.player.display_name
-          },
-          message: message.trim(),
-          type,
-          timestamp: new Date()
-        };
+        const result = await sendMessage(io, socket.player, { channel, message });
 
-        if (type === 'country' && socket.player.country_id) {
-          // Send to country room
-          io.to(`country_${socket.player.country_id}`).emit('chat:message', chatData);
-        } else if (type === 'global') {
-          // Send to all connected players
-          io.emit('chat:message', chatData);
+        if (!result.sent) {
+          socket.emit('error', { message: result.reason });
         }
 
       } catch (error) {
@@ -345,16 +364,11 @@ const handleConnection = (io) => {
         // Update player offline status
         await socket.player.update({ is_online: false });
 
-        // Remove from active connections
-        activeConnections.delete(socket.player.id);
-
-        // Remove from country room tracking
-        if (socket.player.country_id && countryRooms.has(socket.player.country_id)) {
-          countryRooms.get(socket.player.country_id).delete(socket.player.id);
-          if (countryRooms.get(socket.player.country_id).size === 0) {
-            countryRooms.delete(socket.player.country_id);
-          }
+        // Remove from active connections and country room tracking
+        await registered;
+        await presence.removeConnection(socket.player.id, socket.id);
 
+        if (socket.player.country_id) {
           // Notify country members
           socket.to(`country_${socket.player.country_id}`).emit('player:disconnected', {
             player: {
@@ -366,10 +380,7 @@ const handleConnection = (io) => {
         }
 
         // Broadcast updated online count
-        io.emit('server:stats', {
-          online_players: activeConnections.size,
-          active_countries: countryRooms.size
-        });
+        io.emit('server:stats', await presence.getStats());
 
       } catch (error) {
         console.error('Disconnect handling error:', error);
@@ -382,117 +393,106 @@ const handleConnection = (io) => {
     });
 
     // Broadcast updated online count
-    io.emit('server:stats', {
-      online_players: activeConnections.size,
-      active_countries: countryRooms.size
-    });
+    registered.then(() => presence.getStats())
+      .then(stats => io.emit('server:stats', stats))
+      .catch(error => console.error('Stats broadcast error:', error));
   };
 };
 
-// Periodic updates
+// Periodic updates run as phases of a single game tick, on the elected leader only
 const startPeriodicUpdates = (io) => {
-  // Update border push progress every 5 seconds
-  setInterval(async () => {
-    try {
-      const activePushes = await BorderPush.findActivePushes();
-      
-      for (const push of activePushes) {
-        const progress = push.calculateCurrentProgress();
-        
-        // Check if push should end (would implement proper territory calculation)
-        if (progress.distance > 10000) { // 10km limit for demo
-          await push.stopPush('successful');
-          
-          io.to(`country_${push.source_country_id}`).emit('border_push:completed', {
-            push_id: push.id,
-            result: 'successful',
-            territory_gained: progress.territory
-          });
-          
-          io.to(`country_${push.target_country_id}`).emit('border_push:lost', {
-            push_id: push.id,
-            territory_lost: progress.territory
-          });
-        } else {
-          // Send progress update
-          const updateData = {
-            push_id: push.id,
-            progress,
-            timestamp: new Date()
-          };
-          
-          io.to(`country_${push.source_country_id}`).emit('border_push:progress', updateData);
-          io.to(`country_${push.target_country_id}`).emit('border_push:progress', updateData);
-        }
-      }
-    } catch (error) {
-      console.error('Periodic border push update error:', error);
-    }
-  }, 5000);
-
-  // Send server statistics every 30 seconds
-  setInterval(() => {
-    io.emit('server:stats', {
-      online_players: activeConnections.size,
-      active_countries: countryRooms.size,
-      timestamp: new Date()
-    });
-  }, 30000);
-
-  // Resource generation every minute
-  setInterval(async () => {
-    try {
-      // Generate resources for all claimed countries
-      const claimedCountries = await Country.findAll({
-        where: { is_claimed: true }
-      });
+  const tickRateMs = parseInt(process.env.GAME_TICK_MS) || 1000;
 
-      for (const country of claimedCountries) {
-        await country.generateResources();
-        
-        // Notify country members of resource generation
-        if (countryRooms.has(country.id)) {
-          io.to(`country_${country.id}`).emit('country:resources_generated', {
-            country_id: country.id,
-            resources: country.resources,
-            generated: Math.floor(country.resource_generation_rate),
-            timestamp: new Date()
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Resource generation error:', error);
-    }
-  }, 60000);
+  tickEngine = createTickEngine({
+    tickRateMs,
+    phases: createGamePhases(io, presence, tickRateMs)
+  });
+
+  tickEngine.start();
+};
+
+const stopPeriodicUpdates = async () => {
+  if (tickEngine) {
+    const engine = tickEngine;
+    tickEngine = null;
+    await engine.stop();
+  }
 };
 
 // Main socket handler setup
-const socketHandler = (io) => {
+const socketHandler = async (io) => {
+  const redis = await connectRedis();
+
+  if (redis) {
+    // Rooms and broadcasts span every instance connected to the same Redis
+    io.adapter(createAdapter(redis.pubClient, redis.subClient));
+    presence = createPresence(redis.client, instanceId);
+    enableClusterSync(io);
+
+    // Tile and adjacency caches drop what another instance invalidated
+    await cacheBus.connect(redis);
+
+    const heartbeatMs = Math.floor((parseInt(process.env.PRESENCE_HEARTBEAT_TTL_MS) || 30000) / 3);
+    await presence.heartbeat();
+    heartbeatTimer = setInterval(() => {
+      presence.heartbeat().catch(error => console.error('Presence heartbeat error:', error));
+    }, heartbeatMs);
+  }
+
   // Apply authentication middleware
   io.use(authenticateSocket);
 
   // Handle connections
   io.on('connection', handleConnection(io));
 
-  // Start periodic updates
-  startPeriodicUpdates(io);
+  // Only one instance runs the game tick; the others take over if it goes away
+  leaderElection = createLeaderElection({
+    client: redis ? redis.client : null,
+    instanceId,
+    onElected: async () => {
+      // Clean up after instances that died without removing their players
+      const removed = await presence.sweepStaleInstances();
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} stale connections left by dead instances`);
+      }
+      startPeriodicUpdates(io);
+    },
+    onDemoted: stopPeriodicUpdates
+  });
+  await leaderElection.start();
 
   // Store io instance for use in routes
   io.app = io;
 
-  console.log('✅ Socket.IO handler initialized');
+  console.log(`✅ Socket.IO handler initialized (instance ${instanceId}${redis ? ', Redis adapter' : ''})`);
+};
+
+const shutdownSocketHandler = async () => {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+
+  if (leaderElection) {
+    await leaderElection.stop();
+  }
+
+  await presence.removeInstance();
+  await cacheBus.disconnect();
+  await disconnectRedis();
 };
 
 // Utility functions for external use
-const getActiveConnections = () => activeConnections;
-const getCountryRooms = () => countryRooms;
+const getPresence = () => presence;
+const getTickEngine = () => tickEngine;
 const broadcastToCountry = (io, countryId, event, data) => {
   io.to(`country_${countryId}`).emit(event, data);
 };
 
 module.exports = {
   socketHandler,
-  getActiveConnections,
-  getCountryRooms,
+  shutdownSocketHandler,
+  getPresence,
+  getTickEngine,
   broadcastToCountry
-};
\ No newline at end of file
+};
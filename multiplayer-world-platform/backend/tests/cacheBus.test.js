@@ -0,0 +1,106 @@
+const { createClient } = require('redis');
+const { createCacheBus, cacheBus } = require('../services/cacheBus');
+const tileCache = require('../services/tileCache');
+
+// Stands in for a Redis pub/sub pair: every subscriber sees every message
+const createMemoryPubSub = () => {
+  const listeners = new Set();
+  return {
+    pubClient: {
+      publish: async (channel, message) => {
+        listeners.forEach(listener => listener(message));
+      }
+    },
+    subClient: {
+      subscribe: async (channel, listener) => {
+        listeners.add(listener);
+      },
+      unsubscribe: async (channel, listener) => {
+        listeners.delete(listener);
+      }
+    }
+  };
+};
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the invalidation');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('createCacheBus', () => {
+  test('delivers invalidations to the other instances only', async () => {
+    const redis = createMemoryPubSub();
+    const leader = createCacheBus('leader');
+    const follower = createCacheBus('follower');
+    const onLeader = jest.fn();
+    const onFollower = jest.fn();
+
+    leader.on('tiles', onLeader);
+    follower.on('tiles', onFollower);
+    await leader.connect(redis);
+    await follower.connect(redis);
+
+    leader.publish('tiles', { bounds: { minLng: 0, minLat: 0, maxLng: 1, maxLat: 1 } });
+    await waitFor(() => onFollower.mock.calls.length > 0);
+
+    expect(onFollower).toHaveBeenCalledWith({ bounds: { minLng: 0, minLat: 0, maxLng: 1, maxLat: 1 } });
+    expect(onLeader).not.toHaveBeenCalled();
+  });
+
+  test('publishes nothing before it is connected', () => {
+    const bus = createCacheBus('alone');
+    expect(() => bus.publish('adjacency')).not.toThrow();
+  });
+
+  test('drops the cached tiles another instance invalidated', () => {
+    tileCache.clear();
+    tileCache.set(10, 512, 511, Buffer.from('inside'));
+    tileCache.set(10, 0, 0, Buffer.from('far away'));
+
+    const bounds = tileCache.tileBounds(10, 512, 511);
+    cacheBus.handleMessage(JSON.stringify({ type: 'tiles', origin: 'another-instance', payload: { bounds } }));
+
+    expect(tileCache.get(10, 512, 511)).toBeNull();
+    expect(tileCache.get(10, 0, 0)).toEqual(Buffer.from('far away'));
+  });
+});
+
+// Runs against a real server when one is configured, e.g. REDIS_URL=redis://localhost:6379 npm test
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('createCacheBus with Redis', () => {
+  const clients = [];
+
+  const connectInstance = async (origin) => {
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    clients.push(pubClient, subClient);
+
+    const bus = createCacheBus(origin);
+    await bus.connect({ pubClient, subClient });
+    return bus;
+  };
+
+  afterAll(async () => {
+    await Promise.all(clients.map(client => client.quit()));
+  });
+
+  test('carries an invalidation from the leader to a follower', async () => {
+    const leader = await connectInstance('test-leader');
+    const follower = await connectInstance('test-follower');
+    const onAdjacency = jest.fn();
+    follower.on('adjacency', onAdjacency);
+
+    leader.publish('adjacency');
+    await waitFor(() => onAdjacency.mock.calls.length > 0);
+
+    expect(onAdjacency).toHaveBeenCalledWith({});
+    await Promise.all([leader.disconnect(), follower.disconnect()]);
+  });
+});
@@ -0,0 +1,191 @@
+const { Sequelize, DataTypes } = require('sequelize');
+const { Country, War, BorderPush, Treaty, MarketOrder } = require('../models');
+const { createTickEngine } = require('../services/tickEngine');
+const { createGamePhases } = require('../services/gamePhases');
+
+jest.mock('../models', () => ({
+  Country: {
+    refreshEconomyProfiles: jest.fn(),
+    generateResourcesForClaimed: jest.fn(),
+    findAll: jest.fn(),
+    findOwnersToReplace: jest.fn(),
+    annex: jest.fn()
+  },
+  War: { findAll: jest.fn(), victoryConditions: jest.fn() },
+  BorderPush: { findActivePushes: jest.fn() },
+  Treaty: { expireDue: jest.fn() },
+  MarketOrder: { expireDue: jest.fn() }
+}));
+jest.mock('../services/countryRooms', () => ({ movePlayer: jest.fn(), announceOwnerChanged: jest.fn() }));
+jest.mock('../services/market', () => ({ announceOrderClosed: jest.fn() }));
+
+const START_TIME = Date.UTC(2024, 0, 1);
+const TICK_RATE_MS = 1000;
+
+// The real push model, defined on a connection that is never opened
+const PushModel = require('../models/BorderPush')(
+  new Sequelize('postgres://localhost:5432/unused', { logging: false }),
+  DataTypes
+);
+
+const buildPush = () => {
+  const push = PushModel.build({
+    id: '00000000-0000-4000-8000-000000000001',
+    status: 'active',
+    push_speed: 2,
+    distance_pushed: 0,
+    territory_gained: 0,
+    last_update: new Date(START_TIME)
+  });
+  push.save = jest.fn().mockResolvedValue(push);
+  push.resolveTerritory = jest.fn().mockResolvedValue(null);
+  return push;
+};
+
+const createIo = () => {
+  const emit = jest.fn();
+  return { emit, to: jest.fn(() => ({ emit })) };
+};
+
+const createPresence = () => ({
+  getActiveCountryIds: jest.fn().mockResolvedValue(new Set()),
+  sweepStaleInstances: jest.fn(),
+  getStats: jest.fn().mockResolvedValue({})
+});
+
+const createEngine = (io = createIo()) => createTickEngine({
+  deterministic: true,
+  tickRateMs: TICK_RATE_MS,
+  startTime: START_TIME,
+  phases: createGamePhases(io, createPresence(), TICK_RATE_MS)
+});
+
+const buildWar = (overrides = {}) => ({
+  id: 'war-1',
+  status: 'active',
+  territory_exchanged: 0,
+  aggressorCountry: { id: 'country-a', name: 'A', is_claimed: true },
+  defenderCountry: { id: 'country-b', name: 'B', is_claimed: true },
+  checkVictoryConditions: jest.fn().mockResolvedValue(null),
+  conclude: jest.fn(),
+  getDuration: () => 0,
+  ...overrides
+});
+
+// The war phase runs every 5 seconds
+const stepToWarPhase = async (engine) => {
+  for (let i = 0; i < 5; i++) {
+    await engine.step();
+  }
+};
+
+describe('game phases on a deterministic tick engine', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Country.generateResourcesForClaimed.mockResolvedValue([]);
+    Country.findAll.mockResolvedValue([]);
+    Country.findOwnersToReplace.mockResolvedValue([]);
+    Treaty.expireDue.mockResolvedValue([]);
+    MarketOrder.expireDue.mockResolvedValue([]);
+    War.findAll.mockResolvedValue([]);
+    War.victoryConditions.mockReturnValue(['capital', 'territory', 'exhaustion', 'max_duration', 'abandoned']);
+    jest.spyOn(console, 'error');
+  });
+
+  afterEach(() => {
+    // Phases log and swallow their errors, so a failure would otherwise go unnoticed
+    expect(console.error).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test('moves border pushes by virtual time, not wall time', async () => {
+    const runPushes = async () => {
+      const push = buildPush();
+      BorderPush.findActivePushes.mockResolvedValue([push]);
+
+      const engine = createEngine();
+      for (let i = 0; i < 10; i++) {
+        await engine.step();
+      }
+      return push;
+    };
+
+    const first = await runPushes();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const second = await runPushes();
+
+    // Pushes resolve every 5 seconds: two updates of 5 s at 2 m/s
+    expect(first.distance_pushed).toBe(20);
+    expect(first.last_update).toEqual(new Date(START_TIME + 10 * TICK_RATE_MS));
+    expect(second.distance_pushed).toBe(first.distance_pushed);
+  });
+
+  test('hands the tick time to every time-dependent model call', async () => {
+    BorderPush.findActivePushes.mockResolvedValue([]);
+    const engine = createEngine();
+
+    for (let i = 0; i < 60; i++) {
+      await engine.step();
+    }
+
+    const minute = new Date(START_TIME + 60 * TICK_RATE_MS);
+    expect(Treaty.expireDue).toHaveBeenLastCalledWith(minute);
+    expect(MarketOrder.expireDue).toHaveBeenCalledWith(minute);
+    expect(Country.refreshEconomyProfiles).toHaveBeenCalledWith({ now: minute });
+  });
+
+  test('ends a war one side abandoned only while that condition is configured', async () => {
+    BorderPush.findActivePushes.mockResolvedValue([]);
+    const abandonedCountry = { id: 'country-b', name: 'B', is_claimed: false };
+
+    const abandoned = buildWar({ status: 'ceasefire', defenderCountry: abandonedCountry });
+    War.findAll.mockResolvedValue([abandoned]);
+    const io = createIo();
+    await stepToWarPhase(createEngine(io));
+
+    expect(abandoned.conclude).toHaveBeenCalledWith(null, 'abandoned', null, new Date(START_TIME + 5 * TICK_RATE_MS));
+    expect(io.emit).toHaveBeenCalledWith('war:ended', expect.objectContaining({
+      war_id: 'war-1',
+      winner_country_id: null,
+      reason: 'abandoned'
+    }));
+
+    const kept = buildWar({ status: 'ceasefire', defenderCountry: abandonedCountry });
+    War.findAll.mockResolvedValue([kept]);
+    War.victoryConditions.mockReturnValue(['capital']);
+    const keptIo = createIo();
+    await stepToWarPhase(createEngine(keptIo));
+
+    expect(kept.conclude).not.toHaveBeenCalled();
+    expect(keptIo.emit).not.toHaveBeenCalledWith('war:ended', expect.anything());
+  });
+
+  test('annexes the loser of a captured capital', async () => {
+    BorderPush.findActivePushes.mockResolvedValue([]);
+    const war = buildWar({
+      checkVictoryConditions: jest.fn().mockResolvedValue({ winnerCountryId: 'country-a', reason: 'capital_captured' })
+    });
+    War.findAll.mockResolvedValue([war]);
+    Country.annex.mockResolvedValue({
+      ended_wars: [],
+      reassigned_soldiers: [],
+      freed_soldiers: [],
+      transfer: null,
+      territory_km2: 0,
+      new_owner_id: 'owner-a'
+    });
+
+    const io = createIo();
+    await stepToWarPhase(createEngine(io));
+
+    expect(io.emit).toHaveBeenCalledWith('war:ended', expect.objectContaining({
+      winner_country_id: 'country-a',
+      reason: 'capital_captured'
+    }));
+    expect(Country.annex).toHaveBeenCalledWith('country-b', 'country-a', { warId: 'war-1' });
+    expect(io.emit).toHaveBeenCalledWith('country:annexed', expect.objectContaining({
+      country_id: 'country-b',
+      annexed_by_country_id: 'country-a'
+    }));
+  });
+});
@@ -0,0 +1,122 @@
+const { createClient } = require('redis');
+const { createLeaderElection } = require('../services/leaderElection');
+
+const TTL_MS = 300;
+
+const waitFor = async (check, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the election');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Elections log every change of leader, and every failed renewal once Redis is cut off
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('createLeaderElection', () => {
+  test('leads alone without Redis', async () => {
+    const onElected = jest.fn();
+    const election = createLeaderElection({ client: null, instanceId: 'alone', onElected });
+
+    await election.start();
+
+    expect(election.isLeader()).toBe(true);
+    expect(onElected).toHaveBeenCalledTimes(1);
+    await election.stop();
+  });
+});
+
+// Runs against a real server when one is configured, e.g. REDIS_URL=redis://localhost:6379 npm test
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('createLeaderElection with Redis', () => {
+  const key = `test:leader:${process.pid}:${Date.now()}`;
+  let client;
+  let elections = [];
+
+  // A client the test can cut off, as if the instance lost its connection or froze
+  const createInstance = (instanceId, callbacks = {}) => {
+    const link = { broken: false };
+    const unreachable = () => Promise.reject(new Error('Redis unreachable'));
+    const instanceClient = {
+      set: (...args) => (link.broken ? unreachable() : client.set(...args)),
+      eval: (...args) => (link.broken ? unreachable() : client.eval(...args))
+    };
+
+    const election = createLeaderElection({ client: instanceClient, instanceId, key, ttlMs: TTL_MS, ...callbacks });
+    elections.push(election);
+    return { election, link };
+  };
+
+  beforeAll(async () => {
+    client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    await Promise.all(elections.map(election => election.stop()));
+    elections = [];
+    await client.del(key);
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  test('elects a single leader across two electors', async () => {
+    const first = createInstance('test-first');
+    const second = createInstance('test-second');
+
+    await Promise.all([first.election.start(), second.election.start()]);
+
+    const leaders = () => [first.election, second.election].filter(election => election.isLeader());
+    expect(leaders()).toHaveLength(1);
+
+    // Still the same single leader after several renewals
+    const leader = leaders()[0];
+    await sleep(TTL_MS * 2);
+    expect(leaders()).toEqual([leader]);
+    expect(await client.get(key)).toBe(leader === first.election ? 'test-first' : 'test-second');
+  });
+
+  test('hands leadership over once the leader stops renewing', async () => {
+    const onDemoted = jest.fn();
+    const leader = createInstance('test-leader', { onDemoted });
+    await leader.election.start();
+
+    const follower = createInstance('test-follower');
+    await follower.election.start();
+    expect(leader.election.isLeader()).toBe(true);
+    expect(follower.election.isLeader()).toBe(false);
+
+    // The leader can no longer renew: it steps down and the lock runs out
+    leader.link.broken = true;
+    await waitFor(() => follower.election.isLeader(), TTL_MS * 4);
+
+    expect(leader.election.isLeader()).toBe(false);
+    expect(onDemoted).toHaveBeenCalledTimes(1);
+    expect(await client.get(key)).toBe('test-follower');
+  });
+
+  test('releases the lock right away when the leader stops', async () => {
+    const leader = createInstance('test-leaving');
+    await leader.election.start();
+
+    await leader.election.stop();
+
+    expect(await client.get(key)).toBeNull();
+  });
+});
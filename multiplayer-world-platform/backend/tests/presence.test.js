@@ -0,0 +1,81 @@
+const { createClient } = require('redis');
+const { createPresence } = require('../services/presence');
+
+describe('createPresence without Redis', () => {
+  test('keeps a player who reconnected when the old socket closes', async () => {
+    const presence = createPresence(null);
+
+    await presence.addConnection({ id: 'player-1', country_id: 'country-1' }, 'old-socket');
+    await presence.joinCountry('country-1', 'player-1');
+    await presence.addConnection({ id: 'player-1', country_id: 'country-1' }, 'new-socket');
+
+    expect(await presence.removeConnection('player-1', 'old-socket')).toBe(false);
+    expect(await presence.isOnline('player-1')).toBe(true);
+
+    expect(await presence.removeConnection('player-1', 'new-socket')).toBe(true);
+    expect(await presence.isOnline('player-1')).toBe(false);
+    expect(await presence.getActiveCountryIds()).toEqual(new Set());
+  });
+});
+
+// Runs against a real server when one is configured, e.g. REDIS_URL=redis://localhost:6379 npm test
+const describeWithRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeWithRedis('createPresence with Redis', () => {
+  // Ids unique to this run, so the test only touches what it created
+  const run = `${process.pid}-${Date.now()}`;
+  const ids = {
+    alive: `test-alive-${run}`,
+    dead: `test-dead-${run}`,
+    country: `test-country-${run}`,
+    deadOnly: `test-country-dead-${run}`,
+    survivor: `test-survivor-${run}`,
+    lost: `test-lost-${run}`,
+    moved: `test-moved-${run}`
+  };
+  let client;
+  let alive;
+  let dead;
+
+  beforeAll(async () => {
+    client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    alive = createPresence(client, ids.alive);
+    dead = createPresence(client, ids.dead);
+  });
+
+  afterAll(async () => {
+    await alive.removeInstance();
+    await dead.removeInstance();
+    await client.quit();
+  });
+
+  test('drops the connections of an instance that stopped sending heartbeats', async () => {
+    await alive.addConnection({ id: ids.survivor, country_id: ids.country }, 'socket-1');
+    await alive.joinCountry(ids.country, ids.survivor);
+
+    // The dead instance registered players but never sends a heartbeat
+    await dead.addConnection({ id: ids.lost, country_id: ids.deadOnly }, 'socket-2');
+    await dead.joinCountry(ids.deadOnly, ids.lost);
+    await dead.addConnection({ id: ids.moved, country_id: ids.country }, 'socket-3');
+    await dead.joinCountry(ids.country, ids.moved);
+
+    // One of its players has since reconnected through the live instance
+    await alive.addConnection({ id: ids.moved, country_id: ids.country }, 'socket-4');
+    await alive.joinCountry(ids.country, ids.moved);
+
+    await alive.heartbeat();
+    await alive.sweepStaleInstances();
+
+    expect(await alive.isOnline(ids.lost)).toBe(false);
+    expect(await alive.isOnline(ids.survivor)).toBe(true);
+    expect(await alive.isOnline(ids.moved)).toBe(true);
+
+    const activeCountryIds = await alive.getActiveCountryIds();
+    expect(activeCountryIds.has(ids.country)).toBe(true);
+    expect(activeCountryIds.has(ids.deadOnly)).toBe(false);
+
+    expect(await client.sIsMember('presence:instances', ids.dead)).toBe(false);
+    expect(await client.sIsMember('presence:instances', ids.alive)).toBe(true);
+  });
+});
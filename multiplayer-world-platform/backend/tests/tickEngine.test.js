@@ -0,0 +1,91 @@
+const { createTickEngine } = require('../services/tickEngine');
+
+const START_TIME = Date.UTC(2024, 0, 1);
+
+const silentLogger = { error: jest.fn() };
+
+describe('createTickEngine', () => {
+  test('runs each phase on its cadence, in order, on a virtual clock', async () => {
+    const runs = [];
+    const engine = createTickEngine({
+      deterministic: true,
+      tickRateMs: 500,
+      startTime: START_TIME,
+      phases: [
+        { name: 'every', everyTicks: 1, run: ({ tick, now }) => runs.push(['every', tick, now.getTime()]) },
+        { name: 'third', everyTicks: 3, run: ({ tick, now }) => runs.push(['third', tick, now.getTime()]) }
+      ]
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await engine.step();
+    }
+
+    expect(runs).toEqual([
+      ['every', 1, START_TIME + 500],
+      ['every', 2, START_TIME + 1000],
+      ['every', 3, START_TIME + 1500],
+      ['third', 3, START_TIME + 1500]
+    ]);
+    expect(engine.getTick()).toBe(3);
+  });
+
+  test('gives the same clock to every run with the same start time', async () => {
+    const stepThrough = async () => {
+      const engine = createTickEngine({ deterministic: true, tickRateMs: 1000, startTime: START_TIME });
+      const times = [];
+      for (let i = 0; i < 5; i++) {
+        const context = await engine.step();
+        times.push(context.now.getTime());
+      }
+      return times;
+    };
+
+    const first = await stepThrough();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await stepThrough()).toEqual(first);
+  });
+
+  test('counts a failing phase and still runs the phases after it', async () => {
+    const after = jest.fn();
+    const engine = createTickEngine({
+      deterministic: true,
+      startTime: START_TIME,
+      logger: silentLogger,
+      phases: [
+        { name: 'broken', run: () => { throw new Error('boom'); } },
+        { name: 'after', run: after }
+      ]
+    });
+
+    await engine.step();
+
+    const metrics = engine.getMetrics();
+    expect(metrics.phases.broken).toMatchObject({ runs: 1, errors: 1 });
+    expect(metrics.phases.after).toMatchObject({ runs: 1, errors: 0 });
+    expect(after).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses to start a tick while one is running', async () => {
+    let release;
+    const engine = createTickEngine({
+      deterministic: true,
+      startTime: START_TIME,
+      phases: [{ name: 'slow', run: () => new Promise(resolve => { release = resolve; }) }]
+    });
+
+    const running = engine.step();
+    await expect(engine.step()).rejects.toThrow('A tick is already in progress');
+
+    release();
+    await running;
+    expect(engine.getTick()).toBe(1);
+  });
+
+  test('is advanced only by step() in deterministic mode', () => {
+    const engine = createTickEngine({ deterministic: true });
+
+    expect(() => engine.start()).toThrow('Deterministic tick engines are advanced with step()');
+    expect(engine.isRunning()).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+const { Sequelize, DataTypes, Op } = require('sequelize');
+const totp = require('../services/totp');
+
+// The RFC 6238 appendix B secret, "12345678901234567890" in ASCII
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 appendix B, SHA-1: the last six of its eight digits are the six-digit code
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+// The real player model, defined on a connection that is never opened
+const Player = require('../models/Player')(
+  new Sequelize('postgres://localhost:5432/unused', { logging: false }),
+  DataTypes
+);
+
+describe('totp', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('encodes the RFC secret as authenticator apps expect', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test.each(RFC_VECTORS)('matches the RFC 6238 SHA-1 vector at %i seconds', (seconds, expected) => {
+    const step = totp.currentStep(seconds * 1000);
+
+    expect(totp.generateCode(RFC_SECRET, step)).toBe(expected.slice(-6));
+  });
+
+  test('round-trips any bytes through base32', () => {
+    for (const length of [0, 1, 2, 3, 4, 5, 10, 19, 20, 32]) {
+      const bytes = Buffer.from(Array.from({ length }, (_, i) => (i * 37 + length) & 255));
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    }
+
+    const secret = totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+  });
+
+  test('decodes lower case and spaced secrets as typed in by hand', () => {
+    expect(totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq')).toEqual(Buffer.from('12345678901234567890'));
+  });
+
+  test('finds the step of a code within one step of clock drift', () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+    const now = totp.currentStep();
+
+    expect(totp.findStep(RFC_SECRET, '050471')).toBe(now);
+    expect(totp.findStep(RFC_SECRET, totp.generateCode(RFC_SECRET, now - 1))).toBe(now - 1);
+    expect(totp.findStep(RFC_SECRET, totp.generateCode(RFC_SECRET, now + 2))).toBeNull();
+    expect(totp.findStep(RFC_SECRET, '12345')).toBeNull();
+  });
+});
+
+describe('Player#verifyTwoFactor', () => {
+  let lastStep;
+
+  beforeEach(() => {
+    lastStep = null;
+
+    // Pinned, so a step boundary cannot fall between generating and checking a code
+    jest.spyOn(Date, 'now').mockReturnValue(1234567890 * 1000);
+
+    // Stands in for the conditional UPDATE: it only matches while the stored step is older
+    jest.spyOn(Player, 'update').mockImplementation(async (values, { where }) => {
+      const guard = where[Op.or][1].two_factor_last_step[Op.lt];
+      if (lastStep !== null && !(lastStep < guard)) {
+        return [0];
+      }
+      lastStep = values.two_factor_last_step;
+      return [1];
+    });
+  });
+
+  afterEach(() => {
+    Player.update.mockRestore();
+    Date.now.mockRestore();
+  });
+
+  const buildPlayer = () => Player.build({
+    id: '00000000-0000-4000-8000-000000000001',
+    two_factor_enabled_at: new Date(),
+    two_factor_secret: RFC_SECRET
+  });
+
+  test('accepts a current code once and rejects it when reused', async () => {
+    const code = totp.generateCode(RFC_SECRET, totp.currentStep());
+    const player = buildPlayer();
+
+    expect(await player.verifyTwoFactor(code)).toBe('totp');
+    expect(player.two_factor_last_step).toBe(totp.currentStep());
+
+    // A second request, or another instance, presenting the same code
+    expect(await buildPlayer().verifyTwoFactor(code)).toBeNull();
+  });
+
+  test('rejects a code from an earlier step than the one last used', async () => {
+    const step = totp.currentStep();
+    const player = buildPlayer();
+
+    expect(await player.verifyTwoFactor(totp.generateCode(RFC_SECRET, step))).toBe('totp');
+    expect(await player.verifyTwoFactor(totp.generateCode(RFC_SECRET, step - 1))).toBeNull();
+  });
+
+  test('accepts nothing while two-factor is off', async () => {
+    const player = Player.build({ id: '00000000-0000-4000-8000-000000000002' });
+
+    expect(await player.verifyTwoFactor('123456')).toBeNull();
+    expect(Player.update).not.toHaveBeenCalled();
+  });
+});
@@ -26,21 +26,59 @@ api.interceptors.request.use(
   }
 );
 
+// Access tokens are short-lived; one refresh is shared by every request that hit the expiry
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refresh_token: refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('refreshToken', response.data.refresh_token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    const message = error.response?.data?.message || error.message || 'An error occurred';
+  async (error) => {
+    const { config, response } = error;
+
+    // Retry once with a fresh access token before giving up on the session
+    const isLoginRequest = config && ['/auth/login', '/auth/refresh'].some(path => config.url.startsWith(path));
+    if (response?.status === 401 && config && !config._retried && !isLoginRequest) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to the normal error handling
+      }
+    }
+
+    const message = response?.data?.message || error.message || 'An error occurred';
     
     // Don't show toast for certain errors
-    const silentErrors = ['Authentication failed', 'Invalid token', 'Token has expired'];
+    const silentErrors = ['Authentication failed', 'Invalid token', 'Token has expired', 'Session has expired'];
     if (!silentErrors.some(silent => message.includes(silent))) {
       toast.error(message);
     }
     
     // Handle auth errors
-    if (error.response?.status === 401) {
+    if (response?.status === 401) {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       window.location.href = '/login';
     }
     
@@ -48,11 +86,28 @@ api.interceptors.response.use(
   }
 );
 
+// Countries that require two-factor authentication want a current code on sensitive actions
+const withTwoFactor = (code) => (code ? { headers: { 'X-Two-Factor-Code': code } } : {});
+
 // Auth API
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (challengeToken, code) => api.post('/auth/login/two-factor', { challenge_token: challengeToken, code }),
+  getTwoFactor: () => api.get('/auth/two-factor'),
+  setupTwoFactor: () => api.post('/auth/two-factor/setup'),
+  enableTwoFactor: (code) => api.post('/auth/two-factor/enable', { code }),
+  disableTwoFactor: (password, code) => api.post('/auth/two-factor/disable', { password, code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/two-factor/recovery-codes', { code }),
   logout: () => api.post('/auth/logout'),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refresh_token: refreshToken }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeAllSessions: (keepCurrent = true) => api.delete('/auth/sessions', { params: { keep_current: keepCurrent } }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (updates) => api.put('/auth/profile', updates),
   verify: () => api.get('/auth/verify'),
@@ -64,11 +119,37 @@ export const countriesAPI = {
   getAll: (params = {}) => api.get('/countries', { params }),
   getById: (id) => api.get(`/countries/${id}`),
   join: (id, data = {}) => api.post(`/countries/${id}/join`, data),
+  cancelJoinRequest: (id) => api.delete(`/countries/${id}/join-request`),
+  getInvite: (code) => api.get(`/countries/invites/${code}`),
+  createInvite: (id, data = {}) => api.post(`/countries/${id}/invites`, data),
+  getInvites: (id) => api.get(`/countries/${id}/invites`),
+  revokeInvite: (id, inviteId) => api.delete(`/countries/${id}/invites/${inviteId}`),
+  getJoinRequests: (id) => api.get(`/countries/${id}/join-requests`),
+  approveJoinRequest: (id, requestId) => api.post(`/countries/${id}/join-requests/${requestId}/approve`),
+  rejectJoinRequest: (id, requestId) => api.post(`/countries/${id}/join-requests/${requestId}/reject`),
+  kickMember: (id, playerId, reason) => api.post(`/countries/${id}/members/${playerId}/kick`, { reason }),
+  banMember: (id, playerId, data = {}) => api.post(`/countries/${id}/members/${playerId}/ban`, data),
+  getBans: (id) => api.get(`/countries/${id}/bans`),
+  unbanPlayer: (id, playerId) => api.delete(`/countries/${id}/bans/${playerId}`),
   leave: (id) => api.post(`/countries/${id}/leave`),
   getSoldiers: (id, params = {}) => api.get(`/countries/${id}/soldiers`, { params }),
   getHistory: (id, params = {}) => api.get(`/countries/${id}/history`, { params }),
-  getBoundaries: (id) => api.get(`/countries/${id}/boundaries`),
-  updateSettings: (id, settings) => api.put(`/countries/${id}/settings`, settings),
+  getBoundaries: (id, params = {}) => api.get(`/countries/${id}/boundaries`, { params }),
+  getAllBoundaries: (params = {}) => api.get('/countries/boundaries', { params }),
+  getNeighbors: (id) => api.get(`/countries/${id}/neighbors`),
+  getEconomy: (id) => api.get(`/countries/${id}/economy`),
+  getSupply: (id, params = {}) => api.get(`/countries/${id}/supply`, { params }),
+  getTreasury: (id) => api.get(`/countries/${id}/treasury`),
+  donate: (id, amount, note) => api.post(`/countries/${id}/treasury/donate`, { amount, note }),
+  withdraw: (id, amount, note, twoFactorCode) => api.post(`/countries/${id}/treasury/withdraw`, { amount, note }, withTwoFactor(twoFactorCode)),
+  allocate: (id, playerId, amount, note, twoFactorCode) => api.post(`/countries/${id}/treasury/allocate`, { player_id: playerId, amount, note }, withTwoFactor(twoFactorCode)),
+  setTreasuryAllowances: (id, allowances) => api.put(`/countries/${id}/treasury/allowances`, allowances),
+  getLedger: (id, params = {}) => api.get(`/countries/${id}/ledger`, { params }),
+  updateSettings: (id, settings, twoFactorCode) => api.put(`/countries/${id}/settings`, settings, withTwoFactor(twoFactorCode)),
+  transferOwnership: (id, playerId) => api.post(`/countries/${id}/transfer-ownership`, { player_id: playerId }),
+  promoteMember: (id, playerId, rank) => api.post(`/countries/${id}/members/${playerId}/promote`, rank ? { rank } : {}),
+  demoteMember: (id, playerId, rank) => api.post(`/countries/${id}/members/${playerId}/demote`, rank ? { rank } : {}),
+  setMemberPermissions: (id, playerId, permissions) => api.put(`/countries/${id}/members/${playerId}/permissions`, { permissions }),
   search: (params) => api.get('/countries/search', { params })
 };
 
@@ -78,6 +159,7 @@ export const playersAPI = {
   getPosition: () => api.get('/players/position'),
   getNearby: (params = {}) => api.get('/players/nearby', { params }),
   getMovementHistory: (params = {}) => api.get('/players/movement-history', { params }),
+  getLedger: (params = {}) => api.get('/players/ledger', { params }),
   getById: (id) => api.get(`/players/${id}`),
   getAll: (params = {}) => api.get('/players', { params }),
   getLeaderboard: (params = {}) => api.get('/players/leaderboard', { params })
@@ -85,13 +167,57 @@ export const playersAPI = {
 
 // Game API
 export const gameAPI = {
-  declareWar: (data) => api.post('/game/declare-war', data),
+  declareWar: (data, twoFactorCode) => api.post('/game/declare-war', data, withTwoFactor(twoFactorCode)),
   borderPush: (data) => api.post('/game/border-push', data),
   joinBorderPush: (id) => api.post(`/game/border-push/${id}/join`),
   defendBorderPush: (id) => api.post(`/game/border-push/${id}/defend`),
   endWar: (id) => api.post(`/game/end-war/${id}`),
   getWars: (params = {}) => api.get('/game/wars', { params }),
-  getBorderPushes: (params = {}) => api.get('/game/border-pushes', { params })
+  getBorderPushes: (params = {}) => api.get('/game/border-pushes', { params }),
+  getTreaties: (params = {}) => api.get('/game/diplomacy', { params }),
+  proposeTreaty: (data) => api.post('/game/diplomacy/propose', data),
+  acceptTreaty: (id) => api.post(`/game/diplomacy/${id}/accept`),
+  rejectTreaty: (id) => api.post(`/game/diplomacy/${id}/reject`),
+  breakTreaty: (id) => api.post(`/game/diplomacy/${id}/break`)
+};
+
+// Admin API (moderators may ban and unban; everything else is admin only)
+export const adminAPI = {
+  banPlayer: (playerId, data) => api.post(`/admin/players/${playerId}/ban`, data),
+  unbanPlayer: (playerId, reason) => api.delete(`/admin/players/${playerId}/ban`, { data: { reason } }),
+  setRole: (playerId, role, reason) => api.put(`/admin/players/${playerId}/role`, { role, reason }),
+  unclaimCountry: (countryId, reason) => api.post(`/admin/countries/${countryId}/unclaim`, { reason }),
+  resetCountry: (countryId, reason) => api.post(`/admin/countries/${countryId}/reset`, { reason }),
+  updateCountry: (countryId, updates) => api.patch(`/admin/countries/${countryId}`, updates),
+  endWar: (warId, data = {}) => api.post(`/admin/wars/${warId}/end`, data),
+  getAuditLog: (params = {}) => api.get('/admin/audit-log', { params })
+};
+
+// Reports API
+export const reportsAPI = {
+  create: (report) => api.post('/reports', report),
+  getMine: () => api.get('/reports/mine'),
+  getQueue: (params = {}) => api.get('/reports', { params }),
+  getById: (id) => api.get(`/reports/${id}`),
+  setStatus: (id, status, note) => api.put(`/reports/${id}/status`, { status, note }),
+  resolve: (id, resolution) => api.post(`/reports/${id}/resolve`, resolution)
+};
+
+// Chat API
+export const chatAPI = {
+  getHistory: (channel, params = {}) => api.get(`/chat/${encodeURIComponent(channel)}`, { params }),
+  deleteMessage: (id) => api.delete(`/chat/messages/${id}`),
+  mutePlayer: (playerId, data) => api.post(`/chat/mutes/${playerId}`, data),
+  unmutePlayer: (playerId) => api.delete(`/chat/mutes/${playerId}`)
+};
+
+// Market API
+export const marketAPI = {
+  getOrderBook: (params = {}) => api.get('/market/orders', { params }),
+  getOwnOrders: (params = {}) => api.get('/market/orders/mine', { params }),
+  placeOrder: (order, twoFactorCode) => api.post('/market/orders', order, withTwoFactor(twoFactorCode)),
+  cancelOrder: (id) => api.delete(`/market/orders/${id}`),
+  getTrades: (params = {}) => api.get('/market/trades', { params })
 };
 
 // Utility functions
@@ -16,9 +16,8 @@ export const initializeSocket = (token) => {
 
       // Create new socket connection
       socket = io(SOCKET_URL, {
-        auth: {
-          token: token
-        },
+        // Read on every (re)connect so a refreshed access token is picked up
+        auth: (cb) => cb({ token: localStorage.getItem('token') || token }),
         transports: ['websocket', 'polling'],
         timeout: 20000,
         reconnection: true,
@@ -60,6 +59,16 @@ export const initializeSocket = (token) => {
         reject(error);
       });
 
+      // The session this socket belongs to was logged out or revoked
+      socket.on('auth:session_revoked', (data) => {
+        const messages = {
+          token_reuse: 'Your session was ended for security reasons. Please login again.',
+          banned: 'Your account has been banned.'
+        };
+        toast.error(messages[data.reason] || 'You have been logged out on this device.');
+        store.logout();
+      });
+
       // Initial game state
       socket.on('connection:established', (data) => {
         console.log('Game state received:', data);
@@ -91,6 +100,8 @@ export const initializeSocket = (token) => {
         
         if (data.was_owner) {
           toast.error(`${data.player.username} abandoned the country`);
+        } else if (data.reason === 'kicked' || data.reason === 'banned') {
+          toast(`${data.player.username} was ${data.reason} from the country`);
         } else {
           toast(`${data.player.username} left the country`);
         }
@@ -131,14 +142,123 @@ export const initializeSocket = (token) => {
         }
       });
 
+      socket.on('country:annexed', (data) => {
+        store.updateCountry(data.country_id, {
+          owner_id: data.new_owner_id,
+          annexed_by_country_id: data.annexed_by_country_id,
+          soldier_count: 0,
+          is_at_war: false
+        });
+
+        toast(`🏴 ${data.annexed_by_country_name} annexed ${data.country_name}`);
+      });
+
+      socket.on('country:owner_changed', (data) => {
+        store.updateCountry(data.country_id, { owner_id: data.new_owner?.id || null });
+
+        if (data.new_owner?.id === store.player?.id) {
+          toast.success(`👑 You are now the ruler of ${data.country_name}!`);
+        } else if (store.player?.country_id === data.country_id && data.new_owner) {
+          toast(`👑 ${data.new_owner.display_name || data.new_owner.username} now rules ${data.country_name}`);
+        }
+      });
+
+      socket.on('country:member_rank_changed', (data) => {
+        if (data.player.id !== store.player?.id) {
+          return;
+        }
+
+        store.setPlayer({ ...store.player, membership: { rank: data.rank, permissions: data.permissions } });
+
+        if (data.rank !== data.old_rank) {
+          toast(`🎖️ You are now a ${data.rank}`);
+        } else {
+          toast('🎖️ Your permissions have changed');
+        }
+      });
+
+      socket.on('player:role_changed', (data) => {
+        store.setPlayer({ ...store.player, role: data.role });
+        toast(`🛡️ Your role is now ${data.role}`);
+      });
+
+      socket.on('country:updated', (data) => {
+        store.updateCountry(data.country_id, data.changes);
+      });
+
+      socket.on('report:resolved', (data) => {
+        if (data.status === 'actioned') {
+          toast.success('🚩 Thanks, action was taken on your report');
+        } else {
+          toast('🚩 Your report was reviewed and closed');
+        }
+      });
+
+      socket.on('report:created', (data) => {
+        toast(`🚩 New ${data.category.replace('_', ' ')} report from ${data.reporter}`);
+      });
+
+      socket.on('player:email_verified', () => {
+        store.setPlayer({ ...store.player, email_verified: true });
+        toast.success('✉️ Email address verified, you can now claim countries');
+      });
+
+      socket.on('player:country_changed', (data) => {
+        // The server moved us: an approval, a kick or ban, or an annexation
+        store.setPlayer({
+          ...store.player,
+          country_id: data.country_id,
+          country: data.country_id ? store.countries.find(country => country.id === data.country_id) || null : null,
+          current_position: data.country_id ? store.player?.current_position : null
+        });
+
+        const messages = {
+          annexed: data.country_id ? '🏰 You now serve a new country' : 'Your country is gone, choose a new one to join',
+          join_approved: '🏰 Your request to join was approved!',
+          kicked: 'You were kicked from your country',
+          banned: 'You were banned from your country'
+        };
+
+        if (data.reason === 'kicked' || data.reason === 'banned' || (data.reason === 'annexed' && !data.country_id)) {
+          toast.error(messages[data.reason]);
+        } else if (messages[data.reason]) {
+          toast(messages[data.reason]);
+        }
+      });
+
+      socket.on('country:join_requested', (data) => {
+        toast(`📨 ${data.player.username} asked to join the country`);
+      });
+
+      socket.on('country:join_request_reviewed', (data) => {
+        if (data.status === 'rejected') {
+          toast.error(`Your request to join ${data.country_name} was rejected`);
+        }
+      });
+
+      socket.on('country:treasury_updated', (data) => {
+        store.updateCountry(data.country_id, { resources: data.treasury });
+
+        if (data.entry.player_id === store.player?.id) {
+          store.updatePlayerResources(data.entry.player_balance);
+        }
+      });
+
+      socket.on('player:resources_allocated', (data) => {
+        toast.success(`💰 ${data.allocated_by} allocated you ${data.amount} gold from the treasury`);
+      });
+
       socket.on('country:resources_generated', (data) => {
         store.updateCountry(data.country_id, {
-          resources: data.resources
+          resources: data.resources,
+          ...data.stockpile
         });
         
         // Only show notification to country members
         if (store.player?.country_id === data.country_id) {
-          toast(`💰 +${data.generated} resources generated`);
+          const { food, materials, manpower, gold } = data.generated;
+          const signed = (amount) => (amount >= 0 ? `+${amount}` : `${amount}`);
+          toast(`💰 ${signed(gold)} gold, 🌾 ${signed(food)} food, 🪵 ${signed(materials)} materials, 👥 ${signed(manpower)} manpower`);
         }
       });
 
@@ -155,7 +275,25 @@ export const initializeSocket = (token) => {
 
       socket.on('war:ended', (data) => {
         store.removeWar(data.war_id);
-        toast(`🏳️ War ended by ${data.ended_by}`);
+
+        const reasons = {
+          capital_captured: 'capital captured',
+          territory: 'territory lost',
+          exhaustion: 'exhaustion',
+          max_duration: 'time limit reached',
+          peace: 'peace treaty',
+          abandoned: 'country abandoned',
+          total_defeat: 'no territory left',
+          annexed: 'country annexed'
+        };
+
+        if (data.ended_by) {
+          toast(`🏳️ War ended by ${data.ended_by}`);
+        } else if (data.winner_country_name) {
+          toast(`🏆 ${data.winner_country_name} won the war (${reasons[data.reason] || data.reason})`);
+        } else {
+          toast(`🏳️ War ended (${reasons[data.reason] || data.reason})`);
+        }
       });
 
       // Border push events
@@ -194,6 +332,18 @@ export const initializeSocket = (token) => {
         toast(`🛡️ ${data.defender} joined the defense!`);
       });
 
+      socket.on('border_push:supply_changed', (data) => {
+        store.updateBorderPush(data.push_id, {
+          supply: data.supply,
+          push_strength: data.push_strength,
+          push_speed: data.push_speed
+        });
+
+        if (!data.supplied) {
+          toast.error('⛓️ A border push has been cut off from the capital');
+        }
+      });
+
       socket.on('border_push:completed', (data) => {
         store.removeBorderPush(data.push_id);
         
@@ -207,10 +357,68 @@ export const initializeSocket = (token) => {
         toast.error(`😞 Lost ${data.territory_lost.toFixed(2)} km² of territory`);
       });
 
+      socket.on('border:update', (data) => {
+        // Redraw borders that moved during a push
+        data.countries.forEach(country => {
+          store.updateCountry(country.id, { current_boundaries: country.boundaries });
+        });
+      });
+
+      socket.on('country:supply_update', (data) => {
+        // Supplied and cut-off regions are drawn over the country
+        store.updateCountry(data.country_id, {
+          supply_regions: data.regions,
+          cut_off_km2: data.cut_off_km2
+        });
+
+        if (store.player?.country_id === data.country_id && data.cut_off_km2 > 0) {
+          toast.error(`⛓️ ${data.cut_off_km2.toFixed(0)} km² of your territory is cut off from supply`);
+        }
+      });
+
+      // Diplomacy events
+      socket.on('diplomacy:treaty_proposed', (data) => {
+        toast(`📜 ${data.proposer.name} proposes a ${data.treaty_type.replace('_', '-')} treaty`);
+      });
+
+      socket.on('diplomacy:treaty_signed', (data) => {
+        if (data.treaty_type === 'ceasefire') {
+          store.updateWar(data.war_id, { status: 'ceasefire' });
+        }
+        if (data.treaty_type === 'peace') {
+          store.removeWar(data.war_id);
+        }
+      });
+
+      socket.on('diplomacy:treaty_broken', (data) => {
+        if (data.treaty_type === 'ceasefire') {
+          store.updateWar(data.war_id, { status: 'active' });
+        }
+      });
+
+      // Market events
+      socket.on('market:order_filled', (data) => {
+        const verb = data.side === 'buy' ? 'Bought' : 'Sold';
+        toast.success(`📦 ${verb} ${data.quantity} ${data.resource_type} at ${data.price_per_unit} gold each`);
+      });
+
+      socket.on('market:order_closed', (data) => {
+        if (data.order.status === 'expired') {
+          toast(`⌛ A market order for ${data.order.resource_type} expired, its escrow was returned`);
+        }
+      });
+
       // Chat events
       socket.on('chat:message', (data) => {
-        // Handle chat messages (would implement chat store)
-        console.log('Chat message:', data);
+        store.addChatMessage(data);
+      });
+
+      socket.on('chat:message_deleted', (data) => {
+        store.removeChatMessage(data.channel, data.id);
+      });
+
+      socket.on('chat:muted', (data) => {
+        toast.error(`🔇 You have been muted until ${new Date(data.muted_until).toLocaleString()}`);
       });
 
       // Server stats
@@ -226,6 +434,11 @@ export const initializeSocket = (token) => {
       // Movement confirmation
       socket.on('player:move_confirmed', (data) => {
         store.updatePlayerPosition(data.position);
+        store.updatePlayerResources(data.resources_remaining);
+      });
+
+      socket.on('player:move_rejected', (data) => {
+        toast.error(`🚫 ${data.reason}`);
       });
 
       // Reconnection events
@@ -281,9 +494,9 @@ export const emitLeaveCountry = () => {
   }
 };
 
-export const emitChatMessage = (message, type = 'country') => {
+export const emitChatMessage = (message, channel = 'country') => {
   if (socket && socket.connected) {
-    socket.emit('chat:message', { message, type });
+    socket.emit('chat:message', { message, channel });
   }
 };
 
@@ -14,6 +14,7 @@ const useGameStore = create(
       activePlayers: [],
       wars: [],
       borderPushes: [],
+      chatMessages: {},
       serverStats: {
         online_players: 0,
         active_countries: 0
@@ -32,14 +33,23 @@ const useGameStore = create(
       isConnected: false,
 
       // Actions
-      setAuth: (token, player) => set({
-        isAuthenticated: !!token,
-        token,
-        player
-      }),
+      setAuth: (token, player, refreshToken) => {
+        if (token) {
+          localStorage.setItem('token', token);
+        }
+        if (refreshToken) {
+          localStorage.setItem('refreshToken', refreshToken);
+        }
+        set({
+          isAuthenticated: !!token,
+          token,
+          player
+        });
+      },
 
       logout: () => {
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         const { socket } = get();
         if (socket) {
           socket.disconnect();
@@ -123,6 +133,32 @@ const useGameStore = create(
         borderPushes: state.borderPushes.filter(push => push.id !== pushId)
       })),
 
+      // Chat messages are kept per channel, oldest first
+      setChatHistory: (channel, messages) => set((state) => ({
+        chatMessages: { ...state.chatMessages, [channel]: messages }
+      })),
+
+      prependChatHistory: (channel, messages) => set((state) => ({
+        chatMessages: {
+          ...state.chatMessages,
+          [channel]: [...messages, ...(state.chatMessages[channel] || [])]
+        }
+      })),
+
+      addChatMessage: (message) => set((state) => ({
+        chatMessages: {
+          ...state.chatMessages,
+          [message.channel]: [...(state.chatMessages[message.channel] || []), message].slice(-200)
+        }
+      })),
+
+      removeChatMessage: (channel, messageId) => set((state) => ({
+        chatMessages: {
+          ...state.chatMessages,
+          [channel]: (state.chatMessages[channel] || []).filter(message => message.id !== messageId)
+        }
+      })),
+
       setServerStats: (stats) => set({ serverStats: stats }),
 
       setSelectedCountry: (country) => set({ selectedCountry: country }),